@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
 
 const prisma = new PrismaClient();
 
@@ -20,6 +23,21 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type === 'mfa_pending') {
+      return res.status(401).json({
+        error: 'MFA verification required',
+        code: 'MFA_REQUIRED'
+      });
+    }
+
+    // Access tokens are bound to a server-side session that can be revoked
+    if (!(await sessionService.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        error: 'Session has been revoked',
+        code: 'SESSION_REVOKED'
+      });
+    }
     
     // Verify user still exists and is active
     const user = await prisma.user.findUnique({
@@ -39,6 +57,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (process.env.NODE_ENV !== 'production') {
@@ -80,6 +99,97 @@ const requireRole = (roles) => {
   };
 };
 
+// Accepts a permission name or a list of names (any one is sufficient).
+// The user's resolved permissions are left on req.permissions.
+const requirePermission = (permissions) => {
+  const required = Array.isArray(permissions) ? permissions : [permissions];
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    try {
+      if (!req.permissions) {
+        req.permissions = await permissionService.getPermissionsForUser(req.user);
+      }
+
+      if (!required.some(permission => req.permissions.has(permission))) {
+        return res.status(403).json({ 
+          error: 'Insufficient permissions',
+          code: 'INSUFFICIENT_PERMISSIONS',
+          required
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ 
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  };
+};
+
+// In-handler check for permissions that depend on the request body
+const hasPermission = async (req, permission) => {
+  if (!req.permissions) {
+    req.permissions = await permissionService.getPermissionsForUser(req.user);
+  }
+  return req.permissions.has(permission);
+};
+
+// Roles whose caseload is every patient in their branch
+const BRANCH_SCOPED_ROLES = ['INTAKE_STAFF', 'BILLER', 'QA_REVIEWER'];
+
+// Minimum length of a break-the-glass justification
+const BREAK_GLASS_MIN_REASON_LENGTH = 10;
+
+// Build a Prisma `where` fragment limiting patients to the user's caseload.
+// Admins see everyone, clinicians see patients they are scheduled for or on
+// an episode care team for, and branch-scoped roles see their branch. Users
+// with no branch assigned see nobody until an admin assigns one.
+const getPatientAccessFilter = (user) => {
+  if (user.role === 'ADMIN') {
+    return {};
+  }
+
+  if (user.role === 'CLINICIAN') {
+    return {
+      OR: [
+        { schedules: { some: { staffId: user.id } } },
+        { episodes: { some: { careTeam: { some: { userId: user.id } } } } }
+      ]
+    };
+  }
+
+  if (BRANCH_SCOPED_ROLES.includes(user.role)) {
+    return user.branchId ? { branchId: user.branchId } : { id: { in: [] } };
+  }
+
+  // Unknown roles get an empty caseload
+  return { id: { in: [] } };
+};
+
+const canAccessPatient = async (user, patientId) => {
+  const count = await prisma.patient.count({
+    where: {
+      AND: [{ id: patientId }, getPatientAccessFilter(user)]
+    }
+  });
+  return count > 0;
+};
+
+const getBreakGlassReason = (req) => {
+  const reason = req.get('X-Break-Glass-Reason') || req.body?.breakGlassReason || req.query.breakGlassReason;
+  return typeof reason === 'string' ? reason.trim() : '';
+};
+
 const requirePatientAccess = async (req, res, next) => {
   try {
     const patientId = req.params.patientId || req.body.patientId;
@@ -91,7 +201,6 @@ const requirePatientAccess = async (req, res, next) => {
       });
     }
 
-    // Check if user has access to this patient
     const patient = await prisma.patient.findUnique({
       where: { id: patientId }
     });
@@ -103,8 +212,32 @@ const requirePatientAccess = async (req, res, next) => {
       });
     }
 
-    // For now, all authenticated users can access all patients
-    // In future phases, implement more granular access control
+    if (!(await canAccessPatient(req.user, patientId))) {
+      const reason = getBreakGlassReason(req);
+
+      if (reason.length < BREAK_GLASS_MIN_REASON_LENGTH) {
+        return res.status(403).json({
+          error: 'Patient is not in your caseload',
+          code: 'PATIENT_ACCESS_DENIED',
+          breakGlassAvailable: true
+        });
+      }
+
+      // Emergency override: allow access but leave a trail for review
+      await auditService.record(req, {
+        action: 'BREAK_THE_GLASS',
+        tableName: 'patients',
+        recordId: patient.id,
+        patientId: patient.id,
+        metadata: {
+          reason,
+          method: req.method,
+          path: req.originalUrl
+        }
+      });
+      req.breakGlass = { reason };
+    }
+
     req.patient = patient;
     next();
   } catch (error) {
@@ -119,5 +252,9 @@ const requirePatientAccess = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   requireRole,
-  requirePatientAccess
+  requirePermission,
+  hasPermission,
+  requirePatientAccess,
+  getPatientAccessFilter,
+  canAccessPatient
 };
@@ -1,7 +1,17 @@
 const express = require('express');
 const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission, getPatientAccessFilter, canAccessPatient } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const addendumService = require('../services/addendumService');
+const signatureService = require('../services/signatureService');
+const oasisValidationService = require('../services/oasisValidationService');
+const oasisDraftService = require('../services/oasisDraftService');
+const billingPeriodService = require('../services/billingPeriodService');
+
+const { AddendumError } = addendumService;
+const { SignatureError } = signatureService;
+const { OasisLockError } = oasisDraftService;
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -21,6 +31,83 @@ const oasisSchema = Joi.object({
   formData: Joi.object().required()
 });
 
+const oasisUpdateSchema = Joi.object({
+  assessmentType: Joi.string().valid('SOC', 'ROC', 'RECERT', 'TRANSFER', 'DISCHARGE').optional(),
+  assessmentDate: Joi.alternatives().try(
+    Joi.date(),
+    Joi.string().isoDate()
+  ).optional(),
+  formData: Joi.object().optional()
+});
+
+// Autosave sends only changed items; null clears an item
+const draftSchema = Joi.object({
+  assessmentDate: Joi.alternatives().try(
+    Joi.date(),
+    Joi.string().isoDate()
+  ).optional(),
+  formData: Joi.object().pattern(Joi.string(), Joi.any()).required()
+});
+
+const validateRequestSchema = Joi.object({
+  assessmentType: Joi.string().valid('SOC', 'ROC', 'RECERT', 'TRANSFER', 'DISCHARGE').required(),
+  formData: Joi.object().required()
+});
+
+const addendumSchema = Joi.object({
+  entryType: Joi.string().valid(...addendumService.ENTRY_TYPES).default('ADDENDUM'),
+  content: Joi.string().min(1).max(10000).required(),
+  reason: Joi.string().min(1).max(1000).required(),
+  occurredAt: Joi.date().optional()
+});
+
+// Signing requires the signer to re-enter their password or an MFA code
+const signatureSchema = Joi.object({
+  password: Joi.string(),
+  mfaCode: Joi.string().pattern(/^\d{6}$/)
+}).xor('password', 'mfaCode');
+
+const handleServiceError = (error, res) => {
+  if (error instanceof AddendumError || error instanceof SignatureError) {
+    res.status(error.status).json({
+      error: error.message,
+      code: error.code
+    });
+    return true;
+  }
+  if (error instanceof OasisLockError) {
+    res.status(error.status).json({
+      error: error.message,
+      code: error.code,
+      lock: error.lock
+    });
+    return true;
+  }
+  return false;
+};
+
+// Load an assessment the current user may see, or send the error response
+const loadAssessment = async (req, res) => {
+  const assessment = await prisma.oasisAssessment.findUnique({
+    where: { id: req.params.assessmentId }
+  });
+
+  if (!assessment) {
+    res.status(404).json({ error: 'Assessment not found' });
+    return null;
+  }
+
+  if (!(await canAccessPatient(req.user, assessment.patientId))) {
+    res.status(403).json({
+      error: 'Patient is not in your caseload',
+      code: 'PATIENT_ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return assessment;
+};
+
 // Get OASIS assessments
 router.get('/oasis', async (req, res) => {
   try {
@@ -30,7 +117,7 @@ router.get('/oasis', async (req, res) => {
     const assessmentType = req.query.assessmentType;
     const skip = (page - 1) * limit;
 
-    const where = {};
+    const where = { patient: getPatientAccessFilter(req.user) };
     if (patientId) where.patientId = patientId;
     if (assessmentType) where.assessmentType = assessmentType;
 
@@ -49,6 +136,12 @@ router.get('/oasis', async (req, res) => {
       prisma.oasisAssessment.count({ where })
     ]);
 
+    await auditService.recordView(req, {
+      action: 'VIEW_OASIS_LIST',
+      tableName: 'oasis_assessments',
+      patientIds: assessments.map(assessment => assessment.patientId)
+    });
+
     res.json({
       assessments,
       pagination: { page, limit, total, pages: Math.ceil(total / limit) }
@@ -60,18 +153,40 @@ router.get('/oasis', async (req, res) => {
   }
 });
 
+// Get the OASIS item dictionary for an assessment type
+router.get('/oasis/items', (req, res) => {
+  const assessmentType = req.query.assessmentType || 'SOC';
+
+  if (!['SOC', 'ROC', 'RECERT', 'TRANSFER', 'DISCHARGE'].includes(assessmentType)) {
+    return res.status(400).json({ error: 'Invalid assessment type' });
+  }
+
+  res.json({
+    assessmentType,
+    items: oasisValidationService.describe(assessmentType)
+  });
+});
+
+// Validate form data without saving it
+router.post('/oasis/validate', (req, res) => {
+  const { error, value } = validateRequestSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation error',
+      details: error.details[0].message
+    });
+  }
+
+  res.json({
+    validation: oasisValidationService.validate(value.assessmentType, value.formData)
+  });
+});
+
 // Create OASIS assessment
-router.post('/oasis', async (req, res) => {
+router.post('/oasis', requirePermission('oasis:create'), async (req, res) => {
   try {
-    console.log('Received assessment data:', JSON.stringify(req.body, null, 2));
-    console.log('FormData type:', typeof req.body.formData);
-    console.log('FormData content:', JSON.stringify(req.body.formData, null, 2));
-    console.log('FormData keys:', Object.keys(req.body.formData || {}));
-    
     const { error, value } = oasisSchema.validate(req.body);
     if (error) {
-      console.log('Validation error details:', error.details);
-      console.log('Validation error message:', error.message);
       return res.status(400).json({
         error: 'Validation error',
         message: error.message,
@@ -83,23 +198,22 @@ router.post('/oasis', async (req, res) => {
       });
     }
 
-    console.log('User from token:', req.user);
-    if (!req.user || !req.user.id) {
-      console.log('Authentication failed - no user or user.id');
-      return res.status(500).json({ error: 'User authentication error' });
+    if (!(await canAccessPatient(req.user, value.patientId))) {
+      return res.status(403).json({
+        error: 'Patient is not in your caseload',
+        code: 'PATIENT_ACCESS_DENIED'
+      });
     }
 
-    console.log('Creating assessment with data:', {
-      ...value,
-      assessmentDate: new Date(value.assessmentDate),
-      clinicianId: req.user.id
-    });
-
     const assessment = await prisma.oasisAssessment.create({
       data: {
         ...value,
         assessmentDate: new Date(value.assessmentDate),
-        clinicianId: req.user.id
+        clinicianId: req.user.id,
+        completionPercentage: oasisValidationService.completion(value.assessmentType, value.formData).percentage,
+        lastSavedAt: new Date(),
+        lockedBy: req.user.id,
+        lockExpiresAt: oasisDraftService.lockExpiry()
       },
       include: {
         patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
@@ -107,11 +221,18 @@ router.post('/oasis', async (req, res) => {
       }
     });
 
-    console.log('Assessment created successfully:', assessment.id);
+    await auditService.record(req, {
+      action: 'CREATE_OASIS',
+      tableName: 'oasis_assessments',
+      recordId: assessment.id,
+      patientId: assessment.patientId,
+      newValues: assessment
+    });
 
     res.status(201).json({
       message: 'OASIS assessment created successfully',
-      assessment
+      assessment,
+      validation: oasisValidationService.validate(assessment.assessmentType, assessment.formData)
     });
 
   } catch (error) {
@@ -123,36 +244,349 @@ router.post('/oasis', async (req, res) => {
   }
 });
 
-// Sign OASIS assessment
-router.patch('/oasis/:assessmentId/sign', requireRole(['CLINICIAN', 'ADMIN']), async (req, res) => {
+// Get single OASIS assessment with its addendum chain and the prior
+// assessment in the episode for comparison
+router.get('/oasis/:assessmentId', async (req, res) => {
   try {
-    const assessment = await prisma.oasisAssessment.findUnique({
-      where: { id: req.params.assessmentId }
+    const assessment = await loadAssessment(req, res);
+    if (!assessment) return;
+
+    const [details, addenda, priorAssessment] = await Promise.all([
+      prisma.oasisAssessment.findUnique({
+        where: { id: assessment.id },
+        include: {
+          patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
+          episode: { select: { id: true, episodeNumber: true } },
+          clinician: { select: { id: true, firstName: true, lastName: true } }
+        }
+      }),
+      addendumService.listForRecord('OASIS', assessment.id),
+      oasisDraftService.findPriorAssessment(assessment)
+    ]);
+
+    await auditService.recordView(req, {
+      action: 'VIEW_OASIS',
+      tableName: 'oasis_assessments',
+      recordId: assessment.id,
+      patientId: assessment.patientId,
+      metadata: priorAssessment ? { priorAssessmentId: priorAssessment.id } : undefined
     });
 
-    if (!assessment) {
-      return res.status(404).json({ error: 'Assessment not found' });
+    res.json({
+      assessment: details,
+      addenda,
+      priorAssessment,
+      completion: oasisValidationService.completion(assessment.assessmentType, assessment.formData),
+      lock: oasisDraftService.lockStatus(assessment, req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Get OASIS assessment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update an unsigned OASIS assessment
+router.put('/oasis/:assessmentId', requirePermission('oasis:create'), async (req, res) => {
+  try {
+    const { error, value } = oasisUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
     }
 
+    const assessment = await loadAssessment(req, res);
+    if (!assessment) return;
+
+    addendumService.assertEditable(assessment);
+    await oasisDraftService.acquireLock(assessment.id, req.user.id);
+
+    const assessmentType = value.assessmentType || assessment.assessmentType;
+    const formData = value.formData || assessment.formData;
+
+    const updatedAssessment = await addendumService.updateUnsigned(prisma.oasisAssessment, assessment.id, {
+      ...value,
+      ...(value.assessmentDate && { assessmentDate: new Date(value.assessmentDate) }),
+      completionPercentage: oasisValidationService.completion(assessmentType, formData).percentage,
+      lastSavedAt: new Date()
+    });
+
+    await auditService.record(req, {
+      action: 'UPDATE_OASIS',
+      tableName: 'oasis_assessments',
+      recordId: updatedAssessment.id,
+      patientId: updatedAssessment.patientId,
+      oldValues: assessment,
+      newValues: updatedAssessment
+    });
+
+    res.json({
+      message: 'OASIS assessment updated successfully',
+      assessment: updatedAssessment,
+      validation: oasisValidationService.validate(updatedAssessment.assessmentType, updatedAssessment.formData)
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Update OASIS assessment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Autosave a draft: merge the changed items into formData
+router.patch('/oasis/:assessmentId/draft', requirePermission('oasis:create'), async (req, res) => {
+  try {
+    const { error, value } = draftSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const assessment = await loadAssessment(req, res);
+    if (!assessment) return;
+
+    addendumService.assertEditable(assessment);
+    const lock = await oasisDraftService.acquireLock(assessment.id, req.user.id);
+
+    const formData = oasisDraftService.mergeFormData(assessment.formData, value.formData);
+    const completion = oasisValidationService.completion(assessment.assessmentType, formData);
+
+    const updatedAssessment = await addendumService.updateUnsigned(prisma.oasisAssessment, assessment.id, {
+      formData,
+      ...(value.assessmentDate && { assessmentDate: new Date(value.assessmentDate) }),
+      completionPercentage: completion.percentage,
+      lastSavedAt: new Date()
+    });
+
+    await auditService.record(req, {
+      action: 'SAVE_OASIS_DRAFT',
+      tableName: 'oasis_assessments',
+      recordId: updatedAssessment.id,
+      patientId: updatedAssessment.patientId,
+      oldValues: assessment,
+      newValues: updatedAssessment
+    });
+
+    res.json({
+      message: 'Draft saved',
+      assessmentId: updatedAssessment.id,
+      lastSavedAt: updatedAssessment.lastSavedAt,
+      completion,
+      lock,
+      validation: oasisValidationService.validate(updatedAssessment.assessmentType, formData)
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Save OASIS draft error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Take or extend the edit lock on a draft
+router.post('/oasis/:assessmentId/lock', async (req, res) => {
+  try {
+    const assessment = await loadAssessment(req, res);
+    if (!assessment) return;
+
+    addendumService.assertEditable(assessment);
+    const lock = await oasisDraftService.acquireLock(assessment.id, req.user.id);
+
+    res.json({ lock });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Lock OASIS assessment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Release the edit lock when the clinician closes the draft
+router.delete('/oasis/:assessmentId/lock', async (req, res) => {
+  try {
+    const assessment = await loadAssessment(req, res);
+    if (!assessment) return;
+
+    const released = await oasisDraftService.releaseLock(assessment.id, req.user.id);
+
+    res.json({ released });
+
+  } catch (error) {
+    console.error('Unlock OASIS assessment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an addendum or late entry to a signed OASIS assessment
+router.post('/oasis/:assessmentId/addenda', async (req, res) => {
+  try {
+    const { error, value } = addendumSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const assessment = await loadAssessment(req, res);
+    if (!assessment) return;
+
+    const addendum = await addendumService.create(req, 'OASIS', assessment, value);
+
+    res.status(201).json({
+      message: 'Addendum created successfully',
+      addendum
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Create OASIS addendum error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign an addendum
+router.patch('/oasis/:assessmentId/addenda/:addendumId/sign', requirePermission('oasis:sign'), async (req, res) => {
+  try {
+    const { error, value } = signatureSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const assessment = await loadAssessment(req, res);
+    if (!assessment) return;
+
+    const addendum = await addendumService.findForRecord('OASIS', assessment.id, req.params.addendumId);
+    const method = await signatureService.reauthenticate(req, value);
+    const signedAddendum = await addendumService.sign(
+      req,
+      addendum,
+      signatureService.buildSignature(req, signatureService.addendumContent(addendum), method)
+    );
+
+    res.json({
+      message: 'Addendum signed successfully',
+      addendum: signedAddendum
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Sign OASIS addendum error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check whether a signed assessment or its addenda changed after signing
+router.get('/oasis/:assessmentId/signature/verify', async (req, res) => {
+  try {
+    const assessment = await loadAssessment(req, res);
+    if (!assessment) return;
+
+    const addenda = await addendumService.listForRecord('OASIS', assessment.id);
+
+    await auditService.recordView(req, {
+      action: 'VERIFY_OASIS_SIGNATURE',
+      tableName: 'oasis_assessments',
+      recordId: assessment.id,
+      patientId: assessment.patientId
+    });
+
+    res.json({
+      assessmentId: assessment.id,
+      signature: signatureService.verify(assessment, assessment.formData),
+      addenda: addenda.map(addendum => ({
+        addendumId: addendum.id,
+        signature: signatureService.verify(addendum, signatureService.addendumContent(addendum))
+      }))
+    });
+
+  } catch (error) {
+    console.error('Verify OASIS signature error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign OASIS assessment
+router.patch('/oasis/:assessmentId/sign', requirePermission('oasis:sign'), async (req, res) => {
+  try {
+    const { error, value } = signatureSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const assessment = await loadAssessment(req, res);
+    if (!assessment) return;
+
     if (assessment.isSigned) {
-      return res.status(400).json({ error: 'Assessment already signed' });
+      return res.status(400).json({
+        error: 'Assessment already signed',
+        code: 'RECORD_SIGNED'
+      });
     }
 
-    const updatedAssessment = await prisma.oasisAssessment.update({
-      where: { id: req.params.assessmentId },
-      data: {
-        isSigned: true,
-        signedBy: req.user.id,
-        signedAt: new Date()
-      }
+    if (oasisDraftService.isLockedByOther(assessment, req.user.id)) {
+      return res.status(423).json({
+        error: 'Assessment is being edited by another user',
+        code: 'ASSESSMENT_LOCKED',
+        lock: oasisDraftService.lockStatus(assessment, req.user.id)
+      });
+    }
+
+    const validation = oasisValidationService.validate(assessment.assessmentType, assessment.formData);
+    if (!validation.valid) {
+      return res.status(422).json({
+        error: 'Assessment has fatal validation errors',
+        code: 'OASIS_VALIDATION_FAILED',
+        validation
+      });
+    }
+
+    const method = await signatureService.reauthenticate(req, value);
+
+    // Conditional on isSigned so a concurrent sign cannot also succeed
+    const updatedAssessment = await addendumService.updateUnsigned(prisma.oasisAssessment, assessment.id, {
+      ...signatureService.buildSignature(req, assessment.formData, method),
+      lockedBy: null,
+      lockExpiresAt: null
+    });
+
+    await auditService.record(req, {
+      action: 'SIGN_OASIS',
+      tableName: 'oasis_assessments',
+      recordId: updatedAssessment.id,
+      patientId: updatedAssessment.patientId,
+      oldValues: assessment,
+      newValues: updatedAssessment
     });
 
+    // A signed SOC/ROC/RECERT drives the PDGM grouping of its periods. The
+    // signature is already committed, so a grouping failure is logged rather
+    // than reported as a failed sign; the next sync regroups the periods.
+    if (updatedAssessment.episodeId && ['SOC', 'ROC', 'RECERT'].includes(updatedAssessment.assessmentType)) {
+      try {
+        await billingPeriodService.syncGrouping(updatedAssessment.episodeId);
+      } catch (groupingError) {
+        console.error('PDGM grouping after sign error:', groupingError);
+      }
+    }
+
     res.json({
       message: 'Assessment signed successfully',
       assessment: updatedAssessment
     });
 
   } catch (error) {
+    if (handleServiceError(error, res)) return;
     console.error('Sign assessment error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -0,0 +1,179 @@
+const express = require('express');
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Validation schemas
+const auditQuerySchema = Joi.object({
+  patientId: Joi.string().optional(),
+  userId: Joi.string().optional(),
+  action: Joi.string().optional(),
+  tableName: Joi.string().optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const disclosureQuerySchema = Joi.object({
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().optional(),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+const userSelect = {
+  select: { id: true, firstName: true, lastName: true, email: true, role: true }
+};
+
+const dateRangeFilter = (startDate, endDate) => {
+  if (!startDate && !endDate) {
+    return undefined;
+  }
+  return {
+    ...(startDate && { gte: new Date(startDate) }),
+    ...(endDate && { lte: new Date(endDate) })
+  };
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Search the audit trail
+router.get('/', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { error, value } = auditQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const { patientId, userId, action, tableName, startDate, endDate, page, limit } = value;
+
+    const where = {};
+    if (patientId) where.patientIds = { has: patientId };
+    if (userId) where.userId = userId;
+    if (action) where.action = action;
+    if (tableName) where.tableName = tableName;
+    const createdAt = dateRangeFilter(startDate, endDate);
+    if (createdAt) where.createdAt = createdAt;
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        include: { user: userSelect },
+        orderBy: { sequence: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    res.json({
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Verify the hash chain has not been tampered with
+router.get('/verify', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const result = await auditService.verifyChain();
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Verify audit chain error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accounting of disclosures: every access to a patient's record
+router.get('/patients/:patientId/disclosures', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { error, value } = disclosureQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const patient = await prisma.patient.findUnique({
+      where: { id: req.params.patientId },
+      select: { id: true, patientId: true, firstName: true, lastName: true }
+    });
+
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    const where = { patientIds: { has: patient.id } };
+    const createdAt = dateRangeFilter(value.startDate, value.endDate);
+    if (createdAt) where.createdAt = createdAt;
+
+    const entries = await prisma.auditLog.findMany({
+      where,
+      include: { user: userSelect },
+      orderBy: { sequence: 'asc' }
+    });
+
+    const disclosures = entries.map(entry => ({
+      date: entry.createdAt,
+      action: entry.action,
+      tableName: entry.tableName,
+      recordId: entry.recordId,
+      userId: entry.userId,
+      userName: entry.user ? `${entry.user.firstName} ${entry.user.lastName}` : null,
+      userRole: entry.user ? entry.user.role : null,
+      ipAddress: entry.ipAddress,
+      breakGlass: !!(entry.metadata && entry.metadata.breakGlass),
+      reason: entry.metadata && entry.metadata.reason ? entry.metadata.reason : null
+    }));
+
+    // The export itself is a disclosure of the patient's access history
+    await auditService.recordView(req, {
+      action: 'EXPORT_DISCLOSURES',
+      tableName: 'audit_logs',
+      patientId: patient.id,
+      metadata: { format: value.format, count: disclosures.length }
+    });
+
+    if (value.format === 'csv') {
+      const columns = ['date', 'action', 'tableName', 'recordId', 'userId', 'userName', 'userRole', 'ipAddress', 'breakGlass', 'reason'];
+      const rows = disclosures.map(disclosure => columns
+        .map(column => csvValue(disclosure[column] instanceof Date ? disclosure[column].toISOString() : disclosure[column]))
+        .join(','));
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="disclosures-${patient.patientId}.csv"`);
+      return res.send([columns.join(','), ...rows].join('\n'));
+    }
+
+    res.json({ patient, disclosures });
+
+  } catch (error) {
+    console.error('Get disclosures error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,11 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const mfaService = require('../services/mfaService');
+const passwordPolicy = require('../services/passwordPolicyService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -262,14 +263,28 @@ router.post('/complete-registration', async (req, res) => {
       });
     }
 
+    const policyErrors = passwordPolicy.validate(password, {
+      email,
+      firstName: registrationRequest.firstName,
+      lastName: registrationRequest.lastName
+    });
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Password does not meet policy',
+        code: 'PASSWORD_POLICY_VIOLATION',
+        details: policyErrors
+      });
+    }
+
     // Hash password
-    const passwordHash = await bcrypt.hash(password, 12);
+    const passwordHash = await passwordPolicy.hashPassword(password);
 
     // Create user
     const user = await prisma.user.create({
       data: {
         email,
         passwordHash,
+        passwordChangedAt: new Date(),
         firstName: registrationRequest.firstName,
         lastName: registrationRequest.lastName,
         role: registrationRequest.role,
@@ -277,26 +292,31 @@ router.post('/complete-registration', async (req, res) => {
       }
     });
 
+    await passwordPolicy.recordHistory(user.id, passwordHash);
+
     // Update registration request status and invalidate token
     await prisma.userRegistrationRequest.update({
       where: { email },
       data: { status: 'APPROVED', completionToken: null, completionTokenExpires: null }
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Roles that mandate MFA enroll before getting a session, as at /login
+    if (user.mfaEnabled || mfaService.isRequiredForRole(user.role)) {
+      return res.json({
+        message: 'Registration completed, MFA verification required',
+        mfaRequired: true,
+        enrollmentRequired: !user.mfaEnabled,
+        mfaToken: mfaService.issuePendingToken(user)
+      });
+    }
+
+    // Start a session for the new user
+    const { token, refreshToken } = await sessionService.createSession(user, req);
 
     res.json({ 
       message: 'Registration completed successfully',
       token,
+      refreshToken,
       user: {
         id: user.id,
         email: user.email,
@@ -342,7 +362,7 @@ router.get('/registration-status/:email', async (req, res) => {
 });
 
 // Admin routes for managing registration requests
-router.get('/admin/registration-requests', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+router.get('/admin/registration-requests', authenticateToken, requirePermission('registration:approve'), async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
     
@@ -382,7 +402,7 @@ router.get('/admin/registration-requests', authenticateToken, requireRole(['ADMI
 });
 
 // Approve registration request
-router.post('/admin/approve-registration/:requestId', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+router.post('/admin/approve-registration/:requestId', authenticateToken, requirePermission('registration:approve'), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { adminNotes } = req.body;
@@ -441,7 +461,7 @@ router.post('/admin/approve-registration/:requestId', authenticateToken, require
 });
 
 // Reject registration request
-router.post('/admin/reject-registration/:requestId', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+router.post('/admin/reject-registration/:requestId', authenticateToken, requirePermission('registration:approve'), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { reason, adminNotes } = req.body;
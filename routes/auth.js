@@ -1,8 +1,17 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const mfaService = require('../services/mfaService');
+const passwordPolicy = require('../services/passwordPolicyService');
+const emailService = require('../services/emailService');
+const auditService = require('../services/auditService');
+
+const { SessionError } = sessionService;
+
+const prisma = new PrismaClient();
 const router = express.Router();
 
 // Validation schemas
@@ -19,6 +28,43 @@ const registerSchema = Joi.object({
   role: Joi.string().valid('INTAKE_STAFF', 'CLINICIAN', 'QA_REVIEWER', 'BILLER', 'ADMIN').required()
 });
 
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().min(10).required(),
+  password: Joi.string().required()
+});
+
+const changePasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().required()
+});
+
+// Run the policy and history checks for a new password.
+// Returns an error response body, or null when the password is acceptable.
+const checkNewPassword = async (user, password) => {
+  const policyErrors = passwordPolicy.validate(password, user);
+  if (policyErrors.length > 0) {
+    return {
+      error: 'Password does not meet policy',
+      code: 'PASSWORD_POLICY_VIOLATION',
+      details: policyErrors
+    };
+  }
+
+  if (user.id && (await passwordPolicy.isReused(user, password))) {
+    return {
+      error: `Password must not match any of your last ${passwordPolicy.policy.historyCount} passwords`,
+      code: 'PASSWORD_REUSED'
+    };
+  }
+
+  return null;
+};
+
 // Login endpoint
 router.post('/login', async (req, res) => {
   if (process.env.NODE_ENV !== 'production') {
@@ -33,8 +79,7 @@ router.post('/login', async (req, res) => {
       code: 'DATABASE_CONFIG_ERROR'
     });
   }
-  
-  const prisma = new PrismaClient();
+
   try {
     const { error, value } = loginSchema.validate(req.body);
     if (error) {
@@ -66,38 +111,66 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // A locked account gets the same response whatever the password, so
+    // guesses made during the lockout are neither checked nor answered
+    if (passwordPolicy.isLocked(user)) {
+      return res.status(423).json({
+        error: 'Account is temporarily locked due to repeated failed logins',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.passwordHash);
     if (!isValidPassword) {
+      await passwordPolicy.registerFailedLogin(user, req);
+
       return res.status(401).json({
         error: 'Invalid credentials',
         code: 'INVALID_CREDENTIALS'
       });
     }
 
+    // Expired passwords must be rotated through /change-password first
+    if (passwordPolicy.isExpired(user)) {
+      return res.status(403).json({
+        error: 'Password has expired and must be changed',
+        code: 'PASSWORD_EXPIRED'
+      });
+    }
+
+    // Second factor: enrolled users, and users whose role mandates MFA,
+    // get a short-lived mfa_pending token instead of a session. The failed
+    // attempt counters are only reset once /mfa/verify succeeds.
+    const mfaRequired = mfaService.isRequiredForRole(user.role);
+    if (user.mfaEnabled || mfaRequired) {
+      return res.json({
+        message: 'MFA verification required',
+        mfaRequired: true,
+        enrollmentRequired: !user.mfaEnabled,
+        mfaToken: mfaService.issuePendingToken(user)
+      });
+    }
+
+    await passwordPolicy.registerSuccessfulLogin(user);
+
     // Update last login
     await prisma.user.update({
       where: { id: user.id },
       data: { lastLogin: new Date() }
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id,
-        email: user.email,
-        role: user.role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a server-side session and issue the token pair
+    const { token, refreshToken } = await sessionService.createSession(user, req);
 
-    // Return user data (excluding password hash)
-    const { passwordHash, ...userData } = user;
+    // Return user data (excluding password hash and MFA secrets)
+    const { passwordHash, mfaSecret, mfaPendingSecret, ...userData } = user;
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: userData
     });
 
@@ -109,8 +182,6 @@ router.post('/login', async (req, res) => {
       code: 'INTERNAL_ERROR',
       message: error.message
     });
-  } finally {
-    await prisma.$disconnect();
   }
 });
 
@@ -127,6 +198,11 @@ router.post('/register', async (req, res) => {
 
     const { email, password, firstName, lastName, role } = value;
 
+    const passwordError = await checkNewPassword({ email, firstName, lastName }, password);
+    if (passwordError) {
+      return res.status(400).json(passwordError);
+    }
+
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
       where: { email: email.toLowerCase() }
@@ -140,14 +216,14 @@ router.post('/register', async (req, res) => {
     }
 
     // Hash password
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const passwordHash = await passwordPolicy.hashPassword(password);
 
     // Create user
     const user = await prisma.user.create({
       data: {
         email: email.toLowerCase(),
         passwordHash,
+        passwordChangedAt: new Date(),
         firstName,
         lastName,
         role
@@ -155,8 +231,10 @@ router.post('/register', async (req, res) => {
       include: { staffProfile: true }
     });
 
+    await passwordPolicy.recordHistory(user.id, passwordHash);
+
     // Return user data (excluding password hash)
-    const { passwordHash: _, ...userData } = user;
+    const { passwordHash: _, mfaSecret, mfaPendingSecret, ...userData } = user;
 
     res.status(201).json({
       message: 'User created successfully',
@@ -173,36 +251,31 @@ router.post('/register', async (req, res) => {
 });
 
 // Get current user profile
-router.get('/profile', async (req, res) => {
+router.get('/profile', authenticateToken, async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({
-        error: 'Access token required',
-        code: 'MISSING_TOKEN'
-      });
-    }
+    const { passwordHash, mfaSecret, mfaPendingSecret, ...userData } = req.user;
+    res.json({ user: userData });
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      include: { staffProfile: true }
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
     });
+  }
+});
 
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found',
-        code: 'USER_NOT_FOUND'
-      });
-    }
+// Logout endpoint (revokes the current session)
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.sessionId, 'LOGOUT');
 
-    const { passwordHash, ...userData } = user;
-    res.json({ user: userData });
+    res.json({
+      message: 'Logout successful'
+    });
 
   } catch (error) {
-    console.error('Profile fetch error:', error);
+    console.error('Logout error:', error);
     res.status(500).json({
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
@@ -210,14 +283,33 @@ router.get('/profile', async (req, res) => {
   }
 });
 
-// Logout endpoint (client-side token removal)
-router.post('/logout', (req, res) => {
-  res.json({
-    message: 'Logout successful'
-  });
+// Sign out of all devices
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await sessionService.revokeAllForUser(req.user.id, 'LOGOUT_ALL');
+
+    await auditService.record(req, {
+      action: 'LOGOUT_ALL_SESSIONS',
+      tableName: 'user_sessions',
+      recordId: req.user.id,
+      newValues: { revokedCount }
+    });
+
+    res.json({
+      message: 'Signed out of all devices',
+      revokedCount
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
 });
 
-// Refresh token endpoint
+// Refresh token endpoint (rotates the refresh token on every use)
 router.post('/refresh', async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -229,42 +321,196 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    
-    // Check if user still exists and is active
+    const tokens = await sessionService.rotateRefreshToken(refreshToken, req);
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get the password policy (for client-side hints)
+router.get('/password-policy', (req, res) => {
+  res.json({ policy: passwordPolicy.describe() });
+});
+
+// Request a password reset email
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
     const user = await prisma.user.findUnique({
-      where: { id: decoded.userId }
+      where: { email: value.email.toLowerCase() }
+    });
+
+    // Same response whether or not the account exists, to avoid enumeration
+    const response = {
+      message: 'If an account exists for that email, a reset link has been sent'
+    };
+
+    if (!user || !user.isActive) {
+      return res.json(response);
+    }
+
+    const resetToken = await passwordPolicy.createResetToken(user.id);
+    await emailService.sendPasswordResetEmail(user.email, user.firstName, resetToken);
+
+    await auditService.record(req, {
+      userId: user.id,
+      action: 'PASSWORD_RESET_REQUESTED',
+      tableName: 'users',
+      recordId: user.id
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Complete a password reset with the emailed token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const resetToken = await passwordPolicy.findValidResetToken(value.token);
+    if (!resetToken || !resetToken.user.isActive) {
+      return res.status(400).json({
+        error: 'Invalid or expired reset token',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    const { user } = resetToken;
+    const passwordError = await checkNewPassword(user, value.password);
+    if (passwordError) {
+      return res.status(400).json(passwordError);
+    }
+
+    if (!(await passwordPolicy.consumeResetToken(resetToken.id))) {
+      return res.status(400).json({
+        error: 'Invalid or expired reset token',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    const wasLocked = passwordPolicy.isLocked(user);
+    await passwordPolicy.changePassword(user.id, value.password);
+    await sessionService.revokeAllForUser(user.id, 'PASSWORD_RESET');
+
+    await auditService.record(req, {
+      userId: user.id,
+      action: 'PASSWORD_RESET',
+      tableName: 'users',
+      recordId: user.id,
+      newValues: { unlocked: wasLocked }
+    });
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Change password (also used to rotate an expired password before login)
+router.post('/change-password', async (req, res) => {
+  try {
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: value.email.toLowerCase() }
     });
 
     if (!user || !user.isActive) {
       return res.status(401).json({
-        error: 'Invalid refresh token',
-        code: 'INVALID_REFRESH_TOKEN'
+        error: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
       });
     }
 
-    // Generate new access token
-    const newToken = jwt.sign(
-      { 
-        userId: user.id,
-        email: user.email,
-        role: user.role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    if (passwordPolicy.isLocked(user)) {
+      return res.status(423).json({
+        error: 'Account is temporarily locked due to repeated failed logins',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: user.lockedUntil
+      });
+    }
 
-    res.json({
-      message: 'Token refreshed successfully',
-      token: newToken
+    const isValidPassword = await bcrypt.compare(value.currentPassword, user.passwordHash);
+    if (!isValidPassword) {
+      await passwordPolicy.registerFailedLogin(user, req);
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    const passwordError = await checkNewPassword(user, value.newPassword);
+    if (passwordError) {
+      return res.status(400).json(passwordError);
+    }
+
+    await passwordPolicy.changePassword(user.id, value.newPassword);
+    await sessionService.revokeAllForUser(user.id, 'PASSWORD_CHANGED');
+
+    await auditService.record(req, {
+      userId: user.id,
+      action: 'PASSWORD_CHANGED',
+      tableName: 'users',
+      recordId: user.id
     });
 
+    res.json({ message: 'Password changed successfully. Please log in with your new password.' });
+
   } catch (error) {
-    console.error('Token refresh error:', error);
-    res.status(401).json({
-      error: 'Invalid refresh token',
-      code: 'INVALID_REFRESH_TOKEN'
+    console.error('Change password error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
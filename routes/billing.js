@@ -1,7 +1,12 @@
 const express = require('express');
 const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const pdgmService = require('../services/pdgmService');
+const billingPeriodService = require('../services/billingPeriodService');
+
+const { PdgmError } = pdgmService;
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -32,6 +37,23 @@ const generateClaimNumber = async () => {
   return `${prefix}${nextNumber.toString().padStart(6, '0')}`;
 };
 
+// PDGM grouping for one 30-day period of an episode
+const groupPeriod = async (episodeId, periodNumber) => {
+  const { episode, periods } = await pdgmService.groupEpisode(episodeId);
+  const period = periods.find(p => p.periodNumber === periodNumber);
+
+  if (!period) {
+    throw new PdgmError(`Episode has no period ${periodNumber}`, 'PERIOD_NOT_FOUND');
+  }
+  if (period.error) {
+    throw new PdgmError(period.error.message, period.error.code);
+  }
+
+  return { episode, period };
+};
+
+const pdgmErrorStatus = (error) => (error.code === 'EPISODE_NOT_FOUND' ? 404 : 422);
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
@@ -76,6 +98,12 @@ router.get('/claims', async (req, res) => {
       prisma.claim.count({ where })
     ]);
 
+    await auditService.recordView(req, {
+      action: 'VIEW_CLAIM_LIST',
+      tableName: 'claims',
+      patientIds: claims.map(claim => claim.patientId)
+    });
+
     res.json({
       claims,
       pagination: { page, limit, total, pages: Math.ceil(total / limit) }
@@ -87,10 +115,83 @@ router.get('/claims', async (req, res) => {
   }
 });
 
+// PDGM grouping for every period of an episode
+router.get('/episodes/:episodeId/pdgm', async (req, res) => {
+  try {
+    const { episode, periods } = await pdgmService.groupEpisode(req.params.episodeId);
+
+    await auditService.recordView(req, {
+      action: 'VIEW_PDGM_GROUPING',
+      tableName: 'episodes',
+      recordId: episode.id,
+      patientId: episode.patientId
+    });
+
+    res.json({
+      episode: { id: episode.id, episodeNumber: episode.episodeNumber, startDate: episode.startDate },
+      periods
+    });
+
+  } catch (error) {
+    if (error instanceof PdgmError) {
+      return res.status(pdgmErrorStatus(error)).json({ error: error.message, code: error.code });
+    }
+    console.error('Get PDGM grouping error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Claim fields pre-filled from the PDGM grouping of a period
+router.get('/claims/prefill', requirePermission('claim:create'), async (req, res) => {
+  try {
+    const { episodeId } = req.query;
+    const periodNumber = parseInt(req.query.periodNumber) || 1;
+
+    if (!episodeId) {
+      return res.status(400).json({ error: 'episodeId is required' });
+    }
+
+    const { episode, period } = await groupPeriod(episodeId, periodNumber);
+
+    res.json({
+      claim: {
+        patientId: episode.patientId,
+        episodeId: episode.id,
+        periodNumber,
+        claimAmount: period.expectedPayment,
+        hippsCode: period.hippsCode,
+        caseMixWeight: period.caseMixWeight
+      },
+      grouping: period
+    });
+
+  } catch (error) {
+    if (error instanceof PdgmError) {
+      return res.status(pdgmErrorStatus(error)).json({ error: error.message, code: error.code });
+    }
+    console.error('Prefill claim error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Create claim
-router.post('/claims', requireRole(['BILLER', 'ADMIN']), async (req, res) => {
+router.post('/claims', requirePermission('claim:create'), async (req, res) => {
   try {
     const { patientId, episodeId, payerId, claimType, claimAmount } = req.body;
+    const periodNumber = parseInt(req.body.periodNumber) || 1;
+
+    // Without a typed amount, price the claim from the episode's PDGM grouping
+    let pdgm = {};
+    if ((claimAmount === undefined || claimAmount === null || claimAmount === '') && episodeId) {
+      const { period } = await groupPeriod(episodeId, periodNumber);
+      pdgm = {
+        claimAmount: period.expectedPayment,
+        hippsCode: period.hippsCode,
+        caseMixWeight: period.caseMixWeight
+      };
+    }
+
+    const period = episodeId ? await billingPeriodService.findByNumber(episodeId, periodNumber) : null;
 
     // Generate claim number
     const claimNumber = await generateClaimNumber();
@@ -99,9 +200,11 @@ router.post('/claims', requireRole(['BILLER', 'ADMIN']), async (req, res) => {
       data: {
         patientId,
         episodeId,
+        billingPeriodId: period ? period.id : null,
         payerId,
         claimType,
         claimAmount: parseFloat(claimAmount),
+        ...pdgm,
         claimNumber
       },
       include: {
@@ -110,12 +213,27 @@ router.post('/claims', requireRole(['BILLER', 'ADMIN']), async (req, res) => {
       }
     });
 
+    if (period) {
+      await billingPeriodService.markBilled(period.id);
+    }
+
+    await auditService.record(req, {
+      action: 'CREATE_CLAIM',
+      tableName: 'claims',
+      recordId: claim.id,
+      patientId: claim.patientId,
+      newValues: claim
+    });
+
     res.status(201).json({
       message: 'Claim created successfully',
       claim
     });
 
   } catch (error) {
+    if (error instanceof PdgmError) {
+      return res.status(pdgmErrorStatus(error)).json({ error: error.message, code: error.code });
+    }
     console.error('Create claim error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -137,6 +255,13 @@ router.get('/claims/:claimId', async (req, res) => {
       return res.status(404).json({ error: 'Claim not found' });
     }
 
+    await auditService.recordView(req, {
+      action: 'VIEW_CLAIM',
+      tableName: 'claims',
+      recordId: claim.id,
+      patientId: claim.patientId
+    });
+
     res.json({ claim });
 
   } catch (error) {
@@ -146,15 +271,27 @@ router.get('/claims/:claimId', async (req, res) => {
 });
 
 // Update claim
-router.put('/claims/:claimId', requireRole(['BILLER', 'ADMIN']), async (req, res) => {
+router.put('/claims/:claimId', requirePermission('claim:update'), async (req, res) => {
   try {
     const { patientId, episodeId, payerId, claimType, claimAmount, status } = req.body;
 
+    if (status === 'SUBMITTED' && !(await hasPermission(req, 'claim:submit'))) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: ['claim:submit']
+      });
+    }
+
     // Get current claim to check if status is changing to SUBMITTED
     const currentClaim = await prisma.claim.findUnique({
       where: { id: req.params.claimId }
     });
 
+    if (!currentClaim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
     const updateData = {
       patientId,
       episodeId: episodeId || null,
@@ -186,6 +323,15 @@ router.put('/claims/:claimId', requireRole(['BILLER', 'ADMIN']), async (req, res
       }
     });
 
+    await auditService.record(req, {
+      action: 'UPDATE_CLAIM',
+      tableName: 'claims',
+      recordId: claim.id,
+      patientId: claim.patientId,
+      oldValues: currentClaim,
+      newValues: claim
+    });
+
     res.json({
       message: 'Claim updated successfully',
       claim
@@ -198,15 +344,27 @@ router.put('/claims/:claimId', requireRole(['BILLER', 'ADMIN']), async (req, res
 });
 
 // Update claim status only
-router.patch('/claims/:claimId/status', requireRole(['BILLER', 'ADMIN']), async (req, res) => {
+router.patch('/claims/:claimId/status', requirePermission('claim:update'), async (req, res) => {
   try {
     const { status } = req.body;
 
+    if (status === 'SUBMITTED' && !(await hasPermission(req, 'claim:submit'))) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: ['claim:submit']
+      });
+    }
+
     // Get current claim to check if status is changing to SUBMITTED
     const currentClaim = await prisma.claim.findUnique({
       where: { id: req.params.claimId }
     });
 
+    if (!currentClaim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
     const updateData = { status };
 
     // If status is changing to SUBMITTED
@@ -231,6 +389,15 @@ router.patch('/claims/:claimId/status', requireRole(['BILLER', 'ADMIN']), async
       }
     });
 
+    await auditService.record(req, {
+      action: status === 'SUBMITTED' ? 'SUBMIT_CLAIM' : 'UPDATE_CLAIM_STATUS',
+      tableName: 'claims',
+      recordId: claim.id,
+      patientId: claim.patientId,
+      oldValues: currentClaim,
+      newValues: claim
+    });
+
     res.json({
       message: 'Claim status updated successfully',
       claim
@@ -243,12 +410,32 @@ router.patch('/claims/:claimId/status', requireRole(['BILLER', 'ADMIN']), async
 });
 
 // Delete claim
-router.delete('/claims/:claimId', requireRole(['BILLER', 'ADMIN']), async (req, res) => {
+router.delete('/claims/:claimId', requirePermission('claim:delete'), async (req, res) => {
   try {
+    const claim = await prisma.claim.findUnique({
+      where: { id: req.params.claimId }
+    });
+
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
     await prisma.claim.delete({
       where: { id: req.params.claimId }
     });
 
+    if (claim.billingPeriodId) {
+      await billingPeriodService.reopenIfUnbilled(claim.billingPeriodId);
+    }
+
+    await auditService.record(req, {
+      action: 'DELETE_CLAIM',
+      tableName: 'claims',
+      recordId: claim.id,
+      patientId: claim.patientId,
+      oldValues: claim
+    });
+
     res.json({ message: 'Claim deleted successfully' });
 
   } catch (error) {
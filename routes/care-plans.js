@@ -0,0 +1,489 @@
+const express = require('express');
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission, getPatientAccessFilter, canAccessPatient } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const carePlanService = require('../services/carePlanService');
+const carePlanPdfService = require('../services/carePlanPdfService');
+
+const { CarePlanError, PROGNOSES, FUNCTIONAL_LIMITATIONS, MENTAL_STATUSES } = carePlanService;
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const DISCIPLINES = ['SN', 'PT', 'OT', 'ST', 'MSW', 'HHA'];
+
+// Validation schemas
+const diagnosisSchema = Joi.object({
+  code: Joi.string().max(10).required(),
+  description: Joi.string().max(255).optional(),
+  type: Joi.string().valid('PRINCIPAL', 'SURGICAL', 'OTHER').required(),
+  onsetDate: Joi.date().optional(),
+  exacerbation: Joi.boolean().default(false)
+});
+
+const orderSchema = Joi.object({
+  discipline: Joi.string().valid(...DISCIPLINES).required(),
+  frequency: Joi.string().max(100).allow(null).optional(),
+  duration: Joi.string().max(100).allow(null).optional(),
+  orderText: Joi.string().max(2000).allow(null).optional()
+});
+
+const goalSchema = Joi.object({
+  discipline: Joi.string().valid(...DISCIPLINES).optional(),
+  description: Joi.string().max(1000).required(),
+  targetDate: Joi.date().optional()
+});
+
+const interventionSchema = Joi.object({
+  discipline: Joi.string().valid(...DISCIPLINES).optional(),
+  description: Joi.string().max(2000).required()
+});
+
+const medicationSchema = Joi.object({
+  name: Joi.string().max(255).required(),
+  dose: Joi.string().max(100).optional(),
+  route: Joi.string().max(50).optional(),
+  frequency: Joi.string().max(100).optional(),
+  status: Joi.string().valid('NEW', 'CHANGED', 'UNCHANGED').optional()
+});
+
+const carePlanFields = {
+  physicianId: Joi.string().allow(null).optional(),
+  medicareNumber: Joi.string().max(20).allow(null).optional(),
+  certFrom: Joi.date().optional(),
+  certTo: Joi.date().optional(),
+  diagnoses: Joi.array().items(diagnosisSchema).max(25).optional(),
+  orders: Joi.array().items(orderSchema).optional(),
+  goals: Joi.array().items(goalSchema).optional(),
+  interventions: Joi.array().items(interventionSchema).optional(),
+  medications: Joi.array().items(medicationSchema).optional(),
+  dme: Joi.array().items(Joi.string().max(255)).optional(),
+  safetyMeasures: Joi.array().items(Joi.string().max(255)).optional(),
+  nutritionalRequirements: Joi.string().max(1000).allow(null, '').optional(),
+  allergies: Joi.string().max(1000).allow(null, '').optional(),
+  functionalLimitations: Joi.array().items(Joi.string().valid(...Object.keys(FUNCTIONAL_LIMITATIONS))).optional(),
+  activitiesPermitted: Joi.array().items(Joi.string().max(100)).optional(),
+  mentalStatus: Joi.array().items(Joi.string().valid(...MENTAL_STATUSES)).optional(),
+  prognosis: Joi.string().valid(...PROGNOSES).allow(null).optional(),
+  rehabPotential: Joi.string().max(1000).allow(null, '').optional(),
+  dischargePlans: Joi.string().max(1000).allow(null, '').optional(),
+  verbalSocDate: Joi.date().allow(null).optional()
+};
+
+const carePlanSchema = Joi.object({
+  episodeId: Joi.string().required(),
+  // Start from the episode and SOC OASIS; supplied fields override
+  prefill: Joi.boolean().default(true),
+  ...carePlanFields
+}).custom((value, helpers) => (
+  value.certFrom && value.certTo && value.certTo < value.certFrom
+    ? helpers.message('certTo must be on or after certFrom')
+    : value
+));
+
+const carePlanUpdateSchema = Joi.object(carePlanFields);
+
+const sendSchema = Joi.object({
+  sentAt: Joi.date().optional()
+});
+
+const returnSchema = Joi.object({
+  physicianSignedAt: Joi.date().required(),
+  returnedAt: Joi.date().optional()
+});
+
+const handleServiceError = (error, res) => {
+  if (error instanceof CarePlanError) {
+    res.status(error.status).json({
+      error: error.message,
+      code: error.code,
+      ...(error.details && { details: error.details })
+    });
+    return true;
+  }
+  return false;
+};
+
+// Load a care plan the current user may see, or send the error response
+const loadCarePlan = async (req, res) => {
+  const carePlan = await prisma.carePlan.findUnique({
+    where: { id: req.params.carePlanId }
+  });
+
+  if (!carePlan) {
+    res.status(404).json({ error: 'Care plan not found' });
+    return null;
+  }
+
+  if (!(await canAccessPatient(req.user, carePlan.patientId))) {
+    res.status(403).json({
+      error: 'Patient is not in your caseload',
+      code: 'PATIENT_ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return carePlan;
+};
+
+// Get care plans
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { patientId, episodeId, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      patient: getPatientAccessFilter(req.user)
+    };
+    if (patientId) where.patientId = patientId;
+    if (episodeId) where.episodeId = episodeId;
+    if (status) where.status = status;
+
+    const [carePlans, total] = await Promise.all([
+      prisma.carePlan.findMany({
+        where,
+        include: {
+          patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
+          episode: { select: { id: true, episodeNumber: true } },
+          physician: { select: { id: true, firstName: true, lastName: true, npi: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.carePlan.count({ where })
+    ]);
+
+    await auditService.recordView(req, {
+      action: 'VIEW_CARE_PLAN_LIST',
+      tableName: 'care_plans',
+      patientIds: carePlans.map(carePlan => carePlan.patientId)
+    });
+
+    res.json({
+      carePlans,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('Get care plans error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Preview the content a new care plan would be pre-populated with
+router.get('/prefill', requirePermission('careplan:create'), async (req, res) => {
+  try {
+    if (!req.query.episodeId) {
+      return res.status(400).json({ error: 'episodeId is required' });
+    }
+
+    const prefill = await carePlanService.prefill(req.query.episodeId);
+
+    if (!(await canAccessPatient(req.user, prefill.patientId))) {
+      return res.status(403).json({
+        error: 'Patient is not in your caseload',
+        code: 'PATIENT_ACCESS_DENIED'
+      });
+    }
+
+    res.json({ carePlan: prefill });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Prefill care plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create care plan
+router.post('/', requirePermission('careplan:create'), async (req, res) => {
+  try {
+    const { error, value } = carePlanSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const { prefill, ...fields } = value;
+    const base = prefill ? await carePlanService.prefill(value.episodeId) : null;
+
+    const episode = base
+      ? { id: base.episodeId, patientId: base.patientId }
+      : await prisma.episode.findUnique({ where: { id: value.episodeId }, select: { id: true, patientId: true } });
+
+    if (!episode) {
+      return res.status(404).json({ error: 'Episode not found', code: 'EPISODE_NOT_FOUND' });
+    }
+
+    if (!(await canAccessPatient(req.user, episode.patientId))) {
+      return res.status(403).json({
+        error: 'Patient is not in your caseload',
+        code: 'PATIENT_ACCESS_DENIED'
+      });
+    }
+
+    const carePlan = await prisma.carePlan.create({
+      data: {
+        ...(base || {}),
+        ...fields,
+        patientId: episode.patientId,
+        status: 'DRAFT',
+        createdBy: req.user.id
+      },
+      include: {
+        patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
+        episode: { select: { id: true, episodeNumber: true } }
+      }
+    });
+
+    await auditService.record(req, {
+      action: 'CREATE_CARE_PLAN',
+      tableName: 'care_plans',
+      recordId: carePlan.id,
+      patientId: carePlan.patientId,
+      newValues: carePlan
+    });
+
+    res.status(201).json({
+      message: 'Care plan created successfully',
+      carePlan
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Create care plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single care plan
+router.get('/:carePlanId', async (req, res) => {
+  try {
+    const carePlan = await loadCarePlan(req, res);
+    if (!carePlan) return;
+
+    const details = await prisma.carePlan.findUnique({
+      where: { id: carePlan.id },
+      include: {
+        patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
+        episode: { select: { id: true, episodeNumber: true, startDate: true } },
+        physician: true
+      }
+    });
+
+    await auditService.recordView(req, {
+      action: 'VIEW_CARE_PLAN',
+      tableName: 'care_plans',
+      recordId: carePlan.id,
+      patientId: carePlan.patientId
+    });
+
+    res.json({
+      carePlan: details,
+      readiness: carePlanService.checkReadyToSend(details)
+    });
+
+  } catch (error) {
+    console.error('Get care plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a draft care plan
+router.put('/:carePlanId', requirePermission('careplan:create'), async (req, res) => {
+  try {
+    const { error, value } = carePlanUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const carePlan = await loadCarePlan(req, res);
+    if (!carePlan) return;
+
+    carePlanService.assertDraft(carePlan);
+
+    // Only while still a draft: the plan may have been sent since it was loaded
+    const { count } = await prisma.carePlan.updateMany({
+      where: { id: carePlan.id, status: 'DRAFT' },
+      data: value
+    });
+    if (count === 0) {
+      throw new CarePlanError('Only draft care plans can be changed', 'CARE_PLAN_NOT_DRAFT', 409);
+    }
+
+    const updatedCarePlan = await prisma.carePlan.findUnique({ where: { id: carePlan.id } });
+
+    await auditService.record(req, {
+      action: 'UPDATE_CARE_PLAN',
+      tableName: 'care_plans',
+      recordId: updatedCarePlan.id,
+      patientId: updatedCarePlan.patientId,
+      oldValues: carePlan,
+      newValues: updatedCarePlan
+    });
+
+    res.json({
+      message: 'Care plan updated successfully',
+      carePlan: updatedCarePlan
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Update care plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record that the care plan was sent to the physician for signature
+router.patch('/:carePlanId/send', requirePermission('careplan:send'), async (req, res) => {
+  try {
+    const { error, value } = sendSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const carePlan = await loadCarePlan(req, res);
+    if (!carePlan) return;
+
+    const updatedCarePlan = await carePlanService.markSent(carePlan, req.user.id, value.sentAt);
+
+    await auditService.record(req, {
+      action: 'SEND_CARE_PLAN',
+      tableName: 'care_plans',
+      recordId: updatedCarePlan.id,
+      patientId: updatedCarePlan.patientId,
+      oldValues: carePlan,
+      newValues: updatedCarePlan
+    });
+
+    res.json({
+      message: 'Care plan marked as sent to physician',
+      carePlan: updatedCarePlan
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Send care plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record the physician-signed care plan coming back
+router.patch('/:carePlanId/return', requirePermission('careplan:send'), async (req, res) => {
+  try {
+    const { error, value } = returnSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const carePlan = await loadCarePlan(req, res);
+    if (!carePlan) return;
+
+    const updatedCarePlan = await carePlanService.markReturned(carePlan, req.user.id, value);
+
+    await auditService.record(req, {
+      action: 'RETURN_CARE_PLAN',
+      tableName: 'care_plans',
+      recordId: updatedCarePlan.id,
+      patientId: updatedCarePlan.patientId,
+      oldValues: carePlan,
+      newValues: updatedCarePlan
+    });
+
+    res.json({
+      message: 'Signed care plan recorded',
+      carePlan: updatedCarePlan
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Return care plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Render the care plan as a CMS-485
+router.get('/:carePlanId/pdf', async (req, res) => {
+  try {
+    const carePlan = await loadCarePlan(req, res);
+    if (!carePlan) return;
+
+    const details = await prisma.carePlan.findUnique({
+      where: { id: carePlan.id },
+      include: {
+        patient: true,
+        episode: { select: { id: true, episodeNumber: true, startDate: true } },
+        physician: true
+      }
+    });
+
+    await auditService.recordView(req, {
+      action: 'DOWNLOAD_CARE_PLAN',
+      tableName: 'care_plans',
+      recordId: carePlan.id,
+      patientId: carePlan.patientId
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="cms485-${details.patient.patientId}-${details.episode.episodeNumber}.pdf"`);
+    carePlanPdfService.render(details, res);
+
+  } catch (error) {
+    console.error('Render care plan error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+// Delete a draft care plan
+router.delete('/:carePlanId', requirePermission('careplan:create'), async (req, res) => {
+  try {
+    const carePlan = await loadCarePlan(req, res);
+    if (!carePlan) return;
+
+    carePlanService.assertDraft(carePlan);
+
+    const { count } = await prisma.carePlan.deleteMany({
+      where: { id: carePlan.id, status: 'DRAFT' }
+    });
+    if (count === 0) {
+      throw new CarePlanError('Only draft care plans can be changed', 'CARE_PLAN_NOT_DRAFT', 409);
+    }
+
+    await auditService.record(req, {
+      action: 'DELETE_CARE_PLAN',
+      tableName: 'care_plans',
+      recordId: carePlan.id,
+      patientId: carePlan.patientId,
+      oldValues: carePlan
+    });
+
+    res.json({ message: 'Care plan deleted successfully' });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Delete care plan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const icd10Service = require('../services/icd10Service');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Search ICD-10-CM codes by code prefix or description
+router.get('/icd10', async (req, res) => {
+  try {
+    const { search } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const billableOnly = req.query.billableOnly !== 'false';
+
+    if (!search || search.trim().length < 2) {
+      return res.status(400).json({
+        error: 'Search must be at least 2 characters',
+        code: 'SEARCH_TOO_SHORT'
+      });
+    }
+
+    const codes = await icd10Service.search(search, { billableOnly, limit });
+
+    res.json({ codes });
+
+  } catch (error) {
+    console.error('Search ICD-10 codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single ICD-10-CM code
+router.get('/icd10/:code', async (req, res) => {
+  try {
+    const code = await icd10Service.findByCode(req.params.code);
+
+    if (!code) {
+      return res.status(404).json({
+        error: 'ICD-10 code not found',
+        code: 'CODE_NOT_FOUND'
+      });
+    }
+
+    res.json({ code });
+
+  } catch (error) {
+    console.error('Get ICD-10 code error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,8 @@ const path = require('path');
 const fs = require('fs');
 const { PrismaClient } = require('@prisma/client');
 const Joi = require('joi');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requirePatientAccess, getPatientAccessFilter, canAccessPatient } = require('../middleware/auth');
+const auditService = require('../services/auditService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -65,7 +66,7 @@ const updateDocumentSchema = Joi.object({
 });
 
 // Get all documents for a patient
-router.get('/patient/:patientId', authenticateToken, async (req, res) => {
+router.get('/patient/:patientId', authenticateToken, requirePatientAccess, async (req, res) => {
   try {
     const { patientId } = req.params;
     const { page = 1, limit = 10, documentType, search } = req.query;
@@ -105,6 +106,12 @@ router.get('/patient/:patientId', authenticateToken, async (req, res) => {
 
     const total = await prisma.document.count({ where });
 
+    await auditService.recordView(req, {
+      action: 'VIEW_DOCUMENT_LIST',
+      tableName: 'documents',
+      patientId
+    });
+
     res.json({
       success: true,
       data: documents,
@@ -131,7 +138,8 @@ router.get('/', authenticateToken, async (req, res) => {
     const { page = 1, limit = 10, documentType, search, patientId } = req.query;
 
     const where = {
-      isActive: true
+      isActive: true,
+      patient: getPatientAccessFilter(req.user)
     };
 
     if (documentType) {
@@ -184,6 +192,11 @@ router.get('/', authenticateToken, async (req, res) => {
       prisma.document.count({ where })
     ]);
 
+    await auditService.recordView(req, {
+      action: 'VIEW_DOCUMENT_LIST',
+      tableName: 'documents',
+      patientIds: documents.map(document => document.patientId)
+    });
 
     res.json({
       success: true,
@@ -238,6 +251,21 @@ router.get('/:documentId', authenticateToken, async (req, res) => {
       });
     }
 
+    if (!(await canAccessPatient(req.user, document.patientId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Patient is not in your caseload',
+        code: 'PATIENT_ACCESS_DENIED'
+      });
+    }
+
+    await auditService.recordView(req, {
+      action: 'VIEW_DOCUMENT',
+      tableName: 'documents',
+      recordId: document.id,
+      patientId: document.patientId
+    });
+
     res.json({
       success: true,
       data: document
@@ -253,7 +281,7 @@ router.get('/:documentId', authenticateToken, async (req, res) => {
 });
 
 // Upload new document
-router.post('/upload', authenticateToken, requireRole(['ADMIN', 'INTAKE_STAFF', 'CLINICIAN']), upload.single('file'), async (req, res) => {
+router.post('/upload', authenticateToken, requirePermission('document:upload'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -305,19 +333,6 @@ router.post('/upload', authenticateToken, requireRole(['ADMIN', 'INTAKE_STAFF',
       });
     }
 
-    // Debug logging
-    console.log('Document upload data:', {
-      patientId: value.patientId,
-      fileName: req.file.filename,
-      originalName: req.file.originalname,
-      fileType: req.file.mimetype,
-      fileSize: req.file.size,
-      filePath: req.file.path,
-      documentType: value.documentType,
-      description: value.description,
-      uploadedBy: req.user?.userId || req.user?.id
-    });
-
     const document = await prisma.document.create({
       data: {
         patientId: value.patientId,
@@ -348,6 +363,14 @@ router.post('/upload', authenticateToken, requireRole(['ADMIN', 'INTAKE_STAFF',
       }
     });
 
+    await auditService.record(req, {
+      action: 'UPLOAD_DOCUMENT',
+      tableName: 'documents',
+      recordId: document.id,
+      patientId: document.patientId,
+      newValues: document
+    });
+
     res.status(201).json({
       success: true,
       message: 'Document uploaded successfully',
@@ -369,7 +392,7 @@ router.post('/upload', authenticateToken, requireRole(['ADMIN', 'INTAKE_STAFF',
 });
 
 // Update document
-router.put('/:documentId', authenticateToken, requireRole(['ADMIN', 'INTAKE_STAFF', 'CLINICIAN']), async (req, res) => {
+router.put('/:documentId', authenticateToken, requirePermission('document:update'), async (req, res) => {
   try {
     const { documentId } = req.params;
     const { error, value } = updateDocumentSchema.validate(req.body);
@@ -421,6 +444,15 @@ router.put('/:documentId', authenticateToken, requireRole(['ADMIN', 'INTAKE_STAF
       }
     });
 
+    await auditService.record(req, {
+      action: 'UPDATE_DOCUMENT',
+      tableName: 'documents',
+      recordId: document.id,
+      patientId: document.patientId,
+      oldValues: existingDocument,
+      newValues: document
+    });
+
     res.json({
       success: true,
       message: 'Document updated successfully',
@@ -452,6 +484,14 @@ router.get('/:documentId/download', authenticateToken, async (req, res) => {
       });
     }
 
+    if (!(await canAccessPatient(req.user, document.patientId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Patient is not in your caseload',
+        code: 'PATIENT_ACCESS_DENIED'
+      });
+    }
+
     if (!fs.existsSync(document.filePath)) {
       return res.status(404).json({
         success: false,
@@ -459,6 +499,13 @@ router.get('/:documentId/download', authenticateToken, async (req, res) => {
       });
     }
 
+    await auditService.recordView(req, {
+      action: 'DOWNLOAD_DOCUMENT',
+      tableName: 'documents',
+      recordId: document.id,
+      patientId: document.patientId
+    });
+
     res.download(document.filePath, document.originalName);
   } catch (error) {
     console.error('Error downloading document:', error);
@@ -471,7 +518,7 @@ router.get('/:documentId/download', authenticateToken, async (req, res) => {
 });
 
 // Delete document (soft delete)
-router.delete('/:documentId', authenticateToken, requireRole(['ADMIN', 'INTAKE_STAFF', 'CLINICIAN']), async (req, res) => {
+router.delete('/:documentId', authenticateToken, requirePermission('document:delete'), async (req, res) => {
   try {
     const { documentId } = req.params;
 
@@ -492,6 +539,15 @@ router.delete('/:documentId', authenticateToken, requireRole(['ADMIN', 'INTAKE_S
       data: { isActive: false }
     });
 
+    await auditService.record(req, {
+      action: 'DELETE_DOCUMENT',
+      tableName: 'documents',
+      recordId: document.id,
+      patientId: document.patientId,
+      oldValues: document,
+      newValues: { ...document, isActive: false }
+    });
+
     res.json({
       success: true,
       message: 'Document deleted successfully'
@@ -1,7 +1,20 @@
 const express = require('express');
 const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission, getPatientAccessFilter, canAccessPatient } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const billingPeriodService = require('../services/billingPeriodService');
+const recertificationService = require('../services/recertificationService');
+const episodeLifecycleService = require('../services/episodeLifecycleService');
+const physicianOrderService = require('../services/physicianOrderService');
+const icd10Service = require('../services/icd10Service');
+const frequencyComplianceService = require('../services/frequencyComplianceService');
+
+const { BillingPeriodError } = billingPeriodService;
+const { RecertificationError } = recertificationService;
+const { EpisodeLifecycleError } = episodeLifecycleService;
+const { FREQUENCY_PATTERN } = physicianOrderService;
+const { Icd10Error, DIAGNOSIS_TYPES } = icd10Service;
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -10,18 +23,104 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // Validation schemas
+const diagnosisSchema = Joi.object({
+  code: Joi.string().max(8).required(),
+  type: Joi.string().valid(...DIAGNOSIS_TYPES).required(),
+  onsetDate: Joi.date().optional(),
+  exacerbation: Joi.boolean().default(false)
+});
+
 const episodeSchema = Joi.object({
   patientId: Joi.string().required(),
   episodeNumber: Joi.string().required(),
   startDate: Joi.date().required(),
   endDate: Joi.date().optional(),
-  status: Joi.string().valid('ACTIVE', 'DISCHARGED', 'SUSPENDED', 'CANCELLED').default('ACTIVE'),
+  status: Joi.string().valid('ACTIVE', 'DISCHARGED', 'SUSPENDED', 'CANCELLED', 'RECERTIFIED').default('ACTIVE'),
   disciplines: Joi.array().items(Joi.string().valid('SN', 'PT', 'OT', 'ST', 'MSW', 'HHA')).required(),
   frequencyPerWeek: Joi.number().integer().min(1).max(7).optional(),
+  disciplineFrequencies: Joi.object().pattern(
+    Joi.string().valid('SN', 'PT', 'OT', 'ST', 'MSW', 'HHA'),
+    Joi.string().pattern(FREQUENCY_PATTERN)
+  ).optional(),
   visitDurationMinutes: Joi.number().integer().min(15).max(480).optional(),
+  careGoals: Joi.string().optional(),
+  diagnoses: Joi.array().items(diagnosisSchema).max(25).optional(),
+  // Code-only form; prefer diagnoses
+  primaryDiagnosis: Joi.string().max(10).optional(),
+  secondaryDiagnoses: Joi.array().items(Joi.string().max(10)).max(24).optional(),
+  admissionSource: Joi.string().valid('COMMUNITY', 'INSTITUTIONAL').optional(),
+  isRecertification: Joi.boolean().optional()
+});
+
+const dischargeSchema = Joi.object({
+  endDate: Joi.date().optional(),
+  // Older clients send free text; only the listed codes are stored as the reason
+  dischargeReason: Joi.string().max(255).optional(),
+  notes: Joi.string().max(1000).optional()
+});
+
+const transferSchema = Joi.object({
+  transferDate: Joi.date().required(),
+  facilityName: Joi.string().max(255).optional(),
+  assessmentId: Joi.string().optional()
+});
+
+const resumeSchema = Joi.object({
+  resumptionDate: Joi.date().required(),
+  assessmentId: Joi.string().optional()
+});
+
+const recertifySchema = Joi.object({
+  episodeNumber: Joi.string().optional(),
   careGoals: Joi.string().optional()
 });
 
+const careTeamSchema = Joi.object({
+  members: Joi.array().items(Joi.object({
+    userId: Joi.string().required(),
+    role: Joi.string().max(50).optional()
+  })).unique('userId').required()
+});
+
+const periodStatusSchema = Joi.object({
+  status: Joi.string().valid('OPEN', 'CLOSED', 'CANCELLED').required()
+});
+
+// Validate diagnoses and keep the primary/secondary code columns the
+// PDGM grouper reads in step with them
+const applyDiagnoses = async (value, fallback) => {
+  const diagnoses = value.diagnoses
+    || (value.primaryDiagnosis || value.secondaryDiagnoses
+      ? icd10Service.fromCodes(value.primaryDiagnosis, value.secondaryDiagnoses)
+      : fallback);
+  if (!diagnoses || diagnoses.length === 0) {
+    return value;
+  }
+  return { ...value, ...(await icd10Service.resolve(diagnoses)) };
+};
+
+// Send a 404 unless the episode exists and its patient is in the caller's
+// caseload
+const findAccessibleEpisode = async (req, res) => {
+  const episode = await prisma.episode.findFirst({
+    where: { id: req.params.episodeId, patient: getPatientAccessFilter(req.user) },
+    select: { id: true }
+  });
+  if (!episode) {
+    res.status(404).json({
+      error: 'Episode not found',
+      code: 'EPISODE_NOT_FOUND'
+    });
+  }
+  return episode;
+};
+
+const sendDiagnosisError = (error, res) => res.status(error.status).json({
+  error: error.message,
+  code: error.code,
+  details: error.details
+});
+
 // Get all episodes with pagination and filtering
 router.get('/', async (req, res) => {
   try {
@@ -33,7 +132,7 @@ router.get('/', async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Build where clause
-    const where = {};
+    const where = { patient: getPatientAccessFilter(req.user) };
     
     if (search) {
       where.OR = [
@@ -77,6 +176,12 @@ router.get('/', async (req, res) => {
       prisma.episode.count({ where })
     ]);
 
+    await auditService.recordView(req, {
+      action: 'VIEW_EPISODE_LIST',
+      tableName: 'episodes',
+      patientIds: episodes.map(episode => episode.patientId)
+    });
+
     res.json({
       episodes,
       pagination: {
@@ -96,11 +201,34 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Episodes due for recertification within `days` (default 14), plus overdue
+router.get('/recert-due', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 14, 60);
+    const worklist = await recertificationService.worklist(days, getPatientAccessFilter(req.user));
+
+    await auditService.recordView(req, {
+      action: 'VIEW_RECERT_WORKLIST',
+      tableName: 'episodes',
+      patientIds: worklist.map(entry => entry.patient.id)
+    });
+
+    res.json({ days, episodes: worklist });
+
+  } catch (error) {
+    console.error('Get recert worklist error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 // Get single episode by ID
 router.get('/:episodeId', async (req, res) => {
   try {
-    const episode = await prisma.episode.findUnique({
-      where: { id: req.params.episodeId },
+    const episode = await prisma.episode.findFirst({
+      where: { id: req.params.episodeId, patient: getPatientAccessFilter(req.user) },
       include: {
         patient: true,
         oasisAssessments: {
@@ -124,6 +252,9 @@ router.get('/:episodeId', async (req, res) => {
           include: {
             payer: true
           }
+        },
+        billingPeriods: {
+          orderBy: { periodNumber: 'asc' }
         }
       }
     });
@@ -135,6 +266,13 @@ router.get('/:episodeId', async (req, res) => {
       });
     }
 
+    await auditService.recordView(req, {
+      action: 'VIEW_EPISODE',
+      tableName: 'episodes',
+      recordId: episode.id,
+      patientId: episode.patientId
+    });
+
     res.json({ episode });
 
   } catch (error) {
@@ -147,7 +285,7 @@ router.get('/:episodeId', async (req, res) => {
 });
 
 // Create new episode
-router.post('/', requireRole(['INTAKE_STAFF', 'CLINICIAN', 'ADMIN']), async (req, res) => {
+router.post('/', requirePermission('episode:create'), async (req, res) => {
   try {
     const { error, value } = episodeSchema.validate(req.body);
     if (error) {
@@ -181,29 +319,41 @@ router.post('/', requireRole(['INTAKE_STAFF', 'CLINICIAN', 'ADMIN']), async (req
       });
     }
 
-    const episode = await prisma.episode.create({
-      data: {
-        ...value,
-        createdBy: req.user.id
-      },
-      include: {
-        patient: {
-          select: { id: true, patientId: true, firstName: true, lastName: true }
+    if (!(await canAccessPatient(req.user, patient.id))) {
+      return res.status(403).json({
+        error: 'Patient is not in your caseload',
+        code: 'PATIENT_ACCESS_DENIED'
+      });
+    }
+
+    // Diagnoses default to the patient's list
+    const data = await applyDiagnoses(value, patient.diagnoses);
+
+    // Create the episode and its 30-day billing periods together
+    const episode = await prisma.$transaction(async (tx) => {
+      const created = await tx.episode.create({
+        data: {
+          ...data,
+          createdBy: req.user.id
+        },
+        include: {
+          patient: {
+            select: { id: true, patientId: true, firstName: true, lastName: true }
+          }
         }
-      }
+      });
+
+      created.billingPeriods = await billingPeriodService.generateForEpisode(created, tx);
+      return created;
     });
 
     // Log the creation
-    await prisma.auditLog.create({
-      data: {
-        userId: req.user.id,
-        action: 'CREATE_EPISODE',
-        tableName: 'episodes',
-        recordId: episode.id,
-        newValues: episode,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
-      }
+    await auditService.record(req, {
+      action: 'CREATE_EPISODE',
+      tableName: 'episodes',
+      recordId: episode.id,
+      patientId: episode.patientId,
+      newValues: episode
     });
 
     res.status(201).json({
@@ -212,6 +362,9 @@ router.post('/', requireRole(['INTAKE_STAFF', 'CLINICIAN', 'ADMIN']), async (req
     });
 
   } catch (error) {
+    if (error instanceof Icd10Error) {
+      return sendDiagnosisError(error, res);
+    }
     console.error('Create episode error:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -221,7 +374,7 @@ router.post('/', requireRole(['INTAKE_STAFF', 'CLINICIAN', 'ADMIN']), async (req
 });
 
 // Update episode
-router.put('/:episodeId', requireRole(['INTAKE_STAFF', 'CLINICIAN', 'ADMIN']), async (req, res) => {
+router.put('/:episodeId', requirePermission('episode:update'), async (req, res) => {
   try {
     const { error, value } = episodeSchema.validate(req.body);
     if (error) {
@@ -232,8 +385,8 @@ router.put('/:episodeId', requireRole(['INTAKE_STAFF', 'CLINICIAN', 'ADMIN']), a
     }
 
     // Get current episode data for audit log
-    const currentEpisode = await prisma.episode.findUnique({
-      where: { id: req.params.episodeId }
+    const currentEpisode = await prisma.episode.findFirst({
+      where: { id: req.params.episodeId, patient: getPatientAccessFilter(req.user) }
     });
 
     if (!currentEpisode) {
@@ -243,28 +396,41 @@ router.put('/:episodeId', requireRole(['INTAKE_STAFF', 'CLINICIAN', 'ADMIN']), a
       });
     }
 
-    const updatedEpisode = await prisma.episode.update({
-      where: { id: req.params.episodeId },
-      data: value,
-      include: {
-        patient: {
-          select: { id: true, patientId: true, firstName: true, lastName: true }
+    // Status only changes through the lifecycle rules; omitting it keeps
+    // the current status rather than the schema default
+    value.status = req.body.status === undefined ? currentEpisode.status : value.status;
+    episodeLifecycleService.assertDirectTransition(currentEpisode, value.status);
+
+    const data = await applyDiagnoses(value);
+
+    // Periods follow the start date, in the same transaction as the
+    // episode; refused once a period has been billed
+    const updatedEpisode = await prisma.$transaction(async (tx) => {
+      const episode = await tx.episode.update({
+        where: { id: req.params.episodeId },
+        data,
+        include: {
+          patient: {
+            select: { id: true, patientId: true, firstName: true, lastName: true }
+          }
         }
+      });
+
+      if (new Date(episode.startDate).getTime() !== new Date(currentEpisode.startDate).getTime()) {
+        await billingPeriodService.realign(episode, tx);
       }
+
+      return episode;
     });
 
     // Log the update
-    await prisma.auditLog.create({
-      data: {
-        userId: req.user.id,
-        action: 'UPDATE_EPISODE',
-        tableName: 'episodes',
-        recordId: updatedEpisode.id,
-        oldValues: currentEpisode,
-        newValues: updatedEpisode,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
-      }
+    await auditService.record(req, {
+      action: 'UPDATE_EPISODE',
+      tableName: 'episodes',
+      recordId: updatedEpisode.id,
+      patientId: updatedEpisode.patientId,
+      oldValues: currentEpisode,
+      newValues: updatedEpisode
     });
 
     res.json({
@@ -273,6 +439,12 @@ router.put('/:episodeId', requireRole(['INTAKE_STAFF', 'CLINICIAN', 'ADMIN']), a
     });
 
   } catch (error) {
+    if (error instanceof Icd10Error) {
+      return sendDiagnosisError(error, res);
+    }
+    if (error instanceof BillingPeriodError || error instanceof EpisodeLifecycleError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Update episode error:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -282,12 +454,144 @@ router.put('/:episodeId', requireRole(['INTAKE_STAFF', 'CLINICIAN', 'ADMIN']), a
 });
 
 // Discharge episode
-router.patch('/:episodeId/discharge', requireRole(['CLINICIAN', 'ADMIN']), async (req, res) => {
+router.patch('/:episodeId/discharge', requirePermission('episode:discharge'), async (req, res) => {
   try {
-    const { endDate, dischargeReason } = req.body;
+    const { error, value } = dischargeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!(await findAccessibleEpisode(req, res))) return;
 
-    const episode = await prisma.episode.findUnique({
-      where: { id: req.params.episodeId }
+    const result = await episodeLifecycleService.discharge(req.params.episodeId, req.user.id, value);
+
+    // Log the discharge
+    await auditService.record(req, {
+      action: 'DISCHARGE_EPISODE',
+      tableName: 'episodes',
+      recordId: result.episode.id,
+      patientId: result.episode.patientId,
+      oldValues: result.previous,
+      newValues: result.episode
+    });
+
+    res.json({
+      message: 'Episode discharged successfully',
+      episode: result.episode
+    });
+
+  } catch (error) {
+    if (error instanceof EpisodeLifecycleError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Discharge episode error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Transfer the patient to an inpatient facility
+router.patch('/:episodeId/transfer', requirePermission('episode:update'), async (req, res) => {
+  try {
+    const { error, value } = transferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!(await findAccessibleEpisode(req, res))) return;
+
+    const result = await episodeLifecycleService.transfer(req.params.episodeId, req.user.id, value);
+
+    await auditService.record(req, {
+      action: 'TRANSFER_EPISODE',
+      tableName: 'episodes',
+      recordId: result.episode.id,
+      patientId: result.episode.patientId,
+      oldValues: result.previous,
+      newValues: result.episode,
+      metadata: { assessmentId: result.assessment.id, schedulesHeld: result.schedulesHeld }
+    });
+
+    res.json({
+      message: 'Episode transferred successfully',
+      episode: result.episode,
+      schedulesHeld: result.schedulesHeld
+    });
+
+  } catch (error) {
+    if (error instanceof EpisodeLifecycleError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Transfer episode error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Resume care after an inpatient stay
+router.patch('/:episodeId/resume', requirePermission('episode:update'), async (req, res) => {
+  try {
+    const { error, value } = resumeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!(await findAccessibleEpisode(req, res))) return;
+
+    const result = await episodeLifecycleService.resume(req.params.episodeId, req.user.id, value);
+
+    await auditService.record(req, {
+      action: 'RESUME_EPISODE',
+      tableName: 'episodes',
+      recordId: result.episode.id,
+      patientId: result.episode.patientId,
+      oldValues: result.previous,
+      newValues: result.episode,
+      metadata: {
+        assessmentId: result.assessment.id,
+        schedulesResumed: result.schedulesResumed,
+        schedulesCancelled: result.schedulesCancelled
+      }
+    });
+
+    res.json({
+      message: 'Care resumed successfully',
+      episode: result.episode,
+      schedulesResumed: result.schedulesResumed,
+      schedulesCancelled: result.schedulesCancelled
+    });
+
+  } catch (error) {
+    if (error instanceof EpisodeLifecycleError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Resume episode error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get the status history of an episode
+router.get('/:episodeId/history', async (req, res) => {
+  try {
+    const episode = await prisma.episode.findFirst({
+      where: { id: req.params.episodeId, patient: getPatientAccessFilter(req.user) },
+      select: { id: true, patientId: true, status: true }
     });
 
     if (!episode) {
@@ -297,42 +601,328 @@ router.patch('/:episodeId/discharge', requireRole(['CLINICIAN', 'ADMIN']), async
       });
     }
 
-    if (episode.status === 'DISCHARGED') {
+    const transitions = await episodeLifecycleService.history(episode.id);
+
+    await auditService.recordView(req, {
+      action: 'VIEW_EPISODE_HISTORY',
+      tableName: 'episodes',
+      recordId: episode.id,
+      patientId: episode.patientId
+    });
+
+    res.json({ status: episode.status, transitions });
+
+  } catch (error) {
+    console.error('Get episode history error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Clinicians on an episode's care team, who have the patient in their caseload
+router.get('/:episodeId/care-team', async (req, res) => {
+  try {
+    const episode = await prisma.episode.findFirst({
+      where: { id: req.params.episodeId, patient: getPatientAccessFilter(req.user) },
+      select: {
+        id: true,
+        patientId: true,
+        careTeam: {
+          include: {
+            user: { select: { id: true, firstName: true, lastName: true, role: true } }
+          }
+        }
+      }
+    });
+
+    if (!episode) {
+      return res.status(404).json({
+        error: 'Episode not found',
+        code: 'EPISODE_NOT_FOUND'
+      });
+    }
+
+    await auditService.recordView(req, {
+      action: 'VIEW_EPISODE_CARE_TEAM',
+      tableName: 'episodes',
+      recordId: episode.id,
+      patientId: episode.patientId
+    });
+
+    res.json({ careTeam: episode.careTeam });
+
+  } catch (error) {
+    console.error('Get episode care team error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Replace an episode's care team
+router.put('/:episodeId/care-team', requirePermission('episode:update'), async (req, res) => {
+  try {
+    const { error, value } = careTeamSchema.validate(req.body);
+    if (error) {
       return res.status(400).json({
-        error: 'Episode already discharged',
-        code: 'EPISODE_ALREADY_DISCHARGED'
+        error: 'Validation error',
+        details: error.details[0].message
       });
     }
 
-    const updatedEpisode = await prisma.episode.update({
-      where: { id: req.params.episodeId },
-      data: {
-        status: 'DISCHARGED',
-        endDate: endDate || new Date()
+    const episode = await prisma.episode.findFirst({
+      where: { id: req.params.episodeId, patient: getPatientAccessFilter(req.user) },
+      select: {
+        id: true,
+        patientId: true,
+        careTeam: { select: { userId: true, role: true } }
       }
     });
 
-    // Log the discharge
-    await prisma.auditLog.create({
-      data: {
-        userId: req.user.id,
-        action: 'DISCHARGE_EPISODE',
-        tableName: 'episodes',
-        recordId: updatedEpisode.id,
-        oldValues: episode,
-        newValues: updatedEpisode,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
-      }
+    if (!episode) {
+      return res.status(404).json({
+        error: 'Episode not found',
+        code: 'EPISODE_NOT_FOUND'
+      });
+    }
+
+    const userIds = value.members.map(member => member.userId);
+    const activeUsers = await prisma.user.count({
+      where: { id: { in: userIds }, isActive: true }
+    });
+
+    if (activeUsers !== userIds.length) {
+      return res.status(400).json({
+        error: 'One or more users not found or inactive',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.episodeCareTeamMember.deleteMany({ where: { episodeId: episode.id } }),
+      prisma.episodeCareTeamMember.createMany({
+        data: value.members.map(member => ({
+          episodeId: episode.id,
+          userId: member.userId,
+          role: member.role || null,
+          assignedBy: req.user.id
+        }))
+      })
+    ]);
+
+    await auditService.record(req, {
+      action: 'UPDATE_EPISODE_CARE_TEAM',
+      tableName: 'episode_care_team_members',
+      recordId: episode.id,
+      patientId: episode.patientId,
+      oldValues: { members: episode.careTeam },
+      newValues: { members: value.members }
     });
 
     res.json({
-      message: 'Episode discharged successfully',
-      episode: updatedEpisode
+      message: 'Care team updated successfully',
+      members: value.members
     });
 
   } catch (error) {
-    console.error('Discharge episode error:', error);
+    console.error('Update episode care team error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Ordered against delivered visits per discipline and week
+router.get('/:episodeId/frequency-compliance', async (req, res) => {
+  try {
+    const episode = await prisma.episode.findFirst({
+      where: { id: req.params.episodeId, patient: getPatientAccessFilter(req.user) },
+      select: { id: true }
+    });
+
+    if (!episode) {
+      return res.status(404).json({
+        error: 'Episode not found',
+        code: 'EPISODE_NOT_FOUND'
+      });
+    }
+
+    const compliance = await frequencyComplianceService.episodeCompliance(episode.id);
+
+    await auditService.recordView(req, {
+      action: 'VIEW_FREQUENCY_COMPLIANCE',
+      tableName: 'episodes',
+      recordId: compliance.episodeId,
+      patientId: compliance.patientId
+    });
+
+    res.json(compliance);
+
+  } catch (error) {
+    if (error instanceof frequencyComplianceService.FrequencyComplianceError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Get frequency compliance error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Recertify an episode into the follow-on 60-day certification period
+router.post('/:episodeId/recertify', requirePermission('episode:recertify'), async (req, res) => {
+  try {
+    const { error, value } = recertifySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!(await findAccessibleEpisode(req, res))) return;
+
+    const result = await recertificationService.recertify(req.params.episodeId, req.user.id, value);
+
+    await auditService.record(req, {
+      action: 'RECERTIFY_EPISODE',
+      tableName: 'episodes',
+      recordId: result.previous.id,
+      patientId: result.previous.patientId,
+      oldValues: result.previousEpisode,
+      newValues: result.previous,
+      metadata: { nextEpisodeId: result.episode.id, recertAssessmentId: result.assessment.id }
+    });
+
+    await auditService.record(req, {
+      action: 'CREATE_EPISODE',
+      tableName: 'episodes',
+      recordId: result.episode.id,
+      patientId: result.episode.patientId,
+      newValues: result.episode
+    });
+
+    res.status(201).json({
+      message: 'Episode recertified successfully',
+      episode: result.episode,
+      previousEpisode: result.previous
+    });
+
+  } catch (error) {
+    if (error instanceof RecertificationError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        ...(error.window && { window: error.window })
+      });
+    }
+    console.error('Recertify episode error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get the 30-day billing periods of an episode
+router.get('/:episodeId/periods', async (req, res) => {
+  try {
+    const episode = await prisma.episode.findFirst({
+      where: { id: req.params.episodeId, patient: getPatientAccessFilter(req.user) },
+      select: { id: true, episodeNumber: true, patientId: true, startDate: true, endDate: true }
+    });
+
+    if (!episode) {
+      return res.status(404).json({
+        error: 'Episode not found',
+        code: 'EPISODE_NOT_FOUND'
+      });
+    }
+
+    const periods = await billingPeriodService.listForEpisode(episode.id);
+    const now = new Date();
+
+    await auditService.recordView(req, {
+      action: 'VIEW_BILLING_PERIODS',
+      tableName: 'billing_periods',
+      recordId: episode.id,
+      patientId: episode.patientId
+    });
+
+    res.json({
+      episode,
+      periods: periods.map(period => ({
+        ...period,
+        isCurrent: period.startDate <= now && now < new Date(period.endDate.getTime() + 24 * 60 * 60 * 1000)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get billing periods error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Update a billing period status. BILLED is set when a claim is created.
+router.patch('/:episodeId/periods/:periodId/status', requirePermission('episode:update'), async (req, res) => {
+  try {
+    const { error, value } = periodStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!(await findAccessibleEpisode(req, res))) return;
+
+    const period = await prisma.billingPeriod.findFirst({
+      where: { id: req.params.periodId, episodeId: req.params.episodeId }
+    });
+
+    if (!period) {
+      return res.status(404).json({
+        error: 'Billing period not found',
+        code: 'PERIOD_NOT_FOUND'
+      });
+    }
+
+    if (period.status === 'BILLED') {
+      return res.status(409).json({
+        error: 'Billed periods cannot change status',
+        code: 'PERIOD_BILLED'
+      });
+    }
+
+    const updatedPeriod = await prisma.billingPeriod.update({
+      where: { id: period.id },
+      data: { status: value.status }
+    });
+
+    await auditService.record(req, {
+      action: 'UPDATE_BILLING_PERIOD_STATUS',
+      tableName: 'billing_periods',
+      recordId: updatedPeriod.id,
+      patientId: updatedPeriod.patientId,
+      oldValues: period,
+      newValues: updatedPeriod
+    });
+
+    res.json({
+      message: 'Billing period updated successfully',
+      period: updatedPeriod
+    });
+
+  } catch (error) {
+    console.error('Update billing period status error:', error);
     res.status(500).json({
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
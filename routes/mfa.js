@@ -0,0 +1,378 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const mfaService = require('../services/mfaService');
+const sessionService = require('../services/sessionService');
+const passwordPolicy = require('../services/passwordPolicyService');
+const auditService = require('../services/auditService');
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+// Validation schemas
+const codeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+const verifyLoginSchema = Joi.object({
+  mfaToken: Joi.string().required(),
+  code: Joi.string().pattern(/^\d{6}$/),
+  recoveryCode: Joi.string().max(20)
+}).xor('code', 'recoveryCode');
+
+const disableSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+// Enrollment accepts either a normal access token or the short-lived
+// mfa_pending token, so users whose role mandates MFA can enroll mid-login
+const authenticateEnrollment = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  let decoded;
+  try {
+    decoded = token && mfaService.verifyPendingToken(token);
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      include: { staffProfile: true }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Invalid or inactive user',
+        code: 'INVALID_USER'
+      });
+    }
+
+    req.user = user;
+    req.mfaPending = true;
+    next();
+  } catch (error) {
+    console.error('MFA enrollment auth error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// Get MFA status for the current user
+router.get('/status', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      mfaEnabled: !!req.user.mfaEnabled,
+      required: mfaService.isRequiredForRole(req.user.role),
+      remainingRecoveryCodes: req.user.mfaEnabled
+        ? await mfaService.remainingRecoveryCodes(req.user.id)
+        : 0
+    });
+
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Start enrollment: generate a secret and return the otpauth URI for the QR code
+router.post('/enroll', authenticateEnrollment, async (req, res) => {
+  try {
+    if (req.user.mfaEnabled) {
+      return res.status(409).json({
+        error: 'MFA is already enabled',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = mfaService.generateSecret();
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { mfaPendingSecret: mfaService.encryptSecret(secret) }
+    });
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: mfaService.buildOtpauthUri(req.user.email, secret)
+    });
+
+  } catch (error) {
+    console.error('MFA enroll error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/enroll/verify', authenticateEnrollment, async (req, res) => {
+  try {
+    const { error, value } = codeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!req.user.mfaPendingSecret) {
+      return res.status(400).json({
+        error: 'No MFA enrollment in progress',
+        code: 'MFA_ENROLLMENT_NOT_STARTED'
+      });
+    }
+
+    const step = mfaService.matchTotp(mfaService.decryptSecret(req.user.mfaPendingSecret), value.code);
+    if (step === null) {
+      return res.status(401).json({
+        error: 'Invalid verification code',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        mfaEnabled: true,
+        mfaSecret: req.user.mfaPendingSecret,
+        mfaPendingSecret: null,
+        mfaEnabledAt: new Date(),
+        mfaLastUsedStep: step
+      }
+    });
+
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user.id);
+
+    await auditService.record(req, {
+      action: 'MFA_ENABLED',
+      tableName: 'users',
+      recordId: req.user.id
+    });
+
+    const response = {
+      message: 'MFA enabled successfully. Store your recovery codes somewhere safe.',
+      recoveryCodes
+    };
+
+    // Enrollment finished a pending login, so complete it
+    if (req.mfaPending) {
+      await passwordPolicy.registerSuccessfulLogin(req.user);
+      const { token, refreshToken } = await sessionService.createSession(req.user, req);
+      await prisma.user.update({
+        where: { id: req.user.id },
+        data: { lastLogin: new Date() }
+      });
+      const { passwordHash, mfaSecret, mfaPendingSecret, ...userData } = req.user;
+      Object.assign(response, { token, refreshToken, user: { ...userData, mfaEnabled: true } });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('MFA enroll verify error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Second login step: exchange the mfa_pending token and a code for a session
+router.post('/verify', async (req, res) => {
+  try {
+    const { error, value } = verifyLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = mfaService.verifyPendingToken(value.mfaToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        error: 'MFA session expired, please log in again',
+        code: 'INVALID_MFA_TOKEN'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      include: { staffProfile: true }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Invalid or inactive user',
+        code: 'INVALID_USER'
+      });
+    }
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({
+        error: 'MFA enrollment required',
+        code: 'MFA_ENROLLMENT_REQUIRED'
+      });
+    }
+
+    // The password was already proven, so the lockout can be disclosed here
+    if (passwordPolicy.isLocked(user)) {
+      return res.status(423).json({
+        error: 'Account is temporarily locked due to repeated failed logins',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    const method = await mfaService.verifySecondFactor(user, value);
+    if (!method) {
+      await auditService.record(req, {
+        userId: user.id,
+        action: 'MFA_FAILED',
+        tableName: 'users',
+        recordId: user.id
+      });
+
+      // Failed codes count toward the same lockout as failed passwords
+      const { locked } = await passwordPolicy.registerFailedLogin(user, req);
+      if (locked) {
+        return res.status(423).json({
+          error: 'Account is temporarily locked due to repeated failed logins',
+          code: 'ACCOUNT_LOCKED'
+        });
+      }
+
+      return res.status(401).json({
+        error: 'Invalid verification code',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    await passwordPolicy.registerSuccessfulLogin(user);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lastLogin: new Date() }
+    });
+
+    const { token, refreshToken } = await sessionService.createSession(user, req);
+    const { passwordHash, mfaSecret, mfaPendingSecret, ...userData } = user;
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: userData,
+      ...(method === 'RECOVERY_CODE' && {
+        remainingRecoveryCodes: await mfaService.remainingRecoveryCodes(user.id)
+      })
+    });
+
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Regenerate recovery codes (invalidates the old set)
+router.post('/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = codeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!(await mfaService.verifyUserTotp(req.user, value.code))) {
+      return res.status(401).json({
+        error: 'Invalid verification code',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Disable MFA (not allowed for roles where it is mandatory)
+router.post('/disable', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = disableSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (mfaService.isRequiredForRole(req.user.role)) {
+      return res.status(403).json({
+        error: 'MFA is mandatory for your role',
+        code: 'MFA_REQUIRED_FOR_ROLE'
+      });
+    }
+
+    const isValidPassword = await bcrypt.compare(value.password, req.user.passwordHash);
+    if (!isValidPassword || !(await mfaService.verifyUserTotp(req.user, value.code))) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    await mfaService.resetForUser(req.user.id);
+
+    await auditService.record(req, {
+      action: 'MFA_DISABLED',
+      tableName: 'users',
+      recordId: req.user.id
+    });
+
+    res.json({ message: 'MFA disabled successfully' });
+
+  } catch (error) {
+    console.error('Disable MFA error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
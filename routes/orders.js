@@ -0,0 +1,451 @@
+const express = require('express');
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission, getPatientAccessFilter, canAccessPatient } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const physicianOrderService = require('../services/physicianOrderService');
+
+const { PhysicianOrderError, FREQUENCY_PATTERN } = physicianOrderService;
+
+const DISCIPLINES = ['SN', 'PT', 'OT', 'ST', 'MSW', 'HHA'];
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Validation schemas
+// Plan of care and verbal orders are created through their own workflows
+const orderSchema = Joi.object({
+  patientId: Joi.string().required(),
+  episodeId: Joi.string().required(),
+  physicianId: Joi.string().required(),
+  orderType: Joi.string().valid('INTERIM').default('INTERIM'),
+  orderText: Joi.string().min(1).max(5000).required(),
+  orderDate: Joi.date().default(() => new Date()),
+  dueDate: Joi.date().optional()
+});
+
+const verbalOrderSchema = Joi.object({
+  patientId: Joi.string().required(),
+  episodeId: Joi.string().required(),
+  physicianId: Joi.string().required(),
+  orderText: Joi.string().min(1).max(5000).required(),
+  receivedAt: Joi.date().max('now').optional(),
+  effectiveDate: Joi.date().optional(),
+  dueDate: Joi.date().optional(),
+  // A null frequency discontinues the discipline
+  disciplineChanges: Joi.array().items(Joi.object({
+    discipline: Joi.string().valid(...DISCIPLINES).required(),
+    frequency: Joi.string().pattern(FREQUENCY_PATTERN).allow(null).required()
+  })).unique('discipline').default([]),
+  readBack: Joi.object({
+    attested: Joi.boolean().valid(true).required()
+      .messages({ 'any.only': 'The order must be read back to the physician and confirmed' }),
+    statement: Joi.string().max(1000).optional()
+  }).required()
+});
+
+const orderUpdateSchema = Joi.object({
+  physicianId: Joi.string().optional(),
+  orderText: Joi.string().min(1).max(5000).optional(),
+  orderDate: Joi.date().optional(),
+  dueDate: Joi.date().allow(null).optional()
+});
+
+const orderStatusSchema = Joi.object({
+  status: Joi.string().valid('SENT', 'SIGNED', 'RECEIVED', 'CANCELLED').required(),
+  date: Joi.date().optional(),
+  reason: Joi.string().max(500).when('status', { is: 'CANCELLED', then: Joi.required() })
+});
+
+const orderInclude = {
+  patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
+  episode: { select: { id: true, episodeNumber: true } },
+  physician: { select: { id: true, firstName: true, lastName: true, npi: true } }
+};
+
+const handleServiceError = (error, res) => {
+  if (error instanceof PhysicianOrderError) {
+    res.status(error.status).json({
+      error: error.message,
+      code: error.code
+    });
+    return true;
+  }
+  return false;
+};
+
+// Load an order the current user may see, or send the error response
+const loadOrder = async (req, res) => {
+  const order = await prisma.physicianOrder.findUnique({
+    where: { id: req.params.orderId }
+  });
+
+  if (!order) {
+    res.status(404).json({ error: 'Order not found' });
+    return null;
+  }
+
+  if (!(await canAccessPatient(req.user, order.patientId))) {
+    res.status(403).json({
+      error: 'Patient is not in your caseload',
+      code: 'PATIENT_ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return order;
+};
+
+// Get orders
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, orderType, physicianId, patientId, episodeId } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      patient: getPatientAccessFilter(req.user)
+    };
+    if (status) where.status = status;
+    if (orderType) where.orderType = orderType;
+    if (physicianId) where.physicianId = physicianId;
+    if (patientId) where.patientId = patientId;
+    if (episodeId) where.episodeId = episodeId;
+
+    const [orders, total] = await Promise.all([
+      prisma.physicianOrder.findMany({
+        where,
+        include: orderInclude,
+        orderBy: { orderDate: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.physicianOrder.count({ where })
+    ]);
+
+    await auditService.recordView(req, {
+      action: 'VIEW_ORDER_LIST',
+      tableName: 'physician_orders',
+      patientIds: orders.map(order => order.patientId)
+    });
+
+    res.json({
+      orders,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unsigned orders bucketed by age (0-15, 16-30, 30+ days)
+router.get('/aging', async (req, res) => {
+  try {
+    const { physicianId, orderType } = req.query;
+
+    const where = {
+      patient: getPatientAccessFilter(req.user)
+    };
+    if (physicianId) where.physicianId = physicianId;
+    if (orderType) where.orderType = orderType;
+
+    const aging = await physicianOrderService.aging(where);
+
+    await auditService.recordView(req, {
+      action: 'VIEW_ORDER_AGING',
+      tableName: 'physician_orders',
+      patientIds: aging.orders.map(order => order.patientId)
+    });
+
+    res.json(aging);
+
+  } catch (error) {
+    console.error('Get order aging error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Outstanding orders grouped by physician
+router.get('/physician-summary', async (req, res) => {
+  try {
+    const where = {
+      patient: getPatientAccessFilter(req.user)
+    };
+    if (req.query.physicianId) where.physicianId = req.query.physicianId;
+
+    const physicians = await physicianOrderService.physicianSummary(where);
+
+    await auditService.recordView(req, {
+      action: 'VIEW_PHYSICIAN_ORDER_SUMMARY',
+      tableName: 'physician_orders',
+      patientIds: physicians.flatMap(summary => summary.orders.map(order => order.patient.id))
+    });
+
+    res.json({ physicians });
+
+  } catch (error) {
+    console.error('Get physician order summary error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create order
+router.post('/', requirePermission('order:create'), async (req, res) => {
+  try {
+    const { error, value } = orderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const episode = await prisma.episode.findUnique({
+      where: { id: value.episodeId },
+      select: { id: true, patientId: true }
+    });
+
+    if (!episode || episode.patientId !== value.patientId) {
+      return res.status(400).json({
+        error: 'Episode does not belong to the patient',
+        code: 'EPISODE_PATIENT_MISMATCH'
+      });
+    }
+
+    if (!(await canAccessPatient(req.user, value.patientId))) {
+      return res.status(403).json({
+        error: 'Patient is not in your caseload',
+        code: 'PATIENT_ACCESS_DENIED'
+      });
+    }
+
+    await physicianOrderService.loadActivePhysician(value.physicianId);
+
+    const order = await prisma.physicianOrder.create({
+      data: {
+        ...value,
+        orderNumber: await physicianOrderService.nextOrderNumber(),
+        status: 'DRAFT',
+        createdBy: req.user.id
+      },
+      include: orderInclude
+    });
+
+    await auditService.record(req, {
+      action: 'CREATE_ORDER',
+      tableName: 'physician_orders',
+      recordId: order.id,
+      patientId: order.patientId,
+      newValues: order
+    });
+
+    res.status(201).json({
+      message: 'Order created successfully',
+      order
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Create order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a verbal order taken from a physician
+router.post('/verbal', requirePermission('order:create'), async (req, res) => {
+  try {
+    const { error, value } = verbalOrderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!(await canAccessPatient(req.user, value.patientId))) {
+      return res.status(403).json({
+        error: 'Patient is not in your caseload',
+        code: 'PATIENT_ACCESS_DENIED'
+      });
+    }
+
+    const previousEpisode = await prisma.episode.findUnique({ where: { id: value.episodeId } });
+    const result = await physicianOrderService.recordVerbalOrder(value, req.user.id);
+
+    await auditService.record(req, {
+      action: 'CREATE_VERBAL_ORDER',
+      tableName: 'physician_orders',
+      recordId: result.order.id,
+      patientId: result.order.patientId,
+      newValues: result.order
+    });
+
+    if (value.disciplineChanges.length > 0) {
+      await auditService.record(req, {
+        action: 'UPDATE_EPISODE',
+        tableName: 'episodes',
+        recordId: result.episode.id,
+        patientId: result.episode.patientId,
+        oldValues: previousEpisode,
+        newValues: result.episode
+      });
+    }
+
+    res.status(201).json({
+      message: 'Verbal order recorded and queued for signature',
+      order: result.order,
+      episode: result.episode,
+      cancelledSchedules: result.cancelledSchedules
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Create verbal order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single order
+router.get('/:orderId', async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const details = await prisma.physicianOrder.findUnique({
+      where: { id: order.id },
+      include: {
+        ...orderInclude,
+        creator: { select: { id: true, firstName: true, lastName: true } }
+      }
+    });
+
+    await auditService.recordView(req, {
+      action: 'VIEW_ORDER',
+      tableName: 'physician_orders',
+      recordId: order.id,
+      patientId: order.patientId
+    });
+
+    res.json({
+      order: {
+        ...details,
+        ageDays: physicianOrderService.OUTSTANDING_STATUSES.includes(details.status)
+          ? physicianOrderService.ageInDays(details)
+          : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a draft order
+router.put('/:orderId', requirePermission('order:create'), async (req, res) => {
+  try {
+    const { error, value } = orderUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    if (order.status !== 'DRAFT') {
+      return res.status(409).json({
+        error: 'Only draft orders can be edited',
+        code: 'ORDER_NOT_DRAFT'
+      });
+    }
+
+    if (value.physicianId) {
+      await physicianOrderService.loadActivePhysician(value.physicianId);
+    }
+
+    const updatedOrder = await prisma.physicianOrder.update({
+      where: { id: order.id },
+      data: value,
+      include: orderInclude
+    });
+
+    await auditService.record(req, {
+      action: 'UPDATE_ORDER',
+      tableName: 'physician_orders',
+      recordId: updatedOrder.id,
+      patientId: updatedOrder.patientId,
+      oldValues: order,
+      newValues: updatedOrder
+    });
+
+    res.json({
+      message: 'Order updated successfully',
+      order: updatedOrder
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Update order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move an order through sent, signed and received
+router.patch('/:orderId/status', requirePermission('order:update'), async (req, res) => {
+  try {
+    const { error, value } = orderStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    // Including cancellation, which would leave the care plan SENT
+    if (order.carePlanId) {
+      return res.status(409).json({
+        error: 'Plan of care orders are tracked through the care plan',
+        code: 'USE_CARE_PLAN_WORKFLOW'
+      });
+    }
+
+    const updatedOrder = await physicianOrderService.transition(order, value.status, {
+      date: value.date,
+      userId: req.user.id,
+      reason: value.reason
+    });
+
+    await auditService.record(req, {
+      action: `${value.status === 'CANCELLED' ? 'CANCEL' : value.status}_ORDER`,
+      tableName: 'physician_orders',
+      recordId: updatedOrder.id,
+      patientId: updatedOrder.patientId,
+      oldValues: order,
+      newValues: updatedOrder
+    });
+
+    res.json({
+      message: 'Order status updated successfully',
+      order: updatedOrder
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Update order status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
 const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole, requirePatientAccess } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requirePatientAccess, getPatientAccessFilter } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const icd10Service = require('../services/icd10Service');
+
+const { Icd10Error, DIAGNOSIS_TYPES } = icd10Service;
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -10,6 +14,13 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // Validation schemas
+const diagnosisSchema = Joi.object({
+  code: Joi.string().max(8).required(),
+  type: Joi.string().valid(...DIAGNOSIS_TYPES).required(),
+  onsetDate: Joi.date().optional(),
+  exacerbation: Joi.boolean().default(false)
+});
+
 const patientSchema = Joi.object({
   patientId: Joi.string().required(),
   firstName: Joi.string().min(2).max(100).required(),
@@ -22,13 +33,21 @@ const patientSchema = Joi.object({
   city: Joi.string().max(100).optional(),
   state: Joi.string().length(2).optional(),
   zipCode: Joi.string().max(10).optional(),
+  cbsaCode: Joi.string().pattern(/^\d{5}$/).optional(),
+  // Geocoded home address, used to check EVV check-in locations
+  latitude: Joi.number().min(-90).max(90).allow(null).optional(),
+  longitude: Joi.number().min(-180).max(180).allow(null).optional(),
+  medicaidNumber: Joi.string().max(20).optional(),
+  // Defaults to the creating user's branch
+  branchId: Joi.string().max(50).optional(),
   phone: Joi.string().max(20).optional(),
   email: Joi.string().email().optional(),
   primaryLanguage: Joi.string().max(50).optional(),
   emergencyContactName: Joi.string().max(200).optional(),
   emergencyContactPhone: Joi.string().max(20).optional(),
-  emergencyContactRelationship: Joi.string().max(100).optional()
-});
+  emergencyContactRelationship: Joi.string().max(100).optional(),
+  diagnoses: Joi.array().items(diagnosisSchema).max(25).optional()
+}).and('latitude', 'longitude');
 
 const patientUpdateSchema = patientSchema.fork(['patientId'], (schema) => schema.optional());
 
@@ -37,6 +56,7 @@ router.get('/selector', async (req, res) => {
   try {
     const { search } = req.query;
     const where = {
+      AND: [getPatientAccessFilter(req.user)],
       ...(search && {
         OR: [
           { firstName: { contains: search, mode: 'insensitive' } },
@@ -58,6 +78,12 @@ router.get('/selector', async (req, res) => {
       take: 20, // Limit results for selector
     });
 
+    await auditService.recordView(req, {
+      action: 'VIEW_PATIENT_LIST',
+      tableName: 'patients',
+      patientIds: patients.map(patient => patient.id)
+    });
+
     res.json({ success: true, data: patients });
   } catch (error) {
     console.error('Error fetching patients for selector:', error);
@@ -74,8 +100,10 @@ router.get('/', async (req, res) => {
     const status = req.query.status;
     const skip = (page - 1) * limit;
 
-    // Build where clause
-    const where = {};
+    // Build where clause, limited to the user's caseload
+    const where = {
+      AND: [getPatientAccessFilter(req.user)]
+    };
     
     if (search) {
       where.OR = [
@@ -108,6 +136,12 @@ router.get('/', async (req, res) => {
       prisma.patient.count({ where })
     ]);
 
+    await auditService.recordView(req, {
+      action: 'VIEW_PATIENT_LIST',
+      tableName: 'patients',
+      patientIds: patients.map(patient => patient.id)
+    });
+
     res.json({
       patients,
       pagination: {
@@ -191,6 +225,13 @@ router.get('/:patientId', requirePatientAccess, async (req, res) => {
       });
     }
 
+    await auditService.recordView(req, {
+      action: 'VIEW_PATIENT',
+      tableName: 'patients',
+      recordId: patient.id,
+      patientId: patient.id
+    });
+
     res.json({ patient });
 
   } catch (error) {
@@ -203,7 +244,7 @@ router.get('/:patientId', requirePatientAccess, async (req, res) => {
 });
 
 // Create new patient
-router.post('/', requireRole(['INTAKE_STAFF', 'ADMIN']), async (req, res) => {
+router.post('/', requirePermission('patient:create'), async (req, res) => {
   try {
     const { error, value } = patientSchema.validate(req.body);
     if (error) {
@@ -225,9 +266,14 @@ router.post('/', requireRole(['INTAKE_STAFF', 'ADMIN']), async (req, res) => {
       });
     }
 
+    if (value.diagnoses) {
+      value.diagnoses = (await icd10Service.resolve(value.diagnoses)).diagnoses;
+    }
+
     const patient = await prisma.patient.create({
       data: {
         ...value,
+        branchId: value.branchId || req.user.branchId || null,
         createdBy: req.user.id
       },
       include: {
@@ -237,16 +283,12 @@ router.post('/', requireRole(['INTAKE_STAFF', 'ADMIN']), async (req, res) => {
     });
 
     // Log the creation
-    await prisma.auditLog.create({
-      data: {
-        userId: req.user.id,
-        action: 'CREATE_PATIENT',
-        tableName: 'patients',
-        recordId: patient.id,
-        newValues: patient,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
-      }
+    await auditService.record(req, {
+      action: 'CREATE_PATIENT',
+      tableName: 'patients',
+      recordId: patient.id,
+      patientId: patient.id,
+      newValues: patient
     });
 
     res.status(201).json({
@@ -255,6 +297,9 @@ router.post('/', requireRole(['INTAKE_STAFF', 'ADMIN']), async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof Icd10Error) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
     console.error('Create patient error:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -264,7 +309,7 @@ router.post('/', requireRole(['INTAKE_STAFF', 'ADMIN']), async (req, res) => {
 });
 
 // Update patient
-router.put('/:patientId', requirePatientAccess, requireRole(['INTAKE_STAFF', 'ADMIN']), async (req, res) => {
+router.put('/:patientId', requirePatientAccess, requirePermission('patient:update'), async (req, res) => {
   try {
     const { error, value } = patientUpdateSchema.validate(req.body);
     if (error) {
@@ -286,6 +331,10 @@ router.put('/:patientId', requirePatientAccess, requireRole(['INTAKE_STAFF', 'AD
       });
     }
 
+    if (value.diagnoses) {
+      value.diagnoses = (await icd10Service.resolve(value.diagnoses)).diagnoses;
+    }
+
     const updatedPatient = await prisma.patient.update({
       where: { id: req.params.patientId },
       data: value,
@@ -296,17 +345,13 @@ router.put('/:patientId', requirePatientAccess, requireRole(['INTAKE_STAFF', 'AD
     });
 
     // Log the update
-    await prisma.auditLog.create({
-      data: {
-        userId: req.user.id,
-        action: 'UPDATE_PATIENT',
-        tableName: 'patients',
-        recordId: updatedPatient.id,
-        oldValues: currentPatient,
-        newValues: updatedPatient,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
-      }
+    await auditService.record(req, {
+      action: 'UPDATE_PATIENT',
+      tableName: 'patients',
+      recordId: updatedPatient.id,
+      patientId: updatedPatient.id,
+      oldValues: currentPatient,
+      newValues: updatedPatient
     });
 
     res.json({
@@ -315,6 +360,9 @@ router.put('/:patientId', requirePatientAccess, requireRole(['INTAKE_STAFF', 'AD
     });
 
   } catch (error) {
+    if (error instanceof Icd10Error) {
+      return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
     console.error('Update patient error:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -324,7 +372,7 @@ router.put('/:patientId', requirePatientAccess, requireRole(['INTAKE_STAFF', 'AD
 });
 
 // Delete patient (soft delete by deactivating)
-router.delete('/:patientId', requirePatientAccess, requireRole(['ADMIN']), async (req, res) => {
+router.delete('/:patientId', requirePatientAccess, requirePermission('patient:delete'), async (req, res) => {
   try {
     const patient = await prisma.patient.findUnique({
       where: { id: req.params.patientId }
@@ -359,16 +407,12 @@ router.delete('/:patientId', requirePatientAccess, requireRole(['ADMIN']), async
     });
 
     // Log the deletion
-    await prisma.auditLog.create({
-      data: {
-        userId: req.user.id,
-        action: 'DELETE_PATIENT',
-        tableName: 'patients',
-        recordId: req.params.patientId,
-        oldValues: patient,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
-      }
+    await auditService.record(req, {
+      action: 'DELETE_PATIENT',
+      tableName: 'patients',
+      recordId: req.params.patientId,
+      patientId: req.params.patientId,
+      oldValues: patient
     });
 
     res.json({
@@ -414,6 +458,13 @@ router.get('/:patientId/stats', requirePatientAccess, async (req, res) => {
       })
     ]);
 
+    await auditService.recordView(req, {
+      action: 'VIEW_PATIENT_STATS',
+      tableName: 'patients',
+      recordId: patientId,
+      patientId
+    });
+
     res.json({
       stats: {
         totalEpisodes: episodeCount,
@@ -1,6 +1,6 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const Joi = require('joi');
 
 const router = express.Router();
@@ -120,7 +120,7 @@ router.get('/:physicianId', authenticateToken, async (req, res) => {
 });
 
 // Create new physician
-router.post('/', authenticateToken, requireRole(['ADMIN', 'INTAKE_STAFF']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('physician:create'), async (req, res) => {
   try {
     const { error, value } = createPhysicianSchema.validate(req.body);
     
@@ -203,7 +203,7 @@ router.post('/', authenticateToken, requireRole(['ADMIN', 'INTAKE_STAFF']), asyn
 });
 
 // Update physician
-router.put('/:physicianId', authenticateToken, requireRole(['ADMIN', 'INTAKE_STAFF']), async (req, res) => {
+router.put('/:physicianId', authenticateToken, requirePermission('physician:update'), async (req, res) => {
   try {
     const { physicianId } = req.params;
     const { error, value } = updatePhysicianSchema.validate(req.body);
@@ -305,7 +305,7 @@ router.put('/:physicianId', authenticateToken, requireRole(['ADMIN', 'INTAKE_STA
 });
 
 // Delete physician (soft delete)
-router.delete('/:physicianId', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+router.delete('/:physicianId', authenticateToken, requirePermission('physician:delete'), async (req, res) => {
   try {
     const { physicianId } = req.params;
 
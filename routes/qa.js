@@ -1,7 +1,8 @@
 const express = require('express');
 const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -10,7 +11,7 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // Get QA reviews
-router.get('/reviews', requireRole(['QA_REVIEWER', 'ADMIN']), async (req, res) => {
+router.get('/reviews', requirePermission('qa:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -33,6 +34,12 @@ router.get('/reviews', requireRole(['QA_REVIEWER', 'ADMIN']), async (req, res) =
       prisma.qaReview.count({ where })
     ]);
 
+    await auditService.recordView(req, {
+      action: 'VIEW_QA_REVIEW_LIST',
+      tableName: 'qa_reviews',
+      metadata: { reviewIds: reviews.map(review => review.id) }
+    });
+
     res.json({
       reviews,
       pagination: { page, limit, total, pages: Math.ceil(total / limit) }
@@ -45,7 +52,7 @@ router.get('/reviews', requireRole(['QA_REVIEWER', 'ADMIN']), async (req, res) =
 });
 
 // Create QA review
-router.post('/reviews', requireRole(['QA_REVIEWER', 'ADMIN']), async (req, res) => {
+router.post('/reviews', requirePermission('qa:review'), async (req, res) => {
   try {
     const { documentId, documentType, status, deficiencies, comments } = req.body;
 
@@ -64,6 +71,14 @@ router.post('/reviews', requireRole(['QA_REVIEWER', 'ADMIN']), async (req, res)
       }
     });
 
+    await auditService.record(req, {
+      action: 'CREATE_QA_REVIEW',
+      tableName: 'qa_reviews',
+      recordId: review.id,
+      newValues: review,
+      metadata: { documentId, documentType }
+    });
+
     res.status(201).json({
       message: 'QA review created successfully',
       review
@@ -76,7 +91,7 @@ router.post('/reviews', requireRole(['QA_REVIEWER', 'ADMIN']), async (req, res)
 });
 
 // Get single QA review
-router.get('/reviews/:reviewId', requireRole(['QA_REVIEWER', 'ADMIN']), async (req, res) => {
+router.get('/reviews/:reviewId', requirePermission('qa:read'), async (req, res) => {
   try {
     const review = await prisma.qaReview.findUnique({
       where: { id: req.params.reviewId },
@@ -89,6 +104,13 @@ router.get('/reviews/:reviewId', requireRole(['QA_REVIEWER', 'ADMIN']), async (r
       return res.status(404).json({ error: 'QA review not found' });
     }
 
+    await auditService.recordView(req, {
+      action: 'VIEW_QA_REVIEW',
+      tableName: 'qa_reviews',
+      recordId: review.id,
+      metadata: { documentId: review.documentId, documentType: review.documentType }
+    });
+
     res.json({ review });
 
   } catch (error) {
@@ -98,10 +120,18 @@ router.get('/reviews/:reviewId', requireRole(['QA_REVIEWER', 'ADMIN']), async (r
 });
 
 // Update QA review
-router.put('/reviews/:reviewId', requireRole(['QA_REVIEWER', 'ADMIN']), async (req, res) => {
+router.put('/reviews/:reviewId', requirePermission('qa:review'), async (req, res) => {
   try {
     const { documentId, documentType, status, deficiencies, comments } = req.body;
 
+    const currentReview = await prisma.qaReview.findUnique({
+      where: { id: req.params.reviewId }
+    });
+
+    if (!currentReview) {
+      return res.status(404).json({ error: 'QA review not found' });
+    }
+
     const review = await prisma.qaReview.update({
       where: { id: req.params.reviewId },
       data: {
@@ -116,6 +146,14 @@ router.put('/reviews/:reviewId', requireRole(['QA_REVIEWER', 'ADMIN']), async (r
       }
     });
 
+    await auditService.record(req, {
+      action: 'UPDATE_QA_REVIEW',
+      tableName: 'qa_reviews',
+      recordId: review.id,
+      oldValues: currentReview,
+      newValues: review
+    });
+
     res.json({
       message: 'QA review updated successfully',
       review
@@ -128,12 +166,27 @@ router.put('/reviews/:reviewId', requireRole(['QA_REVIEWER', 'ADMIN']), async (r
 });
 
 // Delete QA review
-router.delete('/reviews/:reviewId', requireRole(['QA_REVIEWER', 'ADMIN']), async (req, res) => {
+router.delete('/reviews/:reviewId', requirePermission('qa:delete'), async (req, res) => {
   try {
+    const review = await prisma.qaReview.findUnique({
+      where: { id: req.params.reviewId }
+    });
+
+    if (!review) {
+      return res.status(404).json({ error: 'QA review not found' });
+    }
+
     await prisma.qaReview.delete({
       where: { id: req.params.reviewId }
     });
 
+    await auditService.record(req, {
+      action: 'DELETE_QA_REVIEW',
+      tableName: 'qa_reviews',
+      recordId: review.id,
+      oldValues: review
+    });
+
     res.json({ message: 'QA review deleted successfully' });
 
   } catch (error) {
@@ -1,6 +1,7 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission, canAccessPatient } = require('../middleware/auth');
+const auditService = require('../services/auditService');
 const Joi = require('joi');
 
 const router = express.Router();
@@ -42,11 +43,24 @@ router.get('/patient/:patientId', authenticateToken, async (req, res) => {
       });
     }
 
+    if (!(await canAccessPatient(req.user, patient.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Patient is not in your caseload'
+      });
+    }
+
     const referrals = await prisma.referral.findMany({
       where: { patientId },
       orderBy: { referralDate: 'desc' }
     });
 
+    await auditService.recordView(req, {
+      action: 'VIEW_REFERRAL_LIST',
+      tableName: 'referrals',
+      patientId
+    });
+
     res.json({
       success: true,
       data: referrals
@@ -87,6 +101,20 @@ router.get('/:referralId', authenticateToken, async (req, res) => {
       });
     }
 
+    if (!(await canAccessPatient(req.user, referral.patientId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Patient is not in your caseload'
+      });
+    }
+
+    await auditService.recordView(req, {
+      action: 'VIEW_REFERRAL',
+      tableName: 'referrals',
+      recordId: referral.id,
+      patientId: referral.patientId
+    });
+
     res.json({
       success: true,
       data: referral
@@ -102,7 +130,7 @@ router.get('/:referralId', authenticateToken, async (req, res) => {
 });
 
 // Create new referral
-router.post('/', authenticateToken, requireRole(['INTAKE_STAFF', 'ADMIN']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('referral:create'), async (req, res) => {
   try {
     const { error, value } = createReferralSchema.validate(req.body);
     
@@ -127,6 +155,13 @@ router.post('/', authenticateToken, requireRole(['INTAKE_STAFF', 'ADMIN']), asyn
       });
     }
 
+    if (!(await canAccessPatient(req.user, patient.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Patient is not in your caseload'
+      });
+    }
+
     const referral = await prisma.referral.create({
       data: {
         ...value,
@@ -144,6 +179,14 @@ router.post('/', authenticateToken, requireRole(['INTAKE_STAFF', 'ADMIN']), asyn
       }
     });
 
+    await auditService.record(req, {
+      action: 'CREATE_REFERRAL',
+      tableName: 'referrals',
+      recordId: referral.id,
+      patientId: referral.patientId,
+      newValues: referral
+    });
+
     res.status(201).json({
       success: true,
       message: 'Referral created successfully',
@@ -160,7 +203,7 @@ router.post('/', authenticateToken, requireRole(['INTAKE_STAFF', 'ADMIN']), asyn
 });
 
 // Update referral
-router.put('/:referralId', authenticateToken, requireRole(['INTAKE_STAFF', 'ADMIN']), async (req, res) => {
+router.put('/:referralId', authenticateToken, requirePermission('referral:update'), async (req, res) => {
   try {
     const { referralId } = req.params;
     const { error, value } = updateReferralSchema.validate(req.body);
@@ -185,6 +228,13 @@ router.put('/:referralId', authenticateToken, requireRole(['INTAKE_STAFF', 'ADMI
       });
     }
 
+    if (!(await canAccessPatient(req.user, existingReferral.patientId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Patient is not in your caseload'
+      });
+    }
+
     const updateData = { ...value };
     if (value.referralDate) {
       updateData.referralDate = new Date(value.referralDate);
@@ -205,6 +255,15 @@ router.put('/:referralId', authenticateToken, requireRole(['INTAKE_STAFF', 'ADMI
       }
     });
 
+    await auditService.record(req, {
+      action: 'UPDATE_REFERRAL',
+      tableName: 'referrals',
+      recordId: referral.id,
+      patientId: referral.patientId,
+      oldValues: existingReferral,
+      newValues: referral
+    });
+
     res.json({
       success: true,
       message: 'Referral updated successfully',
@@ -221,7 +280,7 @@ router.put('/:referralId', authenticateToken, requireRole(['INTAKE_STAFF', 'ADMI
 });
 
 // Delete referral
-router.delete('/:referralId', authenticateToken, requireRole(['INTAKE_STAFF', 'ADMIN']), async (req, res) => {
+router.delete('/:referralId', authenticateToken, requirePermission('referral:delete'), async (req, res) => {
   try {
     const { referralId } = req.params;
 
@@ -237,10 +296,25 @@ router.delete('/:referralId', authenticateToken, requireRole(['INTAKE_STAFF', 'A
       });
     }
 
+    if (!(await canAccessPatient(req.user, existingReferral.patientId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Patient is not in your caseload'
+      });
+    }
+
     await prisma.referral.delete({
       where: { id: referralId }
     });
 
+    await auditService.record(req, {
+      action: 'DELETE_REFERRAL',
+      tableName: 'referrals',
+      recordId: existingReferral.id,
+      patientId: existingReferral.patientId,
+      oldValues: existingReferral
+    });
+
     res.json({
       success: true,
       message: 'Referral deleted successfully'
@@ -1,6 +1,16 @@
 const express = require('express');
+const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission, getPatientAccessFilter } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const oasisExportService = require('../services/oasisExportService');
+const lupaService = require('../services/lupaService');
+const frequencyComplianceService = require('../services/frequencyComplianceService');
+const evvService = require('../services/evvService');
+const { OPEN_STATUSES } = require('../services/scheduleStatusService');
+
+const { OasisExportError } = oasisExportService;
+const { EvvError } = evvService;
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -8,6 +18,36 @@ const router = express.Router();
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Validation schemas
+const exportBatchSchema = Joi.object({
+  format: Joi.string().valid('xml', 'fixed').default('xml'),
+  transactions: Joi.array().items(Joi.object({
+    assessmentId: Joi.string().required(),
+    transactionType: Joi.string().valid(...Object.keys(oasisExportService.TRANSACTION_TYPES)).default('NEW'),
+    reason: Joi.string().max(500).when('transactionType', {
+      is: Joi.valid('CORRECTION', 'INACTIVATION'),
+      then: Joi.required()
+    }),
+    // Corrected item values, keyed by item code, and the signed addendum
+    // on the assessment that documents them
+    corrections: Joi.object().min(1).when('transactionType', {
+      is: 'CORRECTION',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    addendumId: Joi.string().when('transactionType', {
+      is: 'CORRECTION',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+  })).min(1).optional()
+});
+
+const exportBatchStatusSchema = Joi.object({
+  status: Joi.string().valid('SUBMITTED', 'ACCEPTED', 'REJECTED').required(),
+  notes: Joi.string().max(1000).optional()
+});
+
 // Get dashboard statistics
 router.get('/dashboard', async (req, res) => {
   try {
@@ -17,14 +57,16 @@ router.get('/dashboard', async (req, res) => {
       pendingVisits,
       pendingClaims,
       pendingQaReviews,
-      totalQaReviews
+      totalQaReviews,
+      lupaAlerts
     ] = await Promise.all([
       prisma.patient.count(),
       prisma.episode.count({ where: { status: 'ACTIVE' } }),
-      prisma.schedule.count({ where: { status: 'SCHEDULED' } }),
+      prisma.schedule.count({ where: { status: { in: OPEN_STATUSES } } }),
       prisma.claim.count({ where: { status: 'PENDING' } }),
       prisma.qaReview.count({ where: { status: 'PENDING' } }),
-      prisma.qaReview.count()
+      prisma.qaReview.count(),
+      lupaService.countFlagged(getPatientAccessFilter(req.user))
     ]);
 
     console.log('Dashboard stats:', {
@@ -33,7 +75,8 @@ router.get('/dashboard', async (req, res) => {
       pendingVisits,
       pendingClaims,
       pendingQaReviews,
-      totalQaReviews
+      totalQaReviews,
+      lupaAlerts
     });
 
     res.json({
@@ -41,7 +84,8 @@ router.get('/dashboard', async (req, res) => {
       activeEpisodes,
       pendingVisits,
       pendingClaims,
-      pendingQaReviews: totalQaReviews // Show total QA reviews instead of just pending
+      pendingQaReviews: totalQaReviews, // Show total QA reviews instead of just pending
+      lupaAlerts
     });
 
   } catch (error) {
@@ -169,7 +213,7 @@ function formatRelativeTime(date) {
 }
 
 // Get productivity report
-router.get('/productivity', requireRole(['ADMIN', 'QA_REVIEWER']), async (req, res) => {
+router.get('/productivity', requirePermission('report:productivity'), async (req, res) => {
   try {
     const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
@@ -286,6 +330,12 @@ router.get('/patient-census', async (req, res) => {
       ].filter(Boolean).join(', ')
     }));
 
+    await auditService.recordView(req, {
+      action: 'VIEW_PATIENT_CENSUS',
+      tableName: 'patients',
+      patientIds: patients.map(patient => patient.id)
+    });
+
     res.json({ patients: transformedPatients });
 
   } catch (error) {
@@ -301,9 +351,11 @@ router.get('/episode-summary', async (req, res) => {
       select: {
         id: true,
         episodeNumber: true,
+        patientId: true,
         status: true,
         startDate: true,
         endDate: true,
+        dischargeReason: true,
         disciplines: true,
         patient: {
           select: {
@@ -325,6 +377,12 @@ router.get('/episode-summary', async (req, res) => {
         : 'Unknown'
     }));
 
+    await auditService.recordView(req, {
+      action: 'VIEW_EPISODE_SUMMARY',
+      tableName: 'episodes',
+      patientIds: episodes.map(episode => episode.patientId)
+    });
+
     res.json({ episodes: transformedEpisodes });
 
   } catch (error) {
@@ -333,6 +391,136 @@ router.get('/episode-summary', async (req, res) => {
   }
 });
 
+// Get discharges by reason, optionally within a date range
+router.get('/discharge-summary', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const where = { status: 'DISCHARGED' };
+    if (startDate && endDate) {
+      where.endDate = {
+        gte: new Date(startDate),
+        lte: new Date(endDate)
+      };
+    }
+
+    const episodes = await prisma.episode.findMany({
+      where,
+      select: {
+        id: true,
+        episodeNumber: true,
+        patientId: true,
+        startDate: true,
+        endDate: true,
+        dischargeReason: true,
+        patient: {
+          select: {
+            firstName: true,
+            lastName: true
+          }
+        }
+      },
+      orderBy: {
+        endDate: 'desc'
+      }
+    });
+
+    // Episodes discharged before reasons were stored count as UNKNOWN
+    const byReason = episodes.reduce((acc, episode) => {
+      const reason = episode.dischargeReason || 'UNKNOWN';
+      acc[reason] = (acc[reason] || 0) + 1;
+      return acc;
+    }, {});
+
+    await auditService.recordView(req, {
+      action: 'VIEW_DISCHARGE_SUMMARY',
+      tableName: 'episodes',
+      patientIds: episodes.map(episode => episode.patientId)
+    });
+
+    res.json({
+      totalDischarges: episodes.length,
+      byReason,
+      episodes
+    });
+
+  } catch (error) {
+    console.error('Get discharge summary error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get LUPA risk for active billing periods. Only flagged periods are
+// returned unless all=true.
+router.get('/lupa-risk', requirePermission('report:lupa'), async (req, res) => {
+  try {
+    const { riskLevel } = req.query;
+    const includeAll = req.query.all === 'true';
+
+    if (riskLevel && !lupaService.RISK_LEVELS.includes(riskLevel)) {
+      return res.status(400).json({
+        error: `riskLevel must be one of: ${lupaService.RISK_LEVELS.join(', ')}`
+      });
+    }
+
+    let periods = await lupaService.evaluate(getPatientAccessFilter(req.user));
+    const summary = lupaService.RISK_LEVELS.reduce((counts, level) => ({
+      ...counts,
+      [level]: periods.filter(period => period.riskLevel === level).length
+    }), {});
+
+    if (riskLevel) {
+      periods = periods.filter(period => period.riskLevel === riskLevel);
+    } else if (!includeAll) {
+      periods = periods.filter(period => period.flagged);
+    }
+
+    await auditService.recordView(req, {
+      action: 'VIEW_LUPA_RISK',
+      tableName: 'billing_periods',
+      patientIds: periods.map(period => period.patient.id)
+    });
+
+    res.json({ summary, periods });
+
+  } catch (error) {
+    console.error('Get LUPA risk error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Weekly frequency exceptions: under/over-utilization, missed and
+// undocumented visits. Defaults to the 7 days ending yesterday.
+router.get('/frequency-exceptions', requirePermission('report:frequency'), async (req, res) => {
+  try {
+    const weekStart = req.query.weekStart
+      ? new Date(req.query.weekStart)
+      : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(weekStart.getTime())) {
+      return res.status(400).json({ error: 'weekStart must be a date' });
+    }
+
+    const report = await frequencyComplianceService.weeklyExceptions(weekStart, getPatientAccessFilter(req.user));
+
+    await auditService.recordView(req, {
+      action: 'VIEW_FREQUENCY_EXCEPTIONS',
+      tableName: 'episodes',
+      patientIds: [
+        ...report.variances.map(row => row.patient.id),
+        ...report.missedVisits.map(visit => visit.patientId),
+        ...report.unresolvedVisits.map(visit => visit.patient.id)
+      ]
+    });
+
+    res.json(report);
+
+  } catch (error) {
+    console.error('Get frequency exceptions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get billing summary report
 router.get('/billing-summary', async (req, res) => {
   try {
@@ -340,6 +528,7 @@ router.get('/billing-summary', async (req, res) => {
       select: {
         id: true,
         claimNumber: true,
+        patientId: true,
         status: true,
         claimAmount: true,
         submissionDate: true,
@@ -377,6 +566,12 @@ router.get('/billing-summary', async (req, res) => {
       }
     }));
 
+    await auditService.recordView(req, {
+      action: 'VIEW_BILLING_SUMMARY',
+      tableName: 'claims',
+      patientIds: claims.map(claim => claim.patientId)
+    });
+
     res.json({ claims: transformedClaims });
 
   } catch (error) {
@@ -442,8 +637,8 @@ router.get('/qa-compliance', async (req, res) => {
   }
 });
 
-// Get OASIS export data
-router.get('/oasis-export', async (req, res) => {
+// Get signed OASIS assessments with their export status
+router.get('/oasis-export', requirePermission('oasis:export'), async (req, res) => {
   try {
     const assessments = await prisma.oasisAssessment.findMany({
       where: {
@@ -453,9 +648,7 @@ router.get('/oasis-export', async (req, res) => {
         patient: {
           select: {
             firstName: true,
-            lastName: true,
-            dateOfBirth: true,
-            ssn: true
+            lastName: true
           }
         },
         episode: {
@@ -464,6 +657,16 @@ router.get('/oasis-export', async (req, res) => {
             startDate: true,
             endDate: true
           }
+        },
+        exportRecords: {
+          select: {
+            batchId: true,
+            transactionType: true,
+            correctionNumber: true,
+            addendumId: true,
+            createdAt: true
+          },
+          orderBy: { createdAt: 'desc' }
         }
       },
       orderBy: {
@@ -471,21 +674,27 @@ router.get('/oasis-export', async (req, res) => {
       }
     });
 
-    // Transform data for OASIS export format
     const oasisData = assessments.map(assessment => ({
       assessmentId: assessment.id,
+      patientId: assessment.patientId,
       patientName: `${assessment.patient.firstName} ${assessment.patient.lastName}`,
-      patientDOB: assessment.patient.dateOfBirth,
-      patientSSN: assessment.patient.ssn,
       episodeNumber: assessment.episode?.episodeNumber || 'N/A',
       assessmentType: assessment.assessmentType,
       assessmentDate: assessment.assessmentDate,
       signedDate: assessment.signedAt,
       isSigned: assessment.isSigned,
-      // Include all OASIS fields for export
-      ...assessment
+      exportStatus: assessment.exportRecords.length > 0
+        ? assessment.exportRecords[0].transactionType
+        : 'PENDING',
+      exportHistory: assessment.exportRecords
     }));
 
+    await auditService.recordView(req, {
+      action: 'VIEW_OASIS_EXPORT_LIST',
+      tableName: 'oasis_assessments',
+      patientIds: assessments.map(assessment => assessment.patientId)
+    });
+
     res.json({ assessments: oasisData });
 
   } catch (error) {
@@ -494,4 +703,372 @@ router.get('/oasis-export', async (req, res) => {
   }
 });
 
+// Generate a submission file. Without a transaction list, every signed
+// assessment not yet exported goes in as a NEW record.
+router.post('/oasis-export/batches', requirePermission('oasis:export'), async (req, res) => {
+  try {
+    const { error, value } = exportBatchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const transactions = value.transactions || (await oasisExportService.findPending())
+      .map(assessmentId => ({ assessmentId, transactionType: 'NEW' }));
+
+    if (transactions.length === 0) {
+      return res.status(400).json({
+        error: 'No signed assessments are waiting to be exported',
+        code: 'NOTHING_TO_EXPORT'
+      });
+    }
+
+    const { batch, rejected } = await oasisExportService.createBatch(transactions, {
+      format: value.format,
+      userId: req.user.id
+    });
+
+    if (!batch) {
+      return res.status(422).json({
+        error: 'No assessments passed the submission edits',
+        code: 'OASIS_EXPORT_FAILED',
+        rejected
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'EXPORT_OASIS',
+      tableName: 'oasis_export_batches',
+      recordId: batch.id,
+      patientIds: Array.from(new Set(batch.records.map(record => record.patientId))),
+      metadata: {
+        batchNumber: batch.batchNumber,
+        recordCount: batch.recordCount,
+        rejectedCount: rejected.length
+      }
+    });
+
+    const { fileContent, ...batchSummary } = batch;
+
+    res.status(201).json({
+      message: 'OASIS submission file generated',
+      batch: batchSummary,
+      rejected
+    });
+
+  } catch (error) {
+    if (error instanceof OasisExportError) {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Create OASIS export batch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List submission batches
+router.get('/oasis-export/batches', requirePermission('oasis:export'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+
+    const [batches, total] = await Promise.all([
+      prisma.oasisExportBatch.findMany({
+        where,
+        select: {
+          id: true,
+          batchNumber: true,
+          format: true,
+          fileName: true,
+          recordCount: true,
+          status: true,
+          createdBy: true,
+          createdAt: true,
+          submittedAt: true
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.oasisExportBatch.count({ where })
+    ]);
+
+    res.json({
+      batches,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('Get OASIS export batches error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a batch with the assessments it contains
+router.get('/oasis-export/batches/:batchId', requirePermission('oasis:export'), async (req, res) => {
+  try {
+    const batch = await prisma.oasisExportBatch.findUnique({
+      where: { id: req.params.batchId },
+      include: {
+        records: {
+          include: {
+            assessment: {
+              select: {
+                id: true,
+                assessmentType: true,
+                assessmentDate: true,
+                patient: { select: { id: true, patientId: true, firstName: true, lastName: true } }
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Export batch not found' });
+    }
+
+    const { fileContent, ...batchSummary } = batch;
+
+    res.json({ batch: batchSummary });
+
+  } catch (error) {
+    console.error('Get OASIS export batch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download the submission file
+router.get('/oasis-export/batches/:batchId/file', requirePermission('oasis:export'), async (req, res) => {
+  try {
+    const batch = await prisma.oasisExportBatch.findUnique({
+      where: { id: req.params.batchId },
+      include: { records: { select: { patientId: true } } }
+    });
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Export batch not found' });
+    }
+
+    await auditService.recordView(req, {
+      action: 'DOWNLOAD_OASIS_EXPORT',
+      tableName: 'oasis_export_batches',
+      recordId: batch.id,
+      patientIds: batch.records.map(record => record.patientId)
+    });
+
+    res.setHeader('Content-Type', batch.format === 'fixed' ? 'text/plain' : 'application/xml');
+    res.setHeader('Content-Disposition', `attachment; filename="${batch.fileName}"`);
+    res.send(batch.fileContent);
+
+  } catch (error) {
+    console.error('Download OASIS export batch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record the outcome of a submission
+router.patch('/oasis-export/batches/:batchId/status', requirePermission('oasis:export'), async (req, res) => {
+  try {
+    const { error, value } = exportBatchStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const currentBatch = await prisma.oasisExportBatch.findUnique({
+      where: { id: req.params.batchId },
+      select: { id: true, status: true, submittedAt: true, notes: true }
+    });
+
+    if (!currentBatch) {
+      return res.status(404).json({ error: 'Export batch not found' });
+    }
+
+    const batch = await prisma.oasisExportBatch.update({
+      where: { id: currentBatch.id },
+      data: {
+        status: value.status,
+        notes: value.notes,
+        ...(value.status === 'SUBMITTED' && !currentBatch.submittedAt && { submittedAt: new Date() })
+      },
+      select: { id: true, batchNumber: true, status: true, submittedAt: true, notes: true }
+    });
+
+    await auditService.record(req, {
+      action: 'UPDATE_OASIS_EXPORT_STATUS',
+      tableName: 'oasis_export_batches',
+      recordId: batch.id,
+      oldValues: currentBatch,
+      newValues: batch
+    });
+
+    res.json({
+      message: 'Export batch status updated successfully',
+      batch
+    });
+
+  } catch (error) {
+    console.error('Update OASIS export batch status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// EVV visits waiting to be exported, and those held back by exceptions
+router.get('/evv-export', requirePermission('evv:export'), async (req, res) => {
+  try {
+    const [pending, exceptions] = await Promise.all([
+      evvService.findPending(),
+      evvService.findExceptions()
+    ]);
+
+    await auditService.recordView(req, {
+      action: 'VIEW_EVV_EXPORT_LIST',
+      tableName: 'evv_records',
+      patientIds: [...pending, ...exceptions].map(record => record.patientId)
+    });
+
+    res.json({
+      pending: pending.map(record => ({ ...record, errors: evvService.checkRecord(record) })),
+      exceptions
+    });
+
+  } catch (error) {
+    console.error('Get EVV export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export every pending visit to the configured aggregator target
+router.post('/evv-export/batches', requirePermission('evv:export'), async (req, res) => {
+  try {
+    const { batch, rejected } = await evvService.createBatch({ userId: req.user.id });
+
+    if (!batch) {
+      return res.status(rejected.length > 0 ? 422 : 400).json({
+        error: rejected.length > 0
+          ? 'No EVV visits passed the export checks'
+          : 'No EVV visits are waiting to be exported',
+        code: rejected.length > 0 ? 'EVV_EXPORT_FAILED' : 'NOTHING_TO_EXPORT',
+        rejected
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'EXPORT_EVV',
+      tableName: 'evv_export_batches',
+      recordId: batch.id,
+      patientIds: Array.from(new Set(batch.records.map(record => record.patientId))),
+      metadata: {
+        batchNumber: batch.batchNumber,
+        recordCount: batch.recordCount,
+        rejectedCount: rejected.length,
+        target: batch.target
+      }
+    });
+
+    const { fileContent, ...batchSummary } = batch;
+
+    res.status(201).json({
+      message: 'EVV export file delivered',
+      batch: batchSummary,
+      rejected
+    });
+
+  } catch (error) {
+    if (error instanceof EvvError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Create EVV export batch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List EVV export batches
+router.get('/evv-export/batches', requirePermission('evv:export'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+
+    const [batches, total] = await Promise.all([
+      prisma.evvExportBatch.findMany({
+        where,
+        select: {
+          id: true,
+          batchNumber: true,
+          fileName: true,
+          recordCount: true,
+          target: true,
+          location: true,
+          status: true,
+          notes: true,
+          createdBy: true,
+          createdAt: true,
+          deliveredAt: true
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.evvExportBatch.count({ where })
+    ]);
+
+    res.json({
+      batches,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('Get EVV export batches error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download an EVV export file
+router.get('/evv-export/batches/:batchId/file', requirePermission('evv:export'), async (req, res) => {
+  try {
+    const batch = await prisma.evvExportBatch.findUnique({
+      where: { id: req.params.batchId },
+      include: { records: { select: { patientId: true } } }
+    });
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Export batch not found' });
+    }
+
+    await auditService.recordView(req, {
+      action: 'DOWNLOAD_EVV_EXPORT',
+      tableName: 'evv_export_batches',
+      recordId: batch.id,
+      patientIds: batch.records.map(record => record.patientId)
+    });
+
+    res.setHeader('Content-Type', 'text/plain');
+    res.setHeader('Content-Disposition', `attachment; filename="${batch.fileName}"`);
+    res.send(batch.fileContent);
+
+  } catch (error) {
+    console.error('Download EVV export batch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,200 @@
+const express = require('express');
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Validation schemas
+const permissionList = Joi.array()
+  .items(Joi.string().valid(...Object.keys(permissionService.PERMISSIONS)))
+  .unique();
+
+const createRoleSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(500).optional(),
+  permissions: permissionList.required()
+});
+
+const updateRoleSchema = Joi.object({
+  name: Joi.string().min(2).max(100).optional(),
+  description: Joi.string().max(500).optional(),
+  permissions: permissionList.optional()
+});
+
+// Get the permission registry
+router.get('/permissions', requirePermission('role:manage'), (req, res) => {
+  res.json({ permissions: permissionService.listPermissions() });
+});
+
+// Get all roles
+router.get('/', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const roles = await prisma.role.findMany({
+      include: {
+        _count: { select: { assignments: true } }
+      },
+      orderBy: [
+        { isSystem: 'desc' },
+        { name: 'asc' }
+      ]
+    });
+
+    res.json({ roles });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a custom role
+router.post('/', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { error, value } = createRoleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const existingRole = await prisma.role.findUnique({
+      where: { name: value.name }
+    });
+
+    if (existingRole) {
+      return res.status(409).json({
+        error: 'Role name already exists',
+        code: 'ROLE_EXISTS'
+      });
+    }
+
+    const role = await prisma.role.create({
+      data: {
+        ...value,
+        isSystem: false,
+        createdBy: req.user.id
+      }
+    });
+
+    permissionService.invalidate();
+
+    await auditService.record(req, {
+      action: 'CREATE_ROLE',
+      tableName: 'roles',
+      recordId: role.id,
+      newValues: role
+    });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a role's name, description or permission bundle
+router.put('/:roleId', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { error, value } = updateRoleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const currentRole = await prisma.role.findUnique({
+      where: { id: req.params.roleId }
+    });
+
+    if (!currentRole) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    // Built-in roles map to User.role values, so they cannot be renamed
+    if (currentRole.isSystem && value.name && value.name !== currentRole.name) {
+      return res.status(400).json({
+        error: 'System roles cannot be renamed',
+        code: 'SYSTEM_ROLE'
+      });
+    }
+
+    const role = await prisma.role.update({
+      where: { id: req.params.roleId },
+      data: value
+    });
+
+    permissionService.invalidate();
+
+    await auditService.record(req, {
+      action: 'UPDATE_ROLE',
+      tableName: 'roles',
+      recordId: role.id,
+      oldValues: currentRole,
+      newValues: role
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a custom role (removes it from any users holding it)
+router.delete('/:roleId', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const role = await prisma.role.findUnique({
+      where: { id: req.params.roleId }
+    });
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        error: 'System roles cannot be deleted',
+        code: 'SYSTEM_ROLE'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.userRoleAssignment.deleteMany({ where: { roleId: role.id } }),
+      prisma.role.delete({ where: { id: role.id } })
+    ]);
+
+    permissionService.invalidate();
+
+    await auditService.record(req, {
+      action: 'DELETE_ROLE',
+      tableName: 'roles',
+      recordId: role.id,
+      oldValues: role
+    });
+
+    res.json({ message: 'Role deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
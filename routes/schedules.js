@@ -1,7 +1,22 @@
 const express = require('express');
 const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission, hasPermission, getPatientAccessFilter, canAccessPatient } = require('../middleware/auth');
+const billingPeriodService = require('../services/billingPeriodService');
+const schedulingService = require('../services/schedulingService');
+const visitGeneratorService = require('../services/visitGeneratorService');
+const frequencyComplianceService = require('../services/frequencyComplianceService');
+const scheduleStatusService = require('../services/scheduleStatusService');
+const evvService = require('../services/evvService');
+const auditService = require('../services/auditService');
+const { FREQUENCY_PATTERN } = require('../services/physicianOrderService');
+const agencyClock = require('../services/agencyClock');
+
+const { SchedulingError, WEEKDAYS, TIME_OFF_TYPES } = schedulingService;
+const { VisitGeneratorError } = visitGeneratorService;
+const { FrequencyComplianceError, MISSED_VISIT_REASONS, NOTIFICATION_METHODS } = frequencyComplianceService;
+const { ScheduleStatusError, STATUSES, OPEN_STATUSES, CANCEL_REASONS } = scheduleStatusService;
+const { EvvError, REASON_CODES, CAPTURE_METHODS } = evvService;
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -16,12 +31,119 @@ const scheduleSchema = Joi.object({
   staffId: Joi.string().required(),
   visitDate: Joi.date().required(),
   startTime: Joi.date().required(),
-  endTime: Joi.date().required(),
+  endTime: Joi.date().greater(Joi.ref('startTime')).required(),
   discipline: Joi.string().valid('SN', 'PT', 'OT', 'ST', 'MSW', 'HHA').required(),
   visitType: Joi.string().valid('ROUTINE', 'EVALUATION', 'RE_EVALUATION', 'DISCHARGE').required(),
   notes: Joi.string().optional()
 });
 
+const clockSchema = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+const availabilitySchema = Joi.object({
+  // e.g. { MON: [{ start: '08:00', end: '17:00' }] }; missing days are off
+  workingHours: Joi.object().pattern(
+    Joi.string().valid(...WEEKDAYS),
+    Joi.array().items(Joi.object({
+      start: clockSchema.required(),
+      end: clockSchema.required()
+    }))
+  ).required(),
+  maxVisitsPerDay: Joi.number().integer().min(1).max(20).allow(null).optional()
+});
+
+const timeOffSchema = Joi.object({
+  startsAt: Joi.date().required(),
+  endsAt: Joi.date().min(Joi.ref('startsAt')).required(),
+  // Whole days: startsAt's day through the end of endsAt's day
+  allDay: Joi.boolean().default(true),
+  type: Joi.string().valid(...TIME_OFF_TYPES).default('PTO'),
+  reason: Joi.string().max(500).optional()
+});
+
+const generateSchema = Joi.object({
+  episodeId: Joi.string().required(),
+  // Generation starts here instead of the episode start date
+  from: Joi.date().optional(),
+  disciplines: Joi.array().items(Joi.object({
+    discipline: Joi.string().valid('SN', 'PT', 'OT', 'ST', 'MSW', 'HHA').required(),
+    staffId: Joi.string().required(),
+    // Defaults to the episode's frequency for the discipline
+    frequency: Joi.string().pattern(FREQUENCY_PATTERN).optional(),
+    weekdays: Joi.array().items(Joi.string().valid(...WEEKDAYS)).min(1).unique().optional(),
+    startTime: clockSchema.optional(),
+    durationMinutes: Joi.number().integer().min(15).max(480).optional(),
+    visitType: Joi.string().valid('ROUTINE', 'EVALUATION', 'RE_EVALUATION', 'DISCHARGE').optional()
+  })).min(1).unique('discipline').required()
+});
+
+const missedVisitSchema = Joi.object({
+  reason: Joi.string().valid(...MISSED_VISIT_REASONS).required(),
+  notes: Joi.string().min(1).max(2000).required(),
+  physicianId: Joi.string().required(),
+  physicianNotifiedAt: Joi.date().max('now').required(),
+  notificationMethod: Joi.string().valid(...NOTIFICATION_METHODS).required()
+});
+
+const statusSchema = Joi.object({
+  status: Joi.string().valid(...STATUSES).required(),
+  reason: Joi.string().valid(...CANCEL_REASONS).when('status', {
+    is: 'CANCELLED',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  notes: Joi.string().max(1000).when('reason', { is: 'OTHER', then: Joi.required() }),
+  // Visit note fulfilling a COMPLETED schedule; found automatically if omitted
+  visitNoteId: Joi.string().when('status', { is: 'COMPLETED', otherwise: Joi.forbidden() })
+});
+
+const rescheduleSchema = Joi.object({
+  visitDate: Joi.date().required(),
+  startTime: Joi.date().required(),
+  endTime: Joi.date().greater(Joi.ref('startTime')).required(),
+  staffId: Joi.string().optional(),
+  reason: Joi.string().valid(...CANCEL_REASONS).required(),
+  notes: Joi.string().max(1000).when('reason', { is: 'OTHER', then: Joi.required() })
+});
+
+// Times are the server's; the device clock is only compared against it.
+// GPS captures carry a location, TELEPHONY captures the calling number.
+const evvCaptureSchema = Joi.object({
+  method: Joi.string().valid(...CAPTURE_METHODS).default('GPS'),
+  latitude: Joi.number().min(-90).max(90)
+    .when('method', { is: 'GPS', then: Joi.required(), otherwise: Joi.forbidden() }),
+  longitude: Joi.number().min(-180).max(180)
+    .when('method', { is: 'GPS', then: Joi.required(), otherwise: Joi.forbidden() }),
+  callerNumber: Joi.string().max(20)
+    .when('method', { is: 'TELEPHONY', then: Joi.required(), otherwise: Joi.forbidden() }),
+  deviceTime: Joi.date().optional()
+});
+
+const evvEditSchema = Joi.object({
+  checkInAt: Joi.date().max('now').optional(),
+  checkOutAt: Joi.date().max('now').optional(),
+  reasonCode: Joi.string().valid(...Object.keys(REASON_CODES)).required(),
+  notes: Joi.string().max(1000).when('reasonCode', { is: 'OTHER', then: Joi.required() })
+});
+
+const handleServiceError = (error, res) => {
+  if (error instanceof SchedulingError
+    || error instanceof VisitGeneratorError
+    || error instanceof FrequencyComplianceError
+    || error instanceof ScheduleStatusError
+    || error instanceof EvvError) {
+    res.status(error.status).json({
+      error: error.message,
+      code: error.code
+    });
+    return true;
+  }
+  return false;
+};
+
+// Clinicians manage their own availability; schedulers manage anyone's
+const canManageAvailability = async (req, staffId) => req.user.id === staffId
+  || hasPermission(req, 'availability:manage');
+
 // Get schedules
 router.get('/', async (req, res) => {
   try {
@@ -33,7 +155,9 @@ router.get('/', async (req, res) => {
     const endDate = req.query.endDate;
     const skip = (page - 1) * limit;
 
-    const where = {};
+    const where = {
+      patient: getPatientAccessFilter(req.user)
+    };
     if (patientId) where.patientId = patientId;
     if (staffId) where.staffId = staffId;
     if (startDate && endDate) {
@@ -58,6 +182,12 @@ router.get('/', async (req, res) => {
       prisma.schedule.count({ where })
     ]);
 
+    await auditService.recordView(req, {
+      action: 'VIEW_SCHEDULE_LIST',
+      tableName: 'schedules',
+      patientIds: schedules.map(schedule => schedule.patientId)
+    });
+
     res.json({
       schedules,
       pagination: { page, limit, total, pages: Math.ceil(total / limit) }
@@ -69,8 +199,305 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Check a proposed visit for conflicts without saving it
+router.post('/check', requirePermission('schedule:create'), async (req, res) => {
+  try {
+    const { error, value } = scheduleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!(await canAccessPatient(req.user, value.patientId))) {
+      return res.status(403).json({
+        error: 'Patient is not in your caseload',
+        code: 'PATIENT_ACCESS_DENIED'
+      });
+    }
+
+    const conflicts = await schedulingService.findConflicts(value, {
+      excludeScheduleId: req.query.excludeScheduleId
+    });
+
+    res.json({
+      conflicts,
+      strict: schedulingService.isStrict(req.query.strict === 'true')
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Check schedule conflicts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Load the episode for a generation request, or send the error response
+const loadGenerationEpisode = async (req, res, episodeId) => {
+  const episode = await prisma.episode.findFirst({
+    where: { id: episodeId, patient: getPatientAccessFilter(req.user) },
+    select: { id: true, patientId: true }
+  });
+  if (!episode) {
+    res.status(404).json({ error: 'Episode not found', code: 'EPISODE_NOT_FOUND' });
+  }
+  return episode;
+};
+
+// Preview recurring visits for an episode from per-discipline frequencies
+router.post('/generate/preview', requirePermission('schedule:create'), async (req, res) => {
+  try {
+    const { error, value } = generateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (!(await loadGenerationEpisode(req, res, value.episodeId))) return;
+
+    const preview = await visitGeneratorService.preview(value.episodeId, value.disciplines, {
+      from: value.from,
+      strict: schedulingService.isStrict(req.query.strict === 'true')
+    });
+
+    res.json(preview);
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Preview visit generation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create the recurring visits
+router.post('/generate', requirePermission('schedule:create'), async (req, res) => {
+  try {
+    const { error, value } = generateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const episode = await loadGenerationEpisode(req, res, value.episodeId);
+    if (!episode) return;
+
+    const result = await visitGeneratorService.commit(value.episodeId, value.disciplines, {
+      from: value.from,
+      strict: schedulingService.isStrict(req.query.strict === 'true'),
+      userId: req.user.id
+    });
+
+    await auditService.record(req, {
+      action: 'GENERATE_SCHEDULES',
+      tableName: 'schedules',
+      recordId: episode.id,
+      patientId: episode.patientId,
+      newValues: { disciplines: value.disciplines, from: result.from, created: result.created },
+      metadata: { created: result.created }
+    });
+
+    res.status(201).json({
+      message: `${result.created} visits scheduled`,
+      ...result
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Generate visits error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace generated visits still to come after a frequency change
+router.post('/generate/regenerate', requirePermission('schedule:create'), async (req, res) => {
+  try {
+    const { error, value } = generateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const episode = await loadGenerationEpisode(req, res, value.episodeId);
+    if (!episode) return;
+
+    const result = await visitGeneratorService.regenerate(value.episodeId, value.disciplines, {
+      from: value.from,
+      strict: schedulingService.isStrict(req.query.strict === 'true'),
+      userId: req.user.id
+    });
+
+    await auditService.record(req, {
+      action: 'REGENERATE_SCHEDULES',
+      tableName: 'schedules',
+      recordId: episode.id,
+      patientId: episode.patientId,
+      oldValues: { cancelledScheduleIds: result.cancelledIds },
+      newValues: { disciplines: value.disciplines, from: result.from, created: result.created },
+      metadata: { cancelled: result.cancelled, created: result.created }
+    });
+
+    res.json({
+      message: `${result.cancelled} visits cancelled, ${result.created} visits scheduled`,
+      ...result
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Regenerate visits error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a clinician's working hours, visit cap and upcoming time off
+router.get('/availability/:staffId', async (req, res) => {
+  try {
+    if (!(await canManageAvailability(req, req.params.staffId)) && !(await hasPermission(req, 'schedule:create'))) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const availability = await schedulingService.getAvailability(req.params.staffId);
+    res.json(availability);
+
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a clinician's working hours and visit cap
+router.put('/availability/:staffId', async (req, res) => {
+  try {
+    if (!(await canManageAvailability(req, req.params.staffId))) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const { error, value } = availabilitySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const invalidWindow = Object.entries(value.workingHours)
+      .find(([, windows]) => windows.some(window => window.start >= window.end));
+    if (invalidWindow) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: `Working hours on ${invalidWindow[0]} must end after they start`
+      });
+    }
+
+    const availability = await schedulingService.setAvailability(req.params.staffId, value, req.user.id);
+
+    res.json({
+      message: 'Availability updated successfully',
+      availability
+    });
+
+  } catch (error) {
+    console.error('Update availability error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record time off
+router.post('/availability/:staffId/time-off', async (req, res) => {
+  try {
+    if (!(await canManageAvailability(req, req.params.staffId))) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const { error, value } = timeOffSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const { allDay, ...data } = value;
+    if (allDay) {
+      data.startsAt = agencyClock.startOfDay(data.startsAt);
+      data.endsAt = new Date(agencyClock.addDays(agencyClock.startOfDay(data.endsAt), 1).getTime() - 1);
+    }
+
+    const timeOff = await prisma.staffTimeOff.create({
+      data: {
+        ...data,
+        staffId: req.params.staffId,
+        createdBy: req.user.id
+      }
+    });
+
+    // Visits already booked in the time off need reassigning
+    const affectedVisits = await prisma.schedule.count({
+      where: {
+        staffId: req.params.staffId,
+        status: { in: OPEN_STATUSES },
+        startTime: { lt: timeOff.endsAt },
+        endTime: { gt: timeOff.startsAt }
+      }
+    });
+
+    res.status(201).json({
+      message: 'Time off recorded successfully',
+      timeOff,
+      affectedVisits
+    });
+
+  } catch (error) {
+    console.error('Create time off error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove time off
+router.delete('/availability/:staffId/time-off/:timeOffId', async (req, res) => {
+  try {
+    if (!(await canManageAvailability(req, req.params.staffId))) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const timeOff = await prisma.staffTimeOff.findUnique({
+      where: { id: req.params.timeOffId }
+    });
+
+    if (!timeOff || timeOff.staffId !== req.params.staffId) {
+      return res.status(404).json({ error: 'Time off not found' });
+    }
+
+    await prisma.staffTimeOff.delete({ where: { id: timeOff.id } });
+
+    res.json({ message: 'Time off removed successfully' });
+
+  } catch (error) {
+    console.error('Delete time off error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Create schedule
-router.post('/', requireRole(['INTAKE_STAFF', 'CLINICIAN', 'ADMIN']), async (req, res) => {
+router.post('/', requirePermission('schedule:create'), async (req, res) => {
   try {
     const { error, value } = scheduleSchema.validate(req.body);
     if (error) {
@@ -80,8 +507,28 @@ router.post('/', requireRole(['INTAKE_STAFF', 'CLINICIAN', 'ADMIN']), async (req
       });
     }
 
+    if (!(await canAccessPatient(req.user, value.patientId))) {
+      return res.status(403).json({
+        error: 'Patient is not in your caseload',
+        code: 'PATIENT_ACCESS_DENIED'
+      });
+    }
+
+    // Conflicts come back as warnings unless strict mode is on
+    const conflicts = await schedulingService.findConflicts(value);
+    if (conflicts.length > 0 && schedulingService.isStrict(req.query.strict === 'true')) {
+      return res.status(409).json({
+        error: 'Schedule conflicts with existing visits or availability',
+        code: 'SCHEDULE_CONFLICT',
+        conflicts
+      });
+    }
+
     const schedule = await prisma.schedule.create({
-      data: value,
+      data: {
+        ...value,
+        billingPeriodId: await billingPeriodService.resolvePeriodId(value.episodeId, value.visitDate)
+      },
       include: {
         patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
         episode: { select: { id: true, episodeNumber: true } },
@@ -89,44 +536,385 @@ router.post('/', requireRole(['INTAKE_STAFF', 'CLINICIAN', 'ADMIN']), async (req
       }
     });
 
+    await auditService.record(req, {
+      action: 'CREATE_SCHEDULE',
+      tableName: 'schedules',
+      recordId: schedule.id,
+      patientId: schedule.patientId,
+      newValues: schedule
+    });
+
     res.status(201).json({
       message: 'Schedule created successfully',
-      schedule
+      schedule,
+      warnings: conflicts
     });
 
   } catch (error) {
+    if (handleServiceError(error, res)) return;
     console.error('Create schedule error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Update schedule status
-router.patch('/:scheduleId/status', requireRole(['CLINICIAN', 'ADMIN']), async (req, res) => {
+router.patch('/:scheduleId/status', requirePermission('schedule:update'), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { error, value } = statusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
 
-    const schedule = await prisma.schedule.findUnique({
-      where: { id: req.params.scheduleId }
+    const schedule = await prisma.schedule.findFirst({
+      where: { id: req.params.scheduleId, patient: getPatientAccessFilter(req.user) }
     });
 
     if (!schedule) {
       return res.status(404).json({ error: 'Schedule not found' });
     }
 
-    const updatedSchedule = await prisma.schedule.update({
-      where: { id: req.params.scheduleId },
-      data: { status }
+    const result = await scheduleStatusService.transition(schedule, value.status, {
+      ...value,
+      userId: req.user.id
+    });
+
+    await auditService.record(req, {
+      action: 'UPDATE_SCHEDULE_STATUS',
+      tableName: 'schedules',
+      recordId: schedule.id,
+      patientId: schedule.patientId,
+      oldValues: schedule,
+      newValues: result.schedule
     });
 
     res.json({
       message: 'Schedule status updated successfully',
-      schedule: updatedSchedule
+      schedule: result.schedule,
+      visitNote: result.visitNote
     });
 
   } catch (error) {
+    if (handleServiceError(error, res)) return;
     console.error('Update schedule status error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Move a visit to a new slot, linking the old and new schedules
+router.post('/:scheduleId/reschedule', requirePermission('schedule:update'), async (req, res) => {
+  try {
+    const { error, value } = rescheduleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const schedule = await prisma.schedule.findFirst({
+      where: { id: req.params.scheduleId, patient: getPatientAccessFilter(req.user) }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const { reason, notes, ...slot } = value;
+    const conflicts = await schedulingService.findConflicts({
+      ...schedule,
+      ...slot,
+      staffId: slot.staffId || schedule.staffId
+    }, { excludeScheduleId: schedule.id });
+    if (conflicts.length > 0 && schedulingService.isStrict(req.query.strict === 'true')) {
+      return res.status(409).json({
+        error: 'Schedule conflicts with existing visits or availability',
+        code: 'SCHEDULE_CONFLICT',
+        conflicts
+      });
+    }
+
+    const result = await scheduleStatusService.reschedule(schedule, slot, {
+      reason,
+      notes,
+      userId: req.user.id,
+      billingPeriodId: await billingPeriodService.resolvePeriodId(schedule.episodeId, slot.visitDate)
+    });
+
+    await auditService.record(req, {
+      action: 'RESCHEDULE_VISIT',
+      tableName: 'schedules',
+      recordId: schedule.id,
+      patientId: schedule.patientId,
+      oldValues: schedule,
+      newValues: result.schedule
+    });
+
+    res.status(201).json({
+      message: 'Visit rescheduled successfully',
+      previous: result.previous,
+      schedule: result.schedule,
+      warnings: conflicts
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Reschedule visit error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Status history of a schedule
+router.get('/:scheduleId/history', async (req, res) => {
+  try {
+    const schedule = await prisma.schedule.findFirst({
+      where: { id: req.params.scheduleId, patient: getPatientAccessFilter(req.user) },
+      select: { id: true, patientId: true, status: true, rescheduledFromId: true, rescheduledToId: true }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const transitions = await scheduleStatusService.history(schedule.id);
+
+    await auditService.recordView(req, {
+      action: 'VIEW_SCHEDULE_HISTORY',
+      tableName: 'schedules',
+      recordId: schedule.id,
+      patientId: schedule.patientId
+    });
+
+    res.json({
+      status: schedule.status,
+      rescheduledFromId: schedule.rescheduledFromId,
+      rescheduledToId: schedule.rescheduledToId,
+      transitions
+    });
+
+  } catch (error) {
+    console.error('Get schedule history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a missed visit with its note and physician notification
+router.post('/:scheduleId/missed-visit', requirePermission('schedule:update'), async (req, res) => {
+  try {
+    const { error, value } = missedVisitSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const schedule = await prisma.schedule.findFirst({
+      where: { id: req.params.scheduleId, patient: getPatientAccessFilter(req.user) }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const result = await frequencyComplianceService.recordMissedVisit(schedule, value, req.user.id);
+
+    await auditService.record(req, {
+      action: 'RECORD_MISSED_VISIT',
+      tableName: 'missed_visits',
+      recordId: result.missedVisit.id,
+      patientId: schedule.patientId,
+      oldValues: schedule,
+      newValues: result.missedVisit
+    });
+
+    res.status(201).json({
+      message: 'Missed visit recorded successfully',
+      missedVisit: result.missedVisit,
+      schedule: result.schedule
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Record missed visit error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// EVV record of a visit with its manual edits
+router.get('/:scheduleId/evv', async (req, res) => {
+  try {
+    const schedule = await prisma.schedule.findFirst({
+      where: { id: req.params.scheduleId, patient: getPatientAccessFilter(req.user) },
+      select: { id: true, patientId: true }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const record = await evvService.findRecord(schedule.id);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Visit has no EVV record' });
+    }
+
+    await auditService.recordView(req, {
+      action: 'VIEW_EVV_RECORD',
+      tableName: 'evv_records',
+      recordId: record.id,
+      patientId: schedule.patientId
+    });
+
+    res.json({ record });
+
+  } catch (error) {
+    console.error('Get EVV record error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Load a schedule for EVV capture; only the assigned clinician checks in
+// and out
+const loadCaptureSchedule = async (req, res) => {
+  const schedule = await prisma.schedule.findFirst({
+    where: { id: req.params.scheduleId, patient: getPatientAccessFilter(req.user) }
+  });
+
+  if (!schedule) {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+  if (schedule.staffId !== req.user.id) {
+    res.status(403).json({
+      error: 'Only the assigned clinician can check in and out of this visit',
+      code: 'NOT_ASSIGNED_STAFF'
+    });
+    return null;
+  }
+  return schedule;
+};
+
+// Start a visit: time, location and capture method
+router.post('/:scheduleId/evv/check-in', requirePermission('schedule:update'), async (req, res) => {
+  try {
+    const { error, value } = evvCaptureSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const schedule = await loadCaptureSchedule(req, res);
+    if (!schedule) return;
+
+    const result = await evvService.checkIn(schedule, { ...value, ivrKey: req.get('X-EVV-IVR-Key') }, req.user.id);
+
+    await auditService.record(req, {
+      action: 'EVV_CHECK_IN',
+      tableName: 'evv_records',
+      recordId: result.record.id,
+      patientId: schedule.patientId,
+      newValues: result.record
+    });
+
+    res.status(201).json({
+      message: 'Checked in successfully',
+      record: result.record,
+      schedule: result.schedule,
+      exceptions: result.record.exceptions
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('EVV check-in error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// End a visit; the schedule is completed
+router.post('/:scheduleId/evv/check-out', requirePermission('schedule:update'), async (req, res) => {
+  try {
+    const { error, value } = evvCaptureSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const schedule = await loadCaptureSchedule(req, res);
+    if (!schedule) return;
+
+    const result = await evvService.checkOut(schedule, { ...value, ivrKey: req.get('X-EVV-IVR-Key') }, req.user.id);
+
+    await auditService.record(req, {
+      action: 'EVV_CHECK_OUT',
+      tableName: 'evv_records',
+      recordId: result.record.id,
+      patientId: schedule.patientId,
+      newValues: result.record
+    });
+
+    res.json({
+      message: 'Checked out successfully',
+      record: result.record,
+      schedule: result.schedule,
+      visitNote: result.visitNote,
+      exceptions: result.record.exceptions
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('EVV check-out error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Correct EVV times or resolve exceptions with a reason code
+router.patch('/:scheduleId/evv', requirePermission('evv:manage'), async (req, res) => {
+  try {
+    const { error, value } = evvEditSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const schedule = await prisma.schedule.findFirst({
+      where: { id: req.params.scheduleId, patient: getPatientAccessFilter(req.user) }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const result = await evvService.edit(schedule, value, req.user.id);
+
+    await auditService.record(req, {
+      action: 'EDIT_EVV_RECORD',
+      tableName: 'evv_records',
+      recordId: result.record.id,
+      patientId: schedule.patientId,
+      oldValues: result.previous,
+      newValues: result.record
+    });
+
+    res.json({
+      message: 'EVV record updated successfully',
+      record: result.record,
+      schedule: result.schedule
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Edit EVV record error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
@@ -1,6 +1,12 @@
 const express = require('express');
+const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const mfaService = require('../services/mfaService');
+const passwordPolicy = require('../services/passwordPolicyService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -8,6 +14,20 @@ const router = express.Router();
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Validation schemas
+const roleUpdateSchema = Joi.object({
+  role: Joi.string().valid(...Object.keys(permissionService.SYSTEM_ROLES)).required()
+});
+
+const branchSchema = Joi.object({
+  // null clears the branch, leaving branch-scoped roles with no caseload
+  branchId: Joi.string().max(50).allow(null).required()
+});
+
+const roleAssignmentSchema = Joi.object({
+  roleIds: Joi.array().items(Joi.string()).unique().required()
+});
+
 
 // Get all users (for staff selection)
 router.get('/', async (req, res) => {
@@ -48,7 +68,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get all users for admin management
-router.get('/admin', requireRole(['ADMIN']), async (req, res) => {
+router.get('/admin', requirePermission('user:manage'), async (req, res) => {
   try {
     const users = await prisma.user.findMany({
       select: {
@@ -60,6 +80,9 @@ router.get('/admin', requireRole(['ADMIN']), async (req, res) => {
         isActive: true,
         createdAt: true,
         lastLogin: true,
+        mfaEnabled: true,
+        lockedUntil: true,
+        branchId: true,
         staffProfile: {
           select: {
             discipline: true,
@@ -83,7 +106,7 @@ router.get('/admin', requireRole(['ADMIN']), async (req, res) => {
 });
 
 // Update user status (activate/deactivate)
-router.patch('/:userId/status', requireRole(['ADMIN']), async (req, res) => {
+router.patch('/:userId/status', requirePermission('user:manage'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { isActive } = req.body;
@@ -101,6 +124,11 @@ router.patch('/:userId/status', requireRole(['ADMIN']), async (req, res) => {
       }
     });
 
+    // Deactivated users lose every open session immediately
+    if (!isActive) {
+      await sessionService.revokeAllForUser(userId, 'USER_DEACTIVATED');
+    }
+
     res.json({
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
       user
@@ -113,10 +141,34 @@ router.patch('/:userId/status', requireRole(['ADMIN']), async (req, res) => {
 });
 
 // Update user role
-router.patch('/:userId/role', requireRole(['ADMIN']), async (req, res) => {
+router.patch('/:userId/role', requirePermission('role:manage'), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { role } = req.body;
+    const { error, value } = roleUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+    const { role } = value;
+
+    // Nobody changes their own base role, so it cannot be used to escalate
+    if (userId === req.user.id) {
+      return res.status(403).json({
+        error: 'You cannot change your own role',
+        code: 'SELF_ROLE_CHANGE'
+      });
+    }
+
+    const currentUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, role: true }
+    });
+
+    if (!currentUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
     const user = await prisma.user.update({
       where: { id: userId },
@@ -131,6 +183,14 @@ router.patch('/:userId/role', requireRole(['ADMIN']), async (req, res) => {
       }
     });
 
+    await auditService.record(req, {
+      action: 'UPDATE_USER_ROLE',
+      tableName: 'users',
+      recordId: userId,
+      oldValues: { role: currentUser.role },
+      newValues: { role: user.role }
+    });
+
     res.json({
       message: 'User role updated successfully',
       user
@@ -142,5 +202,255 @@ router.patch('/:userId/role', requireRole(['ADMIN']), async (req, res) => {
   }
 });
 
+// Assign the branch whose patients branch-scoped roles can see
+router.patch('/:userId/branch', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { error, value } = branchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const currentUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, branchId: true }
+    });
+
+    if (!currentUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { branchId: value.branchId },
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        email: true,
+        role: true,
+        branchId: true
+      }
+    });
+
+    await auditService.record(req, {
+      action: 'UPDATE_USER_BRANCH',
+      tableName: 'users',
+      recordId: userId,
+      oldValues: { branchId: currentUser.branchId },
+      newValues: { branchId: user.branchId }
+    });
+
+    res.json({
+      message: 'User branch updated successfully',
+      user
+    });
+
+  } catch (error) {
+    console.error('Update user branch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the custom roles assigned to a user
+router.get('/:userId/roles', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.userId },
+      select: {
+        id: true,
+        role: true,
+        roleAssignments: {
+          include: { role: true }
+        }
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      baseRole: user.role,
+      roles: user.roleAssignments.map(assignment => assignment.role),
+      permissions: Array.from(await permissionService.getPermissionsForUser(user)).sort()
+    });
+
+  } catch (error) {
+    console.error('Get user roles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the custom roles assigned to a user (in addition to their base role)
+router.put('/:userId/roles', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { error, value } = roleAssignmentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        roleAssignments: { select: { roleId: true } }
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const roles = await prisma.role.findMany({
+      where: { id: { in: value.roleIds } }
+    });
+
+    if (roles.length !== value.roleIds.length) {
+      return res.status(400).json({
+        error: 'One or more roles not found',
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.userRoleAssignment.deleteMany({ where: { userId } }),
+      prisma.userRoleAssignment.createMany({
+        data: value.roleIds.map(roleId => ({
+          userId,
+          roleId,
+          assignedBy: req.user.id
+        }))
+      })
+    ]);
+
+    await auditService.record(req, {
+      action: 'ASSIGN_USER_ROLES',
+      tableName: 'user_role_assignments',
+      recordId: userId,
+      oldValues: { roleIds: user.roleAssignments.map(assignment => assignment.roleId) },
+      newValues: { roleIds: value.roleIds }
+    });
+
+    res.json({
+      message: 'User roles updated successfully',
+      roles
+    });
+
+  } catch (error) {
+    console.error('Update user roles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unlock a user locked out by failed logins
+router.patch('/:userId/unlock', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, lockedUntil: true, failedLoginAttempts: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await passwordPolicy.unlock(userId);
+
+    await auditService.record(req, {
+      action: 'ACCOUNT_UNLOCKED',
+      tableName: 'users',
+      recordId: userId,
+      oldValues: { lockedUntil: user.lockedUntil, failedLoginAttempts: user.failedLoginAttempts }
+    });
+
+    res.json({
+      message: 'User unlocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke all sessions for a user (forces sign-out on every device)
+router.post('/:userId/revoke-sessions', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revokedCount = await sessionService.revokeAllForUser(userId, 'ADMIN_REVOKED');
+
+    await auditService.record(req, {
+      action: 'REVOKE_USER_SESSIONS',
+      tableName: 'user_sessions',
+      recordId: userId,
+      newValues: { revokedCount }
+    });
+
+    res.json({
+      message: 'User sessions revoked successfully',
+      revokedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reset a user's MFA (lost device); they must enroll again on next login
+router.delete('/:userId/mfa', requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, mfaEnabled: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await mfaService.resetForUser(userId);
+    await sessionService.revokeAllForUser(userId, 'MFA_RESET');
+
+    await auditService.record(req, {
+      action: 'MFA_RESET',
+      tableName: 'users',
+      recordId: userId,
+      oldValues: { mfaEnabled: user.mfaEnabled },
+      newValues: { mfaEnabled: false }
+    });
+
+    res.json({
+      message: 'User MFA reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Reset user MFA error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
 
@@ -1,7 +1,15 @@
 const express = require('express');
 const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission, getPatientAccessFilter, canAccessPatient } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const addendumService = require('../services/addendumService');
+const signatureService = require('../services/signatureService');
+const billingPeriodService = require('../services/billingPeriodService');
+const scheduleStatusService = require('../services/scheduleStatusService');
+
+const { AddendumError } = addendumService;
+const { SignatureError } = signatureService;
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -21,6 +29,61 @@ const visitSchema = Joi.object({
   notesData: Joi.object().required()
 });
 
+const visitUpdateSchema = Joi.object({
+  visitDate: Joi.date().optional(),
+  discipline: Joi.string().valid('SN', 'PT', 'OT', 'ST', 'MSW', 'HHA').optional(),
+  visitType: Joi.string().valid('ROUTINE', 'EVALUATION', 'RE_EVALUATION', 'DISCHARGE').optional(),
+  startTime: Joi.date().optional().allow(null),
+  endTime: Joi.date().optional().allow(null),
+  notesData: Joi.object().optional()
+});
+
+const addendumSchema = Joi.object({
+  entryType: Joi.string().valid(...addendumService.ENTRY_TYPES).default('ADDENDUM'),
+  content: Joi.string().min(1).max(10000).required(),
+  reason: Joi.string().min(1).max(1000).required(),
+  occurredAt: Joi.date().optional()
+});
+
+// Signing requires the signer to re-enter their password or an MFA code
+const signatureSchema = Joi.object({
+  password: Joi.string(),
+  mfaCode: Joi.string().pattern(/^\d{6}$/)
+}).xor('password', 'mfaCode');
+
+const handleServiceError = (error, res) => {
+  if (error instanceof AddendumError || error instanceof SignatureError) {
+    res.status(error.status).json({
+      error: error.message,
+      code: error.code
+    });
+    return true;
+  }
+  return false;
+};
+
+// Load a visit the current user may see, or send the error response
+const loadVisit = async (req, res) => {
+  const visit = await prisma.visitNote.findUnique({
+    where: { id: req.params.visitId }
+  });
+
+  if (!visit) {
+    res.status(404).json({ error: 'Visit not found' });
+    return null;
+  }
+
+  if (!(await canAccessPatient(req.user, visit.patientId))) {
+    res.status(403).json({
+      error: 'Patient is not in your caseload',
+      code: 'PATIENT_ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return visit;
+};
+
 // Get visit notes
 router.get('/', async (req, res) => {
   try {
@@ -30,7 +93,9 @@ router.get('/', async (req, res) => {
     const discipline = req.query.discipline;
     const skip = (page - 1) * limit;
 
-    const where = {};
+    const where = {
+      patient: getPatientAccessFilter(req.user)
+    };
     if (patientId) where.patientId = patientId;
     if (discipline) where.discipline = discipline;
 
@@ -49,6 +114,12 @@ router.get('/', async (req, res) => {
       prisma.visitNote.count({ where })
     ]);
 
+    await auditService.recordView(req, {
+      action: 'VIEW_VISIT_LIST',
+      tableName: 'visit_notes',
+      patientIds: visits.map(visit => visit.patientId)
+    });
+
     res.json({
       visits,
       pagination: { page, limit, total, pages: Math.ceil(total / limit) }
@@ -61,7 +132,7 @@ router.get('/', async (req, res) => {
 });
 
 // Create visit note
-router.post('/', requireRole(['CLINICIAN', 'ADMIN']), async (req, res) => {
+router.post('/', requirePermission('visit:create'), async (req, res) => {
   try {
     const { error, value } = visitSchema.validate(req.body);
     if (error) {
@@ -71,9 +142,17 @@ router.post('/', requireRole(['CLINICIAN', 'ADMIN']), async (req, res) => {
       });
     }
 
+    if (!(await canAccessPatient(req.user, value.patientId))) {
+      return res.status(403).json({
+        error: 'Patient is not in your caseload',
+        code: 'PATIENT_ACCESS_DENIED'
+      });
+    }
+
     const visit = await prisma.visitNote.create({
       data: {
         ...value,
+        billingPeriodId: await billingPeriodService.resolvePeriodId(value.episodeId, value.visitDate),
         clinicianId: req.user.id
       },
       include: {
@@ -82,9 +161,21 @@ router.post('/', requireRole(['CLINICIAN', 'ADMIN']), async (req, res) => {
       }
     });
 
+    await auditService.record(req, {
+      action: 'CREATE_VISIT',
+      tableName: 'visit_notes',
+      recordId: visit.id,
+      patientId: visit.patientId,
+      newValues: visit
+    });
+
+    // A schedule completed before its note was written gets linked now
+    const schedule = await scheduleStatusService.linkCompletedSchedule(visit);
+
     res.status(201).json({
       message: 'Visit note created successfully',
-      visit
+      visit,
+      scheduleId: schedule ? schedule.id : null
     });
 
   } catch (error) {
@@ -93,28 +184,212 @@ router.post('/', requireRole(['CLINICIAN', 'ADMIN']), async (req, res) => {
   }
 });
 
-// Sign visit note
-router.patch('/:visitId/sign', requireRole(['CLINICIAN', 'ADMIN']), async (req, res) => {
+// Get single visit note with its addendum chain
+router.get('/:visitId', async (req, res) => {
+  try {
+    const visit = await loadVisit(req, res);
+    if (!visit) return;
+
+    const [details, addenda] = await Promise.all([
+      prisma.visitNote.findUnique({
+        where: { id: visit.id },
+        include: {
+          patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
+          episode: { select: { id: true, episodeNumber: true } },
+          clinician: { select: { id: true, firstName: true, lastName: true } }
+        }
+      }),
+      addendumService.listForRecord('VISIT_NOTE', visit.id)
+    ]);
+
+    await auditService.recordView(req, {
+      action: 'VIEW_VISIT',
+      tableName: 'visit_notes',
+      recordId: visit.id,
+      patientId: visit.patientId
+    });
+
+    res.json({ visit: details, addenda });
+
+  } catch (error) {
+    console.error('Get visit error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update an unsigned visit note
+router.put('/:visitId', requirePermission('visit:create'), async (req, res) => {
+  try {
+    const { error, value } = visitUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const visit = await loadVisit(req, res);
+    if (!visit) return;
+
+    addendumService.assertEditable(visit);
+
+    const data = { ...value };
+    if (value.visitDate) {
+      data.billingPeriodId = await billingPeriodService.resolvePeriodId(visit.episodeId, value.visitDate);
+    }
+
+    const updatedVisit = await addendumService.updateUnsigned(prisma.visitNote, visit.id, data);
+
+    await auditService.record(req, {
+      action: 'UPDATE_VISIT',
+      tableName: 'visit_notes',
+      recordId: updatedVisit.id,
+      patientId: updatedVisit.patientId,
+      oldValues: visit,
+      newValues: updatedVisit
+    });
+
+    res.json({
+      message: 'Visit note updated successfully',
+      visit: updatedVisit
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Update visit error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an addendum or late entry to a signed visit note
+router.post('/:visitId/addenda', requirePermission('visit:create'), async (req, res) => {
   try {
-    const visit = await prisma.visitNote.findUnique({
-      where: { id: req.params.visitId }
+    const { error, value } = addendumSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const visit = await loadVisit(req, res);
+    if (!visit) return;
+
+    const addendum = await addendumService.create(req, 'VISIT_NOTE', visit, value);
+
+    res.status(201).json({
+      message: 'Addendum created successfully',
+      addendum
     });
 
-    if (!visit) {
-      return res.status(404).json({ error: 'Visit not found' });
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Create visit addendum error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign an addendum
+router.patch('/:visitId/addenda/:addendumId/sign', requirePermission('visit:sign'), async (req, res) => {
+  try {
+    const { error, value } = signatureSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
     }
 
+    const visit = await loadVisit(req, res);
+    if (!visit) return;
+
+    const addendum = await addendumService.findForRecord('VISIT_NOTE', visit.id, req.params.addendumId);
+    const method = await signatureService.reauthenticate(req, value);
+    const signedAddendum = await addendumService.sign(
+      req,
+      addendum,
+      signatureService.buildSignature(req, signatureService.addendumContent(addendum), method)
+    );
+
+    res.json({
+      message: 'Addendum signed successfully',
+      addendum: signedAddendum
+    });
+
+  } catch (error) {
+    if (handleServiceError(error, res)) return;
+    console.error('Sign visit addendum error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check whether a signed visit note or its addenda changed after signing
+router.get('/:visitId/signature/verify', async (req, res) => {
+  try {
+    const visit = await loadVisit(req, res);
+    if (!visit) return;
+
+    const addenda = await addendumService.listForRecord('VISIT_NOTE', visit.id);
+
+    await auditService.recordView(req, {
+      action: 'VERIFY_VISIT_SIGNATURE',
+      tableName: 'visit_notes',
+      recordId: visit.id,
+      patientId: visit.patientId
+    });
+
+    res.json({
+      visitId: visit.id,
+      signature: signatureService.verify(visit, visit.notesData),
+      addenda: addenda.map(addendum => ({
+        addendumId: addendum.id,
+        signature: signatureService.verify(addendum, signatureService.addendumContent(addendum))
+      }))
+    });
+
+  } catch (error) {
+    console.error('Verify visit signature error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign visit note
+router.patch('/:visitId/sign', requirePermission('visit:sign'), async (req, res) => {
+  try {
+    const { error, value } = signatureSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const visit = await loadVisit(req, res);
+    if (!visit) return;
+
     if (visit.isSigned) {
-      return res.status(400).json({ error: 'Visit already signed' });
+      return res.status(400).json({
+        error: 'Visit already signed',
+        code: 'RECORD_SIGNED'
+      });
     }
 
-    const updatedVisit = await prisma.visitNote.update({
-      where: { id: req.params.visitId },
-      data: {
-        isSigned: true,
-        signedBy: req.user.id,
-        signedAt: new Date()
-      }
+    const method = await signatureService.reauthenticate(req, value);
+
+    // Conditional on isSigned so a concurrent sign cannot also succeed
+    const updatedVisit = await addendumService.updateUnsigned(
+      prisma.visitNote,
+      visit.id,
+      signatureService.buildSignature(req, visit.notesData, method)
+    );
+
+    await auditService.record(req, {
+      action: 'SIGN_VISIT',
+      tableName: 'visit_notes',
+      recordId: updatedVisit.id,
+      patientId: updatedVisit.patientId,
+      oldValues: visit,
+      newValues: updatedVisit
     });
 
     res.json({
@@ -123,6 +398,7 @@ router.patch('/:visitId/sign', requireRole(['CLINICIAN', 'ADMIN']), async (req,
     });
 
   } catch (error) {
+    if (handleServiceError(error, res)) return;
     console.error('Sign visit error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -0,0 +1,55 @@
+const { PrismaClient } = require('@prisma/client');
+const billingPeriodService = require('../services/billingPeriodService');
+
+const prisma = new PrismaClient();
+
+// Creates billing periods for episodes created before periods existed and
+// attaches their visits, schedules and claims
+async function backfillBillingPeriods() {
+  try {
+    console.log('Starting billing period backfill...');
+
+    const episodes = await prisma.episode.findMany({
+      where: { billingPeriods: { none: {} } }
+    });
+
+    for (const episode of episodes) {
+      const periods = await billingPeriodService.generateForEpisode(episode);
+
+      for (const period of periods) {
+        const dateRange = {
+          gte: period.startDate,
+          lt: new Date(period.endDate.getTime() + 24 * 60 * 60 * 1000)
+        };
+
+        await prisma.visitNote.updateMany({
+          where: { episodeId: episode.id, visitDate: dateRange },
+          data: { billingPeriodId: period.id }
+        });
+        await prisma.schedule.updateMany({
+          where: { episodeId: episode.id, visitDate: dateRange },
+          data: { billingPeriodId: period.id }
+        });
+      }
+
+      // Claims predate periods; bill them against the first period
+      const claims = await prisma.claim.updateMany({
+        where: { episodeId: episode.id, billingPeriodId: null },
+        data: { billingPeriodId: periods[0].id }
+      });
+      if (claims.count > 0) {
+        await billingPeriodService.markBilled(periods[0].id);
+      }
+
+      console.log(`Created periods for episode ${episode.episodeNumber}`);
+    }
+
+    console.log('Billing period backfill completed successfully!');
+  } catch (error) {
+    console.error('Error backfilling billing periods:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+backfillBillingPeriods();
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Loads the ICD-10-CM code table from the CMS order file
+// (icd10cm_order_<year>.txt), a fixed-width file:
+//
+//   columns 1-5     order number
+//   columns 7-13    code, without the dot
+//   column  15      0 = category header, 1 = billable
+//   columns 17-76   short description
+//   columns 78-     long description
+//
+// Usage: node scripts/seed-icd10.js <order-file>
+
+const BATCH_SIZE = 5000;
+
+// Manifestation codes carry this wording ("in diseases classified
+// elsewhere", "in conditions classified elsewhere", ...) and cannot be
+// sequenced first
+const MANIFESTATION_PATTERN = /classified elsewhere/i;
+
+const parseOrderLine = (line) => {
+  const description = line.slice(77).trim();
+  return {
+    code: line.slice(6, 13).trim(),
+    isBillable: line.slice(14, 15) === '1',
+    shortDescription: line.slice(16, 76).trim(),
+    description,
+    isManifestation: MANIFESTATION_PATTERN.test(description)
+  };
+};
+
+async function seedIcd10() {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node scripts/seed-icd10.js <order-file>');
+    process.exit(1);
+  }
+
+  try {
+    console.log('Starting ICD-10-CM code seeding...');
+
+    const codes = fs.readFileSync(file, 'utf8')
+      .split(/\r?\n/)
+      .filter(line => line.trim())
+      .map(parseOrderLine);
+
+    // Each release replaces the previous one; a failed load leaves the old
+    // table in place. The full release takes longer than the default
+    // interactive transaction timeout.
+    await prisma.$transaction(async (tx) => {
+      await tx.icd10Code.deleteMany();
+      for (let index = 0; index < codes.length; index += BATCH_SIZE) {
+        await tx.icd10Code.createMany({ data: codes.slice(index, index + BATCH_SIZE) });
+      }
+    }, { timeout: 10 * 60 * 1000 });
+
+    const billable = codes.filter(code => code.isBillable).length;
+    console.log(`Loaded ${codes.length} codes (${billable} billable)`);
+
+    console.log('ICD-10-CM code seeding completed successfully!');
+  } catch (error) {
+    console.error('Error seeding ICD-10-CM codes:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+seedIcd10();
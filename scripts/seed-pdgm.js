@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Loads one PDGM rate year from the CMS files, converted to this layout:
+//
+//   <dir>/rate-year.json          { year, effectiveFrom, effectiveTo, standardRate,
+//                                   laborShare, lupaRates, functionalPoints,
+//                                   functionalThresholds, comorbidityInteractions,
+//                                   lowComorbiditySubgroups }
+//   <dir>/case-mix-weights.csv    hipps_code,weight,lupa_threshold
+//   <dir>/wage-index.csv          cbsa_code,wage_index
+//   <dir>/diagnoses.csv           icd10_code,clinical_group,comorbidity_subgroup
+//
+// Usage: node scripts/seed-pdgm.js <dir>
+
+// Split a CSV line, honouring double-quoted fields
+const parseCsvLine = (line) => {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (char === '"' && quoted && line[index + 1] === '"') {
+      current += '"';
+      index++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+};
+
+const readCsv = (file) => {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  const header = parseCsvLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const values = parseCsvLine(line);
+    return Object.fromEntries(header.map((column, index) => [column, values[index]]));
+  });
+};
+
+async function seedPdgm() {
+  const dir = process.argv[2];
+  if (!dir) {
+    console.error('Usage: node scripts/seed-pdgm.js <dir>');
+    process.exit(1);
+  }
+
+  try {
+    console.log('Starting PDGM rate table seeding...');
+
+    const rateYear = JSON.parse(fs.readFileSync(path.join(dir, 'rate-year.json'), 'utf8'));
+    const { year } = rateYear;
+
+    await prisma.pdgmRateYear.upsert({
+      where: { year },
+      update: {
+        ...rateYear,
+        effectiveFrom: new Date(rateYear.effectiveFrom),
+        effectiveTo: new Date(rateYear.effectiveTo)
+      },
+      create: {
+        ...rateYear,
+        effectiveFrom: new Date(rateYear.effectiveFrom),
+        effectiveTo: new Date(rateYear.effectiveTo)
+      }
+    });
+    console.log(`Loaded rate year ${year}`);
+
+    const weights = readCsv(path.join(dir, 'case-mix-weights.csv'));
+    await prisma.$transaction([
+      prisma.pdgmCaseMixWeight.deleteMany({ where: { year } }),
+      prisma.pdgmCaseMixWeight.createMany({
+        data: weights.map(row => ({
+          year,
+          hippsCode: row.hipps_code,
+          weight: parseFloat(row.weight),
+          lupaThreshold: parseInt(row.lupa_threshold)
+        }))
+      })
+    ]);
+    console.log(`Loaded ${weights.length} case-mix weights`);
+
+    const wageIndexes = readCsv(path.join(dir, 'wage-index.csv'));
+    await prisma.$transaction([
+      prisma.wageIndex.deleteMany({ where: { year } }),
+      prisma.wageIndex.createMany({
+        data: wageIndexes.map(row => ({
+          year,
+          cbsaCode: row.cbsa_code,
+          wageIndex: parseFloat(row.wage_index)
+        }))
+      })
+    ]);
+    console.log(`Loaded ${wageIndexes.length} wage index values`);
+
+    // Diagnosis groupings are not year-specific, so replace them wholesale
+    const diagnoses = readCsv(path.join(dir, 'diagnoses.csv'));
+    await prisma.$transaction([
+      prisma.pdgmDiagnosis.deleteMany(),
+      prisma.pdgmDiagnosis.createMany({
+        data: diagnoses.map(row => ({
+          code: row.icd10_code.replace(/\./g, '').toUpperCase(),
+          clinicalGroup: row.clinical_group || null,
+          comorbiditySubgroup: row.comorbidity_subgroup || null
+        }))
+      })
+    ]);
+    console.log(`Loaded ${diagnoses.length} diagnosis groupings`);
+
+    console.log('PDGM rate table seeding completed successfully!');
+  } catch (error) {
+    console.error('Error seeding PDGM rate tables:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+seedPdgm();
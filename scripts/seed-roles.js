@@ -0,0 +1,33 @@
+const { PrismaClient } = require('@prisma/client');
+const { SYSTEM_ROLES } = require('../services/permissionService');
+
+const prisma = new PrismaClient();
+
+async function seedRoles() {
+  try {
+    console.log('Starting role seeding...');
+
+    // Create the built-in roles; existing bundles are left as admins edited them
+    for (const [name, definition] of Object.entries(SYSTEM_ROLES)) {
+      await prisma.role.upsert({
+        where: { name },
+        update: { isSystem: true },
+        create: {
+          name,
+          description: definition.description,
+          permissions: definition.permissions,
+          isSystem: true
+        }
+      });
+      console.log(`Seeded role: ${name}`);
+    }
+
+    console.log('Role seeding completed successfully!');
+  } catch (error) {
+    console.error('Error seeding roles:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+seedRoles();
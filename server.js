@@ -38,6 +38,7 @@ const prisma = require('./database');
 
 const authRoutes = require('./routes/auth');
 const authVerificationRoutes = require('./routes/auth-verification');
+const mfaRoutes = require('./routes/mfa');
 const patientRoutes = require('./routes/patients');
 const episodeRoutes = require('./routes/episodes');
 const assessmentRoutes = require('./routes/assessments');
@@ -47,9 +48,14 @@ const billingRoutes = require('./routes/billing');
 const qaRoutes = require('./routes/qa');
 const reportRoutes = require('./routes/reports');
 const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const auditRoutes = require('./routes/audit');
 const referralRoutes = require('./routes/referrals');
 const physicianRoutes = require('./routes/physicians');
 const documentRoutes = require('./routes/documents');
+const carePlanRoutes = require('./routes/care-plans');
+const orderRoutes = require('./routes/orders');
+const codeRoutes = require('./routes/codes');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -82,7 +88,7 @@ app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Break-Glass-Reason']
 }));
 
 // Body parsing middleware
@@ -93,6 +99,7 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // API Routes
+app.use('/api/auth/mfa', mfaRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/auth-verification', authVerificationRoutes);
 app.use('/api/patients', patientRoutes);
@@ -104,9 +111,14 @@ app.use('/api/billing', billingRoutes);
 app.use('/api/qa', qaRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/api/referrals', referralRoutes);
 app.use('/api/physicians', physicianRoutes);
 app.use('/api/documents', documentRoutes);
+app.use('/api/care-plans', carePlanRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/codes', codeRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
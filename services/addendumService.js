@@ -0,0 +1,161 @@
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+
+const prisma = new PrismaClient();
+
+// Addenda amend a signed record; late entries document care that happened
+// earlier but was not charted at the time
+const ENTRY_TYPES = ['ADDENDUM', 'LATE_ENTRY'];
+
+const authorSelect = {
+  select: { id: true, firstName: true, lastName: true, role: true }
+};
+
+class AddendumError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'AddendumError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class AddendumService {
+  // Throws if the record has been signed and so may only be amended
+  assertEditable(record) {
+    if (record.isSigned) {
+      throw new AddendumError(
+        'Signed records cannot be modified. Add an addendum or late entry instead.',
+        'RECORD_SIGNED',
+        409
+      );
+    }
+  }
+
+  // Update a record only while it is still unsigned, so a signature that
+  // lands after assertEditable is never overwritten. `model` is the Prisma
+  // delegate, e.g. prisma.visitNote.
+  async updateUnsigned(model, id, data) {
+    const { count } = await model.updateMany({
+      where: { id, isSigned: false },
+      data
+    });
+    if (count === 0) {
+      throw new AddendumError(
+        'Signed records cannot be modified. Add an addendum or late entry instead.',
+        'RECORD_SIGNED',
+        409
+      );
+    }
+    return model.findUnique({ where: { id } });
+  }
+
+  listForRecord(recordType, recordId) {
+    return prisma.recordAddendum.findMany({
+      where: { recordType, recordId },
+      include: {
+        author: authorSelect,
+        signer: authorSelect
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  async create(req, recordType, record, { entryType, content, reason, occurredAt }) {
+    if (!record.isSigned) {
+      throw new AddendumError(
+        'Only signed records take addenda. Edit the record directly instead.',
+        'RECORD_NOT_SIGNED'
+      );
+    }
+
+    if (entryType === 'LATE_ENTRY' && !occurredAt) {
+      throw new AddendumError('Late entries must state when the care occurred', 'OCCURRED_AT_REQUIRED');
+    }
+
+    const addendum = await prisma.recordAddendum.create({
+      data: {
+        recordType,
+        recordId: record.id,
+        patientId: record.patientId,
+        entryType,
+        content,
+        reason,
+        occurredAt: entryType === 'LATE_ENTRY' ? new Date(occurredAt) : null,
+        authorId: req.user.id
+      },
+      include: { author: authorSelect }
+    });
+
+    await auditService.record(req, {
+      action: entryType === 'LATE_ENTRY' ? 'CREATE_LATE_ENTRY' : 'CREATE_ADDENDUM',
+      tableName: 'record_addenda',
+      recordId: addendum.id,
+      patientId: record.patientId,
+      newValues: addendum,
+      metadata: { recordType, originalRecordId: record.id }
+    });
+
+    return addendum;
+  }
+
+  async findForRecord(recordType, recordId, addendumId) {
+    const addendum = await prisma.recordAddendum.findUnique({
+      where: { id: addendumId }
+    });
+
+    if (!addendum || addendum.recordType !== recordType || addendum.recordId !== recordId) {
+      throw new AddendumError('Addendum not found', 'ADDENDUM_NOT_FOUND', 404);
+    }
+
+    return addendum;
+  }
+
+  // Only the author signs their addendum; once signed it is immutable like the original
+  async sign(req, addendum, signatureData = {}) {
+    if (addendum.isSigned) {
+      throw new AddendumError('Addendum already signed', 'ADDENDUM_SIGNED', 409);
+    }
+
+    if (addendum.authorId !== req.user.id) {
+      throw new AddendumError('Only the author can sign an addendum', 'NOT_ADDENDUM_AUTHOR', 403);
+    }
+
+    const { count } = await prisma.recordAddendum.updateMany({
+      where: { id: addendum.id, isSigned: false },
+      data: {
+        ...signatureData,
+        isSigned: true,
+        signedBy: req.user.id,
+        signedAt: new Date()
+      }
+    });
+    if (count === 0) {
+      throw new AddendumError('Addendum already signed', 'ADDENDUM_SIGNED', 409);
+    }
+
+    const signed = await prisma.recordAddendum.findUnique({
+      where: { id: addendum.id },
+      include: {
+        author: authorSelect,
+        signer: authorSelect
+      }
+    });
+
+    await auditService.record(req, {
+      action: 'SIGN_ADDENDUM',
+      tableName: 'record_addenda',
+      recordId: signed.id,
+      patientId: signed.patientId,
+      oldValues: addendum,
+      newValues: signed,
+      metadata: { recordType: signed.recordType, originalRecordId: signed.recordId }
+    });
+
+    return signed;
+  }
+}
+
+module.exports = new AddendumService();
+module.exports.AddendumError = AddendumError;
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
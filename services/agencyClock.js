@@ -0,0 +1,91 @@
+// Dates on the agency's clock. Working hours, weekdays and day boundaries
+// (visit days, compliance weeks, EVV visit dates) are read in
+// AGENCY_TIMEZONE, whatever timezone the server runs in.
+
+const AGENCY_TIMEZONE = process.env.AGENCY_TIMEZONE || 'UTC';
+
+const agencyFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: AGENCY_TIMEZONE,
+  hourCycle: 'h23',
+  weekday: 'short',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric'
+});
+
+// Wall-clock fields of an instant on the agency's clock
+const agencyParts = (date) => {
+  const parts = Object.fromEntries(agencyFormat.formatToParts(new Date(date)).map(({ type, value }) => [type, value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: parts.weekday.toUpperCase()
+  };
+};
+
+// The instant the agency's clock shows the given wall time. The second pass
+// picks up a DST change between the first guess and the answer.
+const fromAgencyTime = (year, month, day, hours = 0, minutes = 0) => {
+  const wall = Date.UTC(year, month - 1, day, hours, minutes);
+  let instant = wall;
+  for (let pass = 0; pass < 2; pass++) {
+    const parts = agencyParts(instant);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+    instant = wall - offset;
+  }
+  return new Date(instant);
+};
+
+const startOfDay = (date) => {
+  const { year, month, day } = agencyParts(date);
+  return fromAgencyTime(year, month, day);
+};
+
+// Calendar days, so a DST change does not move the time of day
+const addDays = (date, days) => {
+  const { year, month, day, hour, minute } = agencyParts(date);
+  return fromAgencyTime(year, month, day + days, hour, minute);
+};
+
+// '08:30' -> 510
+const parseClock = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// The given 'HH:MM' on the agency calendar day of `day`
+const atClock = (day, clock) => {
+  const { year, month, day: date } = agencyParts(day);
+  const minutes = parseClock(clock);
+  return fromAgencyTime(year, month, date, Math.floor(minutes / 60), minutes % 60);
+};
+
+const minutesOfDay = (date) => {
+  const { hour, minute } = agencyParts(date);
+  return hour * 60 + minute;
+};
+
+const weekdayOf = (date) => agencyParts(date).weekday;
+
+const formatTime = (date) => {
+  const { hour, minute } = agencyParts(date);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+module.exports = {
+  AGENCY_TIMEZONE,
+  startOfDay,
+  addDays,
+  parseClock,
+  atClock,
+  minutesOfDay,
+  weekdayOf,
+  formatTime
+};
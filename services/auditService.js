@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Arbitrary constant used as the Postgres advisory lock key that serialises
+// appends, so every entry links to exactly one predecessor
+const AUDIT_CHAIN_LOCK_KEY = 7318004;
+const GENESIS_HASH = '0'.repeat(64);
+
+// Bookkeeping columns left out of field-level diffs
+const DIFF_IGNORED_FIELDS = ['updatedAt'];
+
+// JSON with sorted keys, so the same entry always hashes the same way
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Round-trip through JSON so Dates and Decimals are stored (and later
+// re-hashed) in the same form
+const normalize = (value) => (value === undefined || value === null
+  ? null
+  : JSON.parse(JSON.stringify(value)));
+
+class AuditService {
+  diff(oldValues, newValues) {
+    if (!oldValues || !newValues) {
+      return null;
+    }
+
+    const before = normalize(oldValues);
+    const after = normalize(newValues);
+    const changes = {};
+
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+      if (DIFF_IGNORED_FIELDS.includes(field)) return;
+      // Nested relations included in responses are not part of the record
+      if (typeof after[field] === 'object' && after[field] !== null && !(field in before)) return;
+      if (canonicalize(before[field]) !== canonicalize(after[field])) {
+        changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+      }
+    });
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  computeHash(entry) {
+    return crypto
+      .createHash('sha256')
+      .update(canonicalize({
+        prevHash: entry.prevHash,
+        userId: entry.userId,
+        action: entry.action,
+        tableName: entry.tableName,
+        recordId: entry.recordId,
+        patientIds: entry.patientIds,
+        oldValues: entry.oldValues,
+        newValues: entry.newValues,
+        changes: entry.changes,
+        metadata: entry.metadata,
+        ipAddress: entry.ipAddress,
+        userAgent: entry.userAgent,
+        createdAt: new Date(entry.createdAt).toISOString()
+      }))
+      .digest('hex');
+  }
+
+  // Append an entry to the chain. `req` supplies the actor, IP and user
+  // agent; `userId` may be given explicitly for unauthenticated flows.
+  async record(req, { userId, action, tableName, recordId, patientId, patientIds, oldValues, newValues, metadata }) {
+    const entry = {
+      userId: userId || req?.user?.id || null,
+      action,
+      tableName,
+      recordId: recordId || null,
+      patientIds: patientIds || (patientId ? [patientId] : []),
+      oldValues: normalize(oldValues),
+      newValues: normalize(newValues),
+      changes: this.diff(oldValues, newValues),
+      metadata: normalize(metadata),
+      ipAddress: req?.ip || null,
+      userAgent: (req && req.get('User-Agent')) || null,
+      createdAt: new Date()
+    };
+
+    return prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(${AUDIT_CHAIN_LOCK_KEY})`;
+
+      // Baseline rows from before the chain have no hash and do not count
+      const previous = await tx.auditLog.findFirst({
+        where: { hash: { not: null } },
+        orderBy: { sequence: 'desc' },
+        select: { hash: true }
+      });
+
+      entry.prevHash = previous ? previous.hash : GENESIS_HASH;
+      entry.hash = this.computeHash(entry);
+
+      return tx.auditLog.create({ data: entry });
+    });
+  }
+
+  // Log a read of PHI. Lists pass every patient they returned.
+  recordView(req, { action, tableName, recordId, patientId, patientIds, metadata }) {
+    return this.record(req, {
+      action,
+      tableName,
+      recordId,
+      patientId,
+      patientIds: patientIds && Array.from(new Set(patientIds.filter(Boolean))),
+      metadata: {
+        path: req.originalUrl,
+        ...(req.breakGlass && { breakGlass: true }),
+        ...metadata
+      }
+    });
+  }
+
+  // Walk the chain in order and report the first entry whose link or
+  // content hash does not match. Rows written before the chain existed have
+  // no hash; those older than the first chained entry are the genesis
+  // segment and are counted, not checked. An unhashed row written after the
+  // chain started is a break.
+  async verifyChain(batchSize = 1000) {
+    let prevHash = GENESIS_HASH;
+    let cursor = null;
+    let checked = 0;
+
+    const first = await prisma.auditLog.findFirst({
+      where: { hash: { not: null } },
+      orderBy: { sequence: 'asc' },
+      select: { createdAt: true }
+    });
+    const baseline = await prisma.auditLog.count({
+      where: { hash: null, ...(first && { createdAt: { lte: first.createdAt } }) }
+    });
+
+    if (first) {
+      const unchained = await prisma.auditLog.findFirst({
+        where: { hash: null, createdAt: { gt: first.createdAt } },
+        orderBy: { createdAt: 'asc' },
+        select: { id: true }
+      });
+      if (unchained) {
+        return { valid: false, checked, baseline, brokenAt: null, entryId: unchained.id, reason: 'UNCHAINED_ENTRY' };
+      }
+    }
+
+    for (;;) {
+      const entries = await prisma.auditLog.findMany({
+        where: {
+          hash: { not: null },
+          ...(cursor !== null && { sequence: { gt: cursor } })
+        },
+        orderBy: { sequence: 'asc' },
+        take: batchSize
+      });
+
+      if (entries.length === 0) {
+        return { valid: true, checked, baseline };
+      }
+
+      for (const entry of entries) {
+        if (entry.prevHash !== prevHash) {
+          return { valid: false, checked, baseline, brokenAt: entry.sequence, reason: 'CHAIN_LINK_MISMATCH' };
+        }
+        if (this.computeHash(entry) !== entry.hash) {
+          return { valid: false, checked, baseline, brokenAt: entry.sequence, reason: 'CONTENT_HASH_MISMATCH' };
+        }
+        prevHash = entry.hash;
+        cursor = entry.sequence;
+        checked++;
+      }
+    }
+  }
+}
+
+module.exports = new AuditService();
+module.exports.canonicalize = canonicalize;
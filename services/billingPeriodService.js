@@ -0,0 +1,176 @@
+const { PrismaClient } = require('@prisma/client');
+const pdgmService = require('./pdgmService');
+
+const prisma = new PrismaClient();
+
+// Period statuses are OPEN, CLOSED, BILLED and CANCELLED. Grouping and
+// dates may still change while a period is open or closed.
+const MUTABLE_STATUSES = ['OPEN', 'CLOSED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BillingPeriodError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'BillingPeriodError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class BillingPeriodService {
+  // Two 30-day periods per 60-day certification. Only the first period of
+  // an initial certification is early; recertification periods are late.
+  buildPeriods(episode) {
+    return pdgmService.periodWindows(episode).map(window => ({
+      episodeId: episode.id,
+      patientId: episode.patientId,
+      periodNumber: window.periodNumber,
+      startDate: window.startDate,
+      endDate: window.endDate,
+      timing: pdgmService.timingFor(window, !!episode.isRecertification),
+      status: 'OPEN'
+    }));
+  }
+
+  // Accepts a transaction client so periods are created with the episode
+  async generateForEpisode(episode, client = prisma) {
+    await client.billingPeriod.createMany({ data: this.buildPeriods(episode) });
+    return client.billingPeriod.findMany({
+      where: { episodeId: episode.id },
+      orderBy: { periodNumber: 'asc' }
+    });
+  }
+
+  // Rebuild the periods after the episode start date changes: new dates
+  // and timing, visit notes and schedules reattached to the period their
+  // date now falls in, then regrouped. Pass the transaction client that
+  // updates the episode, so the periods never move on their own.
+  async realign(episode, client = prisma) {
+    const periods = await client.billingPeriod.findMany({ where: { episodeId: episode.id } });
+    const claims = await client.claim.count({
+      where: { billingPeriodId: { in: periods.map(period => period.id) } }
+    });
+
+    if (claims > 0 || periods.some(period => !MUTABLE_STATUSES.includes(period.status))) {
+      throw new BillingPeriodError(
+        'Episode start date cannot change after a period has been billed',
+        'PERIODS_BILLED',
+        409
+      );
+    }
+
+    for (const period of this.buildPeriods(episode)) {
+      await client.billingPeriod.updateMany({
+        where: { episodeId: episode.id, periodNumber: period.periodNumber },
+        data: { startDate: period.startDate, endDate: period.endDate, timing: period.timing }
+      });
+    }
+
+    const moved = await client.billingPeriod.findMany({ where: { episodeId: episode.id } });
+    for (const model of [client.visitNote, client.schedule]) {
+      await model.updateMany({
+        where: { episodeId: episode.id },
+        data: { billingPeriodId: null }
+      });
+      for (const period of moved) {
+        await model.updateMany({
+          where: {
+            episodeId: episode.id,
+            visitDate: { gte: period.startDate, lt: new Date(period.endDate.getTime() + DAY_MS) }
+          },
+          data: { billingPeriodId: period.id }
+        });
+      }
+    }
+
+    await this.syncGrouping(episode.id, client);
+  }
+
+  listForEpisode(episodeId) {
+    return prisma.billingPeriod.findMany({
+      where: { episodeId },
+      include: {
+        _count: {
+          select: { visitNotes: true, schedules: true, claims: true }
+        }
+      },
+      orderBy: { periodNumber: 'asc' }
+    });
+  }
+
+  findByNumber(episodeId, periodNumber) {
+    return prisma.billingPeriod.findUnique({
+      where: { episodeId_periodNumber: { episodeId, periodNumber } }
+    });
+  }
+
+  // Period of an episode containing a date; period end dates are the
+  // start of the last day, so compare against the following midnight
+  async findForDate(episodeId, date) {
+    if (!episodeId || !date) {
+      return null;
+    }
+    const day = new Date(date);
+    return prisma.billingPeriod.findFirst({
+      where: {
+        episodeId,
+        status: { not: 'CANCELLED' },
+        startDate: { lte: day },
+        endDate: { gt: new Date(day.getTime() - DAY_MS) }
+      }
+    });
+  }
+
+  async resolvePeriodId(episodeId, date) {
+    const period = await this.findForDate(episodeId, date);
+    return period ? period.id : null;
+  }
+
+  // Store the PDGM grouping (HIPPS, weight, LUPA threshold) on each period
+  // that can be grouped and has not been billed yet
+  async syncGrouping(episodeId, client = prisma) {
+    const { periods } = await pdgmService.groupEpisode(episodeId, client);
+
+    const updates = periods.filter(period => !period.error).map(period =>
+      client.billingPeriod.updateMany({
+        where: { episodeId, periodNumber: period.periodNumber, status: { in: MUTABLE_STATUSES } },
+        data: {
+          hippsCode: period.hippsCode,
+          caseMixWeight: period.caseMixWeight,
+          lupaThreshold: period.lupaThreshold,
+          expectedPayment: period.expectedPayment,
+          groupedAt: new Date()
+        }
+      })
+    );
+
+    if (client === prisma) {
+      await prisma.$transaction(updates);
+    } else {
+      for (const update of updates) await update;
+    }
+    return periods;
+  }
+
+  async markBilled(periodId) {
+    return prisma.billingPeriod.update({
+      where: { id: periodId },
+      data: { status: 'BILLED' }
+    });
+  }
+
+  // Reopen a billed period once it has no claims left
+  async reopenIfUnbilled(periodId) {
+    const claims = await prisma.claim.count({ where: { billingPeriodId: periodId } });
+    if (claims === 0) {
+      await prisma.billingPeriod.updateMany({
+        where: { id: periodId, status: 'BILLED' },
+        data: { status: 'OPEN' }
+      });
+    }
+  }
+}
+
+module.exports = new BillingPeriodService();
+module.exports.BillingPeriodError = BillingPeriodError;
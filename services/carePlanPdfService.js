@@ -0,0 +1,193 @@
+const PDFDocument = require('pdfkit');
+const { FUNCTIONAL_LIMITATIONS } = require('./carePlanService');
+
+const AGENCY_NAME = process.env.AGENCY_NAME || '';
+const AGENCY_ADDRESS = process.env.AGENCY_ADDRESS || '';
+const AGENCY_PROVIDER_NUMBER = process.env.AGENCY_PROVIDER_NUMBER || '';
+
+const MARGIN = 36;
+const PAGE_WIDTH = 612;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const LABEL_SIZE = 6.5;
+const VALUE_SIZE = 8.5;
+
+const CERTIFICATION_STATEMENT = 'I certify that this patient is confined to his/her home and needs intermittent '
+  + 'skilled nursing care, physical therapy and/or speech therapy or continues to need occupational therapy. '
+  + 'The patient is under my care, and I have authorized the services on this plan of care and will '
+  + 'periodically review the plan.';
+
+const PENALTY_STATEMENT = 'Anyone who misrepresents, falsifies, or conceals essential information required for '
+  + 'payment of Federal funds may be subject to fine, imprisonment, or civil penalty under applicable '
+  + 'Federal laws.';
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return `${String(date.getUTCMonth() + 1).padStart(2, '0')}/${String(date.getUTCDate()).padStart(2, '0')}/${date.getUTCFullYear()}`;
+};
+
+const lines = (items) => (items || []).filter(Boolean).join('\n');
+
+const formatDiagnosis = (diagnosis) => [
+  diagnosis.code,
+  diagnosis.description,
+  diagnosis.onsetDate ? `${diagnosis.exacerbation ? 'E' : 'O'} ${formatDate(diagnosis.onsetDate)}` : null
+].filter(Boolean).join('  ');
+
+const formatOrder = (order) => [
+  order.discipline,
+  order.frequency,
+  order.duration ? `x ${order.duration}` : null,
+  order.orderText
+].filter(Boolean).join(' ');
+
+const formatGoal = (goal) => [
+  goal.discipline ? `${goal.discipline}:` : null,
+  goal.description,
+  goal.targetDate ? `(by ${formatDate(goal.targetDate)})` : null
+].filter(Boolean).join(' ');
+
+const formatMedication = (medication) => (typeof medication === 'string'
+  ? medication
+  : [medication.name, medication.dose, medication.route, medication.frequency].filter(Boolean).join(' '));
+
+class CarePlanPdfService {
+  // One numbered box: small label on top, value below, bordered
+  box(doc, x, y, width, height, label, value) {
+    doc.rect(x, y, width, height).stroke();
+    doc.fontSize(LABEL_SIZE).font('Helvetica-Bold').text(label, x + 3, y + 2, { width: width - 6 });
+    doc.fontSize(VALUE_SIZE).font('Helvetica').text(value || '', x + 3, y + 11, {
+      width: width - 6,
+      height: height - 13,
+      ellipsis: true
+    });
+  }
+
+  // Row of boxes sharing a height; widths are fractions of the page
+  row(doc, y, height, cells) {
+    let x = MARGIN;
+    cells.forEach(([fraction, label, value]) => {
+      const width = CONTENT_WIDTH * fraction;
+      this.box(doc, x, y, width, height, label, value);
+      x += width;
+    });
+    return y + height;
+  }
+
+  // Writes the CMS-485 layout for a care plan (with patient, episode and
+  // physician included) to a writable stream
+  render(carePlan, stream) {
+    const doc = new PDFDocument({ size: 'LETTER', margin: MARGIN });
+    doc.pipe(stream);
+
+    const { patient, physician } = carePlan;
+    const diagnoses = carePlan.diagnoses || [];
+    const principal = diagnoses.find(diagnosis => diagnosis.type === 'PRINCIPAL');
+    const surgical = diagnoses.filter(diagnosis => diagnosis.type === 'SURGICAL');
+    const others = diagnoses.filter(diagnosis => diagnosis.type === 'OTHER');
+
+    doc.fontSize(11).font('Helvetica-Bold')
+      .text('HOME HEALTH CERTIFICATION AND PLAN OF CARE', MARGIN, MARGIN, { width: CONTENT_WIDTH, align: 'center' });
+
+    let y = MARGIN + 18;
+    y = this.row(doc, y, 26, [
+      [0.22, '1. Patient\'s HI Claim No.', carePlan.medicareNumber],
+      [0.16, '2. Start of Care Date', formatDate(carePlan.episode && carePlan.episode.startDate)],
+      [0.26, '3. Certification Period', `From: ${formatDate(carePlan.certFrom)}  To: ${formatDate(carePlan.certTo)}`],
+      [0.18, '4. Medical Record No.', patient.patientId],
+      [0.18, '5. Provider No.', AGENCY_PROVIDER_NUMBER]
+    ]);
+
+    const patientAddress = [
+      `${patient.lastName}, ${patient.firstName}`,
+      patient.addressLine1,
+      patient.addressLine2,
+      [patient.city, patient.state, patient.zipCode].filter(Boolean).join(', ')
+    ];
+    y = this.row(doc, y, 52, [
+      [0.5, '6. Patient\'s Name and Address', lines(patientAddress)],
+      [0.5, '7. Provider\'s Name, Address and Telephone Number', lines([AGENCY_NAME, AGENCY_ADDRESS])]
+    ]);
+
+    y = this.row(doc, y, 26, [
+      [0.25, '8. Date of Birth', formatDate(patient.dateOfBirth)],
+      [0.1, '9. Sex', patient.gender],
+      [0.65, '10. Medications: Dose/Frequency/Route (N)ew (C)hanged', (carePlan.medications || []).map(formatMedication).join('; ')]
+    ]);
+
+    y = this.row(doc, y, 26, [
+      [0.5, '11. ICD-10 Principal Diagnosis', principal ? formatDiagnosis(principal) : ''],
+      [0.5, '12. ICD-10 Surgical Procedure', lines(surgical.map(formatDiagnosis))]
+    ]);
+
+    y = this.row(doc, y, 44, [
+      [1, '13. ICD-10 Other Pertinent Diagnoses', lines(others.map(formatDiagnosis))]
+    ]);
+
+    y = this.row(doc, y, 30, [
+      [0.5, '14. DME and Supplies', (carePlan.dme || []).join(', ')],
+      [0.5, '15. Safety Measures', (carePlan.safetyMeasures || []).join(', ')]
+    ]);
+
+    y = this.row(doc, y, 26, [
+      [0.5, '16. Nutritional Requirements', carePlan.nutritionalRequirements],
+      [0.5, '17. Allergies', carePlan.allergies]
+    ]);
+
+    const limitations = (carePlan.functionalLimitations || [])
+      .map(limitation => `${FUNCTIONAL_LIMITATIONS[limitation] || ''} ${limitation.replace(/_/g, ' ')}`.trim());
+    y = this.row(doc, y, 30, [
+      [0.5, '18.A. Functional Limitations', limitations.join(', ')],
+      [0.5, '18.B. Activities Permitted', (carePlan.activitiesPermitted || []).join(', ')]
+    ]);
+
+    y = this.row(doc, y, 22, [
+      [0.6, '19. Mental Status', (carePlan.mentalStatus || []).join(', ')],
+      [0.4, '20. Prognosis', carePlan.prognosis]
+    ]);
+
+    const orders = [
+      ...(carePlan.orders || []).map(formatOrder),
+      ...(carePlan.interventions || []).map(intervention => (typeof intervention === 'string'
+        ? intervention
+        : [intervention.discipline, intervention.description].filter(Boolean).join(': ')))
+    ];
+    y = this.row(doc, y, 120, [
+      [1, '21. Orders for Discipline and Treatments (Specify Amount/Frequency/Duration)', lines(orders)]
+    ]);
+
+    const goals = [
+      ...(carePlan.goals || []).map(formatGoal),
+      carePlan.rehabPotential ? `Rehab potential: ${carePlan.rehabPotential}` : null,
+      carePlan.dischargePlans ? `Discharge plans: ${carePlan.dischargePlans}` : null
+    ];
+    y = this.row(doc, y, 90, [
+      [1, '22. Goals/Rehabilitation Potential/Discharge Plans', lines(goals)]
+    ]);
+
+    const physicianAddress = physician
+      ? lines([`${physician.lastName}, ${physician.firstName}`, `NPI ${physician.npi}`, physician.address, physician.phone])
+      : '';
+    y = this.row(doc, y, 30, [
+      [0.6, '23. Nurse\'s Signature and Date of Verbal SOC Where Applicable', carePlan.verbalSocDate ? formatDate(carePlan.verbalSocDate) : ''],
+      [0.4, '25. Date HHA Received Signed POT', formatDate(carePlan.returnedAt)]
+    ]);
+
+    y = this.row(doc, y, 56, [
+      [0.5, '24. Physician\'s Name and Address', physicianAddress],
+      [0.5, '26.', CERTIFICATION_STATEMENT]
+    ]);
+
+    y = this.row(doc, y, 40, [
+      [0.5, '27. Attending Physician\'s Signature and Date Signed', formatDate(carePlan.physicianSignedAt)],
+      [0.5, '28.', PENALTY_STATEMENT]
+    ]);
+
+    doc.fontSize(LABEL_SIZE).font('Helvetica')
+      .text('Form CMS-485', MARGIN, y + 4, { width: CONTENT_WIDTH, align: 'left' });
+
+    doc.end();
+  }
+}
+
+module.exports = new CarePlanPdfService();
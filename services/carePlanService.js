@@ -0,0 +1,243 @@
+const { PrismaClient } = require('@prisma/client');
+const physicianOrderService = require('./physicianOrderService');
+const { formatCode } = require('./icd10Service');
+
+const prisma = new PrismaClient();
+
+// DRAFT -> SENT (to the physician) -> RETURNED (signed copy received back)
+const STATUSES = ['DRAFT', 'SENT', 'RETURNED'];
+
+const PROGNOSES = ['POOR', 'GUARDED', 'FAIR', 'GOOD', 'EXCELLENT'];
+
+// CMS-485 box 18A
+const FUNCTIONAL_LIMITATIONS = {
+  AMPUTATION: '1',
+  BOWEL_BLADDER: '2',
+  CONTRACTURE: '3',
+  HEARING: '4',
+  PARALYSIS: '5',
+  ENDURANCE: '6',
+  AMBULATION: '7',
+  SPEECH: '8',
+  LEGALLY_BLIND: '9',
+  DYSPNEA: 'A',
+  OTHER: 'B'
+};
+
+// CMS-485 box 19
+const MENTAL_STATUSES = ['ORIENTED', 'COMATOSE', 'FORGETFUL', 'DEPRESSED', 'DISORIENTED', 'LETHARGIC', 'AGITATED', 'OTHER'];
+
+const CERTIFICATION_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const responseAtLeast = (value, minimum) => value !== undefined && value !== null && Number(value) >= minimum;
+
+class CarePlanError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'CarePlanError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class CarePlanService {
+  assertDraft(carePlan) {
+    if (carePlan.status !== 'DRAFT') {
+      throw new CarePlanError('Only draft care plans can be changed', 'CARE_PLAN_NOT_DRAFT', 409);
+    }
+  }
+
+  findSocAssessment(episodeId) {
+    return prisma.oasisAssessment.findFirst({
+      where: { episodeId, assessmentType: { in: ['SOC', 'ROC', 'RECERT'] }, isSigned: true },
+      orderBy: { assessmentDate: 'desc' }
+    });
+  }
+
+  // Box 18A limitations suggested by the OASIS functional items
+  functionalLimitations(formData) {
+    const limitations = [];
+    if (responseAtLeast(formData.M1610, 1) || responseAtLeast(formData.M1620, 1)) limitations.push('BOWEL_BLADDER');
+    if (responseAtLeast(formData.M1830, 3) || responseAtLeast(formData.M1850, 2)) limitations.push('ENDURANCE');
+    if (responseAtLeast(formData.M1860, 2)) limitations.push('AMBULATION');
+    if (responseAtLeast(formData.M1400, 2)) limitations.push('DYSPNEA');
+    return limitations;
+  }
+
+  mentalStatus(formData) {
+    if (formData.M1700 === undefined || formData.M1700 === null) return [];
+    const score = Number(formData.M1700);
+    if (score === 0) return ['ORIENTED'];
+    if (score <= 2) return ['FORGETFUL'];
+    return ['DISORIENTED'];
+  }
+
+  safetyMeasures(formData) {
+    const risks = Array.isArray(formData.M1033) ? formData.M1033.map(String) : [];
+    const measures = [];
+    if (risks.includes('1') || responseAtLeast(formData.M1860, 2)) measures.push('Fall precautions');
+    if (risks.includes('7') || responseAtLeast(formData.M2020, 2)) measures.push('Medication safety and supervision');
+    if (responseAtLeast(formData.M1700, 2)) measures.push('Supervision for cognitive impairment');
+    if (formData.M1306 === '1') measures.push('Pressure relief and skin protection');
+    return measures;
+  }
+
+  // Draft content pre-populated from the episode and its SOC/ROC/RECERT
+  // OASIS. Nothing is saved; the clinician reviews it before creating.
+  async prefill(episodeId) {
+    const episode = await prisma.episode.findUnique({
+      where: { id: episodeId },
+      include: {
+        patient: { select: { id: true, firstName: true, lastName: true } }
+      }
+    });
+
+    if (!episode) {
+      throw new CarePlanError('Episode not found', 'EPISODE_NOT_FOUND', 404);
+    }
+
+    const assessment = await this.findSocAssessment(episode.id);
+    const formData = (assessment && assessment.formData) || {};
+    const certFrom = new Date(episode.startDate);
+    const certTo = new Date(certFrom.getTime() + (CERTIFICATION_DAYS - 1) * DAY_MS);
+    const weeks = Math.ceil(CERTIFICATION_DAYS / 7);
+
+    const primaryCode = episode.primaryDiagnosis || formData.M1021;
+    const diagnoses = episode.diagnoses && episode.diagnoses.length > 0
+      ? episode.diagnoses.map(diagnosis => ({
+        code: formatCode(diagnosis.code),
+        description: diagnosis.description,
+        onsetDate: diagnosis.onsetDate,
+        exacerbation: diagnosis.exacerbation,
+        type: diagnosis.type === 'PRIMARY' ? 'PRINCIPAL' : 'OTHER'
+      }))
+      : [
+        ...(primaryCode ? [{ code: primaryCode, type: 'PRINCIPAL' }] : []),
+        ...(episode.secondaryDiagnoses || []).map(code => ({ code, type: 'OTHER' }))
+      ];
+
+    return {
+      patientId: episode.patientId,
+      episodeId: episode.id,
+      assessmentId: assessment ? assessment.id : null,
+      medicareNumber: formData.M0063 && formData.M0063 !== 'NA' ? formData.M0063 : null,
+      certFrom,
+      certTo,
+      diagnoses,
+      orders: (episode.disciplines || []).map(discipline => ({
+        discipline,
+        frequency: (episode.disciplineFrequencies || {})[discipline]
+          || (episode.frequencyPerWeek ? `${episode.frequencyPerWeek}W${weeks}` : null),
+        duration: `${weeks} weeks`,
+        orderText: null
+      })),
+      goals: (episode.careGoals || '')
+        .split(/\r?\n/)
+        .map(goal => goal.trim())
+        .filter(Boolean)
+        .map(description => ({ description })),
+      interventions: [],
+      dme: [],
+      safetyMeasures: this.safetyMeasures(formData),
+      functionalLimitations: this.functionalLimitations(formData),
+      activitiesPermitted: [],
+      mentalStatus: this.mentalStatus(formData),
+      prognosis: null
+    };
+  }
+
+  // Required before the plan can go to the physician
+  checkReadyToSend(carePlan) {
+    const problems = [];
+    const diagnoses = carePlan.diagnoses || [];
+    if (!diagnoses.some(diagnosis => diagnosis.type === 'PRINCIPAL')) problems.push('A principal diagnosis is required');
+    if ((carePlan.orders || []).length === 0) problems.push('At least one discipline order is required');
+    if ((carePlan.orders || []).some(order => !order.frequency)) problems.push('Every order needs a frequency');
+    if ((carePlan.goals || []).length === 0) problems.push('At least one goal is required');
+    if (!carePlan.prognosis) problems.push('Prognosis is required');
+    if (!carePlan.physicianId) problems.push('An attending physician is required');
+    return problems;
+  }
+
+  async markSent(carePlan, userId, sentAt) {
+    this.assertDraft(carePlan);
+
+    const problems = this.checkReadyToSend(carePlan);
+    if (problems.length > 0) {
+      const error = new CarePlanError('Care plan is incomplete', 'CARE_PLAN_INCOMPLETE', 422);
+      error.details = problems;
+      throw error;
+    }
+
+    const sentToPhysicianAt = sentAt || new Date();
+
+    // The plan of care is tracked as a physician order until it comes back.
+    // Conditional on DRAFT so a concurrent send cannot create a second order.
+    return prisma.$transaction(async (tx) => {
+      const { count } = await tx.carePlan.updateMany({
+        where: { id: carePlan.id, status: 'DRAFT' },
+        data: { status: 'SENT', sentToPhysicianAt, sentBy: userId }
+      });
+      if (count === 0) {
+        throw new CarePlanError('Only draft care plans can be changed', 'CARE_PLAN_NOT_DRAFT', 409);
+      }
+
+      await tx.physicianOrder.create({
+        data: {
+          orderNumber: await physicianOrderService.nextOrderNumber(tx),
+          orderType: 'PLAN_OF_CARE',
+          status: 'SENT',
+          patientId: carePlan.patientId,
+          episodeId: carePlan.episodeId,
+          physicianId: carePlan.physicianId,
+          carePlanId: carePlan.id,
+          orderText: 'Home health certification and plan of care (CMS-485)',
+          orderDate: sentToPhysicianAt,
+          sentAt: sentToPhysicianAt,
+          createdBy: userId
+        }
+      });
+
+      return tx.carePlan.findUnique({ where: { id: carePlan.id } });
+    });
+  }
+
+  async markReturned(carePlan, userId, { physicianSignedAt, returnedAt }) {
+    if (carePlan.status !== 'SENT') {
+      throw new CarePlanError('Only care plans sent to the physician can be returned', 'CARE_PLAN_NOT_SENT', 409);
+    }
+
+    const received = returnedAt || new Date();
+    if (physicianSignedAt > received) {
+      throw new CarePlanError('Physician signature date is after the date received', 'INVALID_SIGNATURE_DATE');
+    }
+    const sentDay = new Date(carePlan.sentToPhysicianAt);
+    sentDay.setHours(0, 0, 0, 0);
+    if (physicianSignedAt < sentDay) {
+      throw new CarePlanError('Physician signature date is before the plan was sent', 'INVALID_SIGNATURE_DATE');
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const order = await tx.physicianOrder.findFirst({
+        where: { carePlanId: carePlan.id, status: 'SENT' }
+      });
+      if (order) {
+        const signed = await physicianOrderService.transition(order, 'SIGNED', { date: physicianSignedAt }, tx);
+        await physicianOrderService.transition(signed, 'RECEIVED', { date: received, userId }, tx);
+      }
+
+      return tx.carePlan.update({
+        where: { id: carePlan.id },
+        data: { status: 'RETURNED', physicianSignedAt, returnedAt: received, receivedBy: userId }
+      });
+    });
+  }
+}
+
+module.exports = new CarePlanService();
+module.exports.CarePlanError = CarePlanError;
+module.exports.STATUSES = STATUSES;
+module.exports.PROGNOSES = PROGNOSES;
+module.exports.FUNCTIONAL_LIMITATIONS = FUNCTIONAL_LIMITATIONS;
+module.exports.MENTAL_STATUSES = MENTAL_STATUSES;
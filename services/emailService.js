@@ -87,6 +87,30 @@ class EmailService {
     }
   }
 
+  async sendPasswordResetEmail(email, firstName, resetToken) {
+    // Skip email sending if SMTP is not configured
+    if (!process.env.SMTP_USER || !process.env.SMTP_PASS) {
+      console.log('SMTP not configured, skipping password reset email to:', email);
+      return true;
+    }
+
+    const mailOptions = {
+      from: `"Chart Breaker EHR" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: 'Password Reset - Chart Breaker EHR',
+      html: this.getPasswordResetEmailTemplate(firstName, resetToken)
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log('Password reset email sent to:', email);
+      return true;
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+      return false;
+    }
+  }
+
   getVerificationEmailTemplate(firstName, verificationCode) {
     return `
       <!DOCTYPE html>
@@ -229,6 +253,56 @@ class EmailService {
       </html>
     `;
   }
+
+  getPasswordResetEmailTemplate(firstName, resetToken) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Password Reset</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #1976d2; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .button { 
+            background: #1976d2; 
+            color: white; 
+            padding: 12px 24px; 
+            text-decoration: none; 
+            border-radius: 5px; 
+            display: inline-block;
+            margin: 20px 0;
+          }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Chart Breaker EHR</h1>
+            <h2>Password Reset Request</h2>
+          </div>
+          <div class="content">
+            <p>Hello ${firstName},</p>
+            <p>We received a request to reset the password for your Chart Breaker EHR account.</p>
+            
+            <a href="${process.env.CLIENT_URL}/reset-password?token=${encodeURIComponent(resetToken)}" class="button">
+              Reset Password
+            </a>
+            
+            <p>This link will expire in 1 hour and can only be used once.</p>
+            <p>If you didn't request a password reset, you can ignore this email and your password will stay the same.</p>
+          </div>
+          <div class="footer">
+            <p>© 2024 Chart Breaker EHR. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,262 @@
+const { PrismaClient } = require('@prisma/client');
+const billingPeriodService = require('./billingPeriodService');
+const scheduleStatusService = require('./scheduleStatusService');
+
+const prisma = new PrismaClient();
+
+const { OPEN_STATUSES } = scheduleStatusService;
+
+// Legal episode status transitions. SUSPENDED means the patient is in an
+// inpatient facility after a transfer.
+const TRANSITIONS = {
+  ACTIVE: ['SUSPENDED', 'DISCHARGED', 'RECERTIFIED', 'CANCELLED'],
+  SUSPENDED: ['ACTIVE', 'DISCHARGED'],
+  DISCHARGED: [],
+  RECERTIFIED: [],
+  CANCELLED: []
+};
+
+// Transitions that need their own endpoint rather than a plain update
+const WORKFLOW_STATUSES = ['SUSPENDED', 'DISCHARGED', 'RECERTIFIED'];
+
+const DISCHARGE_REASONS = [
+  'GOALS_MET',
+  'PATIENT_REQUEST',
+  'MOVED_OUT_OF_AREA',
+  'TRANSFERRED_TO_OTHER_AGENCY',
+  'ADMITTED_TO_FACILITY',
+  'HOSPICE',
+  'DEATH',
+  'NON_COMPLIANCE',
+  'PAYER_DENIAL',
+  'PHYSICIAN_ORDER',
+  'OTHER'
+];
+
+class EpisodeLifecycleError extends Error {
+  constructor(message, code, status = 409) {
+    super(message);
+    this.name = 'EpisodeLifecycleError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class EpisodeLifecycleService {
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  assertTransition(episode, to) {
+    if (!this.canTransition(episode.status, to)) {
+      throw new EpisodeLifecycleError(
+        `Episode cannot move from ${episode.status} to ${to}`,
+        'ILLEGAL_TRANSITION'
+      );
+    }
+  }
+
+  // Status changes allowed through a plain episode update
+  assertDirectTransition(episode, to) {
+    if (episode.status === to) {
+      return;
+    }
+    this.assertTransition(episode, to);
+    if (WORKFLOW_STATUSES.includes(to) || episode.status === 'SUSPENDED') {
+      throw new EpisodeLifecycleError(
+        `Moving an episode to ${to} requires the transfer, resumption, discharge or recertification workflow`,
+        'TRANSITION_REQUIRES_WORKFLOW'
+      );
+    }
+  }
+
+  async loadEpisode(episodeId) {
+    const episode = await prisma.episode.findUnique({ where: { id: episodeId } });
+    if (!episode) {
+      throw new EpisodeLifecycleError('Episode not found', 'EPISODE_NOT_FOUND', 404);
+    }
+    return episode;
+  }
+
+  // Signed OASIS of the given type for the episode dated on or after a date
+  async requireAssessment(episode, assessmentType, onOrAfter, assessmentId) {
+    const assessment = await prisma.oasisAssessment.findFirst({
+      where: {
+        ...(assessmentId && { id: assessmentId }),
+        episodeId: episode.id,
+        assessmentType,
+        isSigned: true,
+        assessmentDate: { gte: onOrAfter }
+      },
+      orderBy: { assessmentDate: 'desc' }
+    });
+
+    if (!assessment) {
+      throw new EpisodeLifecycleError(
+        `A signed ${assessmentType} OASIS dated on or after ${onOrAfter.toISOString().slice(0, 10)} is required`,
+        `${assessmentType}_OASIS_REQUIRED`,
+        422
+      );
+    }
+
+    return assessment;
+  }
+
+  recordTransition(tx, episode, toStatus, details) {
+    return tx.episodeTransition.create({
+      data: {
+        episodeId: episode.id,
+        fromStatus: episode.status,
+        toStatus,
+        ...details
+      }
+    });
+  }
+
+  // Transfer to an inpatient facility: suspend the episode and hold
+  // schedules from the transfer date on
+  async transfer(episodeId, userId, { transferDate, facilityName, assessmentId }) {
+    const episode = await this.loadEpisode(episodeId);
+    this.assertTransition(episode, 'SUSPENDED');
+
+    const assessment = await this.requireAssessment(episode, 'TRANSFER', transferDate, assessmentId);
+
+    return prisma.$transaction(async (tx) => {
+      const held = await tx.schedule.updateMany({
+        where: {
+          episodeId: episode.id,
+          status: { in: OPEN_STATUSES },
+          isOnHold: false,
+          visitDate: { gte: transferDate }
+        },
+        data: { isOnHold: true }
+      });
+
+      const updated = await tx.episode.update({
+        where: { id: episode.id },
+        data: { status: 'SUSPENDED', transferDate, transferFacility: facilityName || null }
+      });
+
+      await this.recordTransition(tx, episode, 'SUSPENDED', {
+        event: 'TRANSFER',
+        occurredAt: transferDate,
+        assessmentId: assessment.id,
+        notes: facilityName || null,
+        createdBy: userId
+      });
+
+      return { previous: episode, episode: updated, assessment, schedulesHeld: held.count };
+    });
+  }
+
+  // Resumption of care: reactivate the episode, release held schedules from
+  // the resumption date and cancel the ones missed during the stay
+  async resume(episodeId, userId, { resumptionDate, assessmentId }) {
+    const episode = await this.loadEpisode(episodeId);
+    this.assertTransition(episode, 'ACTIVE');
+
+    if (episode.transferDate && resumptionDate < episode.transferDate) {
+      throw new EpisodeLifecycleError('Resumption date is before the transfer date', 'INVALID_RESUMPTION_DATE', 400);
+    }
+
+    const assessment = await this.requireAssessment(
+      episode,
+      'ROC',
+      episode.transferDate || resumptionDate,
+      assessmentId
+    );
+
+    const result = await prisma.$transaction(async (tx) => {
+      const released = await tx.schedule.updateMany({
+        where: { episodeId: episode.id, isOnHold: true, visitDate: { gte: resumptionDate } },
+        data: { isOnHold: false }
+      });
+      const cancelled = await scheduleStatusService.cancelWhere(tx, {
+        episodeId: episode.id,
+        isOnHold: true,
+        visitDate: { lt: resumptionDate }
+      }, { reason: 'PATIENT_HOSPITALIZED', userId });
+
+      const updated = await tx.episode.update({
+        where: { id: episode.id },
+        data: { status: 'ACTIVE', resumptionDate }
+      });
+
+      await this.recordTransition(tx, episode, 'ACTIVE', {
+        event: 'RESUMPTION_OF_CARE',
+        occurredAt: resumptionDate,
+        assessmentId: assessment.id,
+        createdBy: userId
+      });
+
+      return {
+        previous: episode,
+        episode: updated,
+        assessment,
+        schedulesResumed: released.count,
+        schedulesCancelled: cancelled
+      };
+    });
+
+    // The ROC assessment regroups the periods that have not been billed.
+    // Resumption has committed, so a grouping failure is only logged.
+    try {
+      await billingPeriodService.syncGrouping(episode.id);
+    } catch (groupingError) {
+      console.error('PDGM grouping after resumption error:', groupingError);
+    }
+
+    return result;
+  }
+
+  // Discharge with a stored reason; open schedules after the discharge date
+  // and any still held for a transfer are cancelled. A reason that is not one
+  // of DISCHARGE_REASONS is legacy free text and is kept with the notes.
+  async discharge(episodeId, userId, { endDate, dischargeReason, notes }) {
+    const episode = await this.loadEpisode(episodeId);
+
+    if (episode.status === 'DISCHARGED') {
+      throw new EpisodeLifecycleError('Episode already discharged', 'EPISODE_ALREADY_DISCHARGED', 400);
+    }
+    this.assertTransition(episode, 'DISCHARGED');
+
+    const dischargeDate = endDate || new Date();
+    const reasonCode = DISCHARGE_REASONS.includes(dischargeReason) ? dischargeReason : null;
+    const legacyReason = dischargeReason && !reasonCode ? dischargeReason : null;
+
+    return prisma.$transaction(async (tx) => {
+      await scheduleStatusService.cancelWhere(tx, {
+        episodeId: episode.id,
+        OR: [{ visitDate: { gt: dischargeDate } }, { isOnHold: true }]
+      }, { reason: 'EPISODE_ENDED', userId });
+
+      const updated = await tx.episode.update({
+        where: { id: episode.id },
+        data: { status: 'DISCHARGED', endDate: dischargeDate, dischargeReason: reasonCode }
+      });
+
+      await this.recordTransition(tx, episode, 'DISCHARGED', {
+        event: 'DISCHARGE',
+        occurredAt: dischargeDate,
+        notes: [legacyReason, notes].filter(Boolean).join('\n') || null,
+        createdBy: userId
+      });
+
+      return { previous: episode, episode: updated };
+    });
+  }
+
+  history(episodeId) {
+    return prisma.episodeTransition.findMany({
+      where: { episodeId },
+      include: {
+        creator: { select: { id: true, firstName: true, lastName: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+}
+
+module.exports = new EpisodeLifecycleService();
+module.exports.EpisodeLifecycleError = EpisodeLifecycleError;
+module.exports.DISCHARGE_REASONS = DISCHARGE_REASONS;
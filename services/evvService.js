@@ -0,0 +1,527 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const scheduleStatusService = require('./scheduleStatusService');
+const { startOfDay } = require('./agencyClock');
+
+const prisma = new PrismaClient();
+
+const EVV_CONFIG = {
+  providerId: process.env.EVV_PROVIDER_ID,
+  // Captures farther than this from the patient's address are exceptions
+  maxDistanceMeters: parseInt(process.env.EVV_MAX_DISTANCE_METERS) || 400,
+  // Device clocks further than this from the server's are exceptions
+  clockToleranceMinutes: parseInt(process.env.EVV_CLOCK_TOLERANCE_MINUTES) || 5,
+  // Shared key the telephony (IVR) integration sends with its captures
+  ivrApiKey: process.env.EVV_IVR_API_KEY,
+  target: process.env.EVV_EXPORT_TARGET || 'LOCAL',
+  exportDir: process.env.EVV_EXPORT_DIR || path.join(__dirname, '../exports/evv')
+};
+
+// Check-ins and check-outs are stamped with the server time; edits record
+// MANUAL. GPS captures come from the mobile app. TELEPHONY captures are only
+// accepted from the IVR integration, which passes on the calling number.
+const CAPTURE_METHODS = ['GPS', 'TELEPHONY'];
+
+// Reason codes sent to the aggregator with manually corrected visits
+const REASON_CODES = {
+  CHECK_IN_MISSED: 'Caregiver did not check in',
+  CHECK_OUT_MISSED: 'Caregiver did not check out',
+  DEVICE_FAILURE: 'Mobile device or application failure',
+  NO_SIGNAL: 'No GPS or cellular signal at the visit location',
+  SERVICE_IN_COMMUNITY: 'Service provided away from the home address',
+  WRONG_TIME_RECORDED: 'Recorded time was wrong',
+  ADDRESS_OUT_OF_DATE: 'Patient address on file is out of date',
+  OTHER: 'Other; explained in notes'
+};
+
+const EXPORTABLE_STATUSES = ['VERIFIED', 'RESOLVED'];
+
+// Medicaid home health HCPCS codes by discipline
+const SERVICE_CODES = {
+  SN: 'G0299',
+  PT: 'G0151',
+  OT: 'G0152',
+  ST: 'G0153',
+  MSW: 'G0155',
+  HHA: 'G0156'
+};
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Last ten digits, so +1 and punctuation do not matter
+const phoneDigits = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+
+const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+const formatDateTime = (value) => (value ? new Date(value).toISOString() : '');
+
+// The delimiter and line breaks cannot appear inside a field
+const formatField = (value) => (isBlank(value) ? '' : String(value).replace(/[|\r\n]+/g, ' '));
+
+// Columns of the aggregator visit file, one row per visit. The visit id is
+// the schedule id, so a corrected visit sent again replaces the earlier row.
+const EXPORT_FIELDS = [
+  { name: 'ProviderID', value: () => EVV_CONFIG.providerId },
+  { name: 'VisitID', value: record => record.scheduleId },
+  { name: 'MedicaidID', value: record => record.patient.medicaidNumber },
+  { name: 'PatientLastName', value: record => record.patient.lastName },
+  { name: 'PatientFirstName', value: record => record.patient.firstName },
+  { name: 'EmployeeID', value: record => record.staff.id },
+  { name: 'EmployeeLastName', value: record => record.staff.lastName },
+  { name: 'EmployeeFirstName', value: record => record.staff.firstName },
+  { name: 'ServiceCode', value: record => SERVICE_CODES[record.schedule.discipline] },
+  { name: 'VisitDate', value: record => formatDate(record.schedule.visitDate) },
+  { name: 'CallInDateTime', value: record => formatDateTime(record.checkInAt) },
+  { name: 'CallInMethod', value: record => record.checkInMethod },
+  { name: 'CallInLatitude', value: record => record.checkInLatitude },
+  { name: 'CallInLongitude', value: record => record.checkInLongitude },
+  { name: 'CallOutDateTime', value: record => formatDateTime(record.checkOutAt) },
+  { name: 'CallOutMethod', value: record => record.checkOutMethod },
+  { name: 'CallOutLatitude', value: record => record.checkOutLatitude },
+  { name: 'CallOutLongitude', value: record => record.checkOutLongitude },
+  { name: 'ExceptionCodes', value: record => (record.exceptions || []).join(';') },
+  { name: 'ReasonCode', value: record => record.reasonCode }
+];
+
+// Where export files go. LOCAL writes them to EVV_EXPORT_DIR and stands in
+// for the state aggregator's drop in development and testing.
+const TARGETS = {
+  LOCAL: {
+    async deliver(batch) {
+      await fs.promises.mkdir(EVV_CONFIG.exportDir, { recursive: true });
+      const filePath = path.join(EVV_CONFIG.exportDir, batch.fileName);
+      await fs.promises.writeFile(filePath, batch.fileContent);
+      return filePath;
+    }
+  }
+};
+
+class EvvError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'EvvError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class EvvService {
+  // Great-circle distance between two { latitude, longitude } points
+  distanceMeters(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+  }
+
+  // Telephony captures must carry the IVR integration's key; anything else
+  // could be a caller claiming a phone call that never happened
+  assertCaptureSource(capture) {
+    if (capture.method !== 'TELEPHONY') return;
+
+    const expected = Buffer.from(String(EVV_CONFIG.ivrApiKey || ''));
+    const given = Buffer.from(String(capture.ivrKey || ''));
+    if (expected.length === 0 || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new EvvError('Telephony captures must come through the IVR integration', 'TELEPHONY_NOT_VERIFIED', 403);
+    }
+  }
+
+  // Where a capture was made relative to the patient's home, and whether
+  // the device clock agrees with the server's. Exceptions raised here
+  // (OUTSIDE_GEOFENCE, LOCATION_UNVERIFIED, CALLER_NUMBER_MISMATCH,
+  // TIME_DISCREPANCY) and by edits (MANUAL_ENTRY) hold the visit back from
+  // export until someone with evv:manage resolves them with a reason code.
+  evaluate(patient, capture, now) {
+    const location = capture.method === 'TELEPHONY'
+      ? this.matchCaller(patient, capture)
+      : this.locate(patient, capture);
+    const drift = capture.deviceTime ? Math.abs(now - capture.deviceTime) : 0;
+    if (drift > EVV_CONFIG.clockToleranceMinutes * 60 * 1000) {
+      location.exceptions.push('TIME_DISCREPANCY');
+    }
+    return location;
+  }
+
+  locate(patient, capture) {
+    const point = { latitude: capture.latitude, longitude: capture.longitude };
+    if (isBlank(point.latitude) || isBlank(point.longitude)) {
+      return { latitude: null, longitude: null, distanceMeters: null, exceptions: ['LOCATION_UNVERIFIED'] };
+    }
+    if (isBlank(patient.latitude) || isBlank(patient.longitude)) {
+      return { ...point, distanceMeters: null, exceptions: ['LOCATION_UNVERIFIED'] };
+    }
+
+    const distance = Math.round(this.distanceMeters(patient, point));
+    return {
+      ...point,
+      distanceMeters: distance,
+      exceptions: distance > EVV_CONFIG.maxDistanceMeters ? ['OUTSIDE_GEOFENCE'] : []
+    };
+  }
+
+  // A telephony capture is verified by the calling number matching the
+  // patient's phone on file; it has no location
+  matchCaller(patient, capture) {
+    const onFile = phoneDigits(patient.phone);
+    const matches = onFile.length === 10 && onFile === phoneDigits(capture.callerNumber);
+    return {
+      latitude: null,
+      longitude: null,
+      distanceMeters: null,
+      exceptions: matches ? [] : ['CALLER_NUMBER_MISMATCH']
+    };
+  }
+
+  assertVisitDate(schedule, timestamp) {
+    if (startOfDay(timestamp).getTime() !== startOfDay(schedule.visitDate).getTime()) {
+      throw new EvvError(
+        'EVV times must fall on the scheduled visit date; reschedule the visit first',
+        'WRONG_VISIT_DATE',
+        422
+      );
+    }
+  }
+
+  findRecord(scheduleId) {
+    return prisma.evvRecord.findUnique({
+      where: { scheduleId },
+      include: {
+        edits: {
+          include: {
+            editor: { select: { id: true, firstName: true, lastName: true } }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+  }
+
+  findPatient(patientId) {
+    return prisma.patient.findUnique({
+      where: { id: patientId },
+      select: { id: true, latitude: true, longitude: true, phone: true }
+    });
+  }
+
+  // Start of the visit: the EVV record is created and the schedule moves to
+  // IN_PROGRESS. `capture` is { method, latitude, longitude, callerNumber,
+  // deviceTime, ivrKey }.
+  async checkIn(schedule, capture, userId, now = new Date()) {
+    this.assertCaptureSource(capture);
+    const existing = await prisma.evvRecord.findUnique({ where: { scheduleId: schedule.id } });
+    if (existing) {
+      throw new EvvError('Visit is already checked in', 'ALREADY_CHECKED_IN', 409);
+    }
+    scheduleStatusService.assertTransition(schedule, 'IN_PROGRESS');
+    this.assertVisitDate(schedule, now);
+
+    const location = this.evaluate(await this.findPatient(schedule.patientId), capture, now);
+
+    return prisma.$transaction(async (tx) => {
+      const record = await tx.evvRecord.create({
+        data: {
+          scheduleId: schedule.id,
+          patientId: schedule.patientId,
+          staffId: schedule.staffId,
+          checkInAt: now,
+          checkInDeviceTime: capture.deviceTime || null,
+          checkInMethod: capture.method,
+          checkInLatitude: location.latitude,
+          checkInLongitude: location.longitude,
+          checkInDistanceMeters: location.distanceMeters,
+          exceptions: location.exceptions,
+          status: location.exceptions.length > 0 ? 'EXCEPTION' : 'VERIFIED',
+          createdBy: userId
+        }
+      });
+
+      const result = await scheduleStatusService.transition(schedule, 'IN_PROGRESS', { userId }, tx);
+      return { record, schedule: result.schedule };
+    }).catch((error) => {
+      // A concurrent check-in created the record first (unique scheduleId)
+      if (error.code === 'P2002') {
+        throw new EvvError('Visit is already checked in', 'ALREADY_CHECKED_IN', 409);
+      }
+      throw error;
+    });
+  }
+
+  // End of the visit: the schedule is completed and linked to its visit
+  // note when there is one
+  async checkOut(schedule, capture, userId, now = new Date()) {
+    this.assertCaptureSource(capture);
+    const record = await prisma.evvRecord.findUnique({ where: { scheduleId: schedule.id } });
+    if (!record) {
+      throw new EvvError('Visit has not been checked in', 'NOT_CHECKED_IN', 409);
+    }
+    if (record.checkOutAt) {
+      throw new EvvError('Visit is already checked out', 'ALREADY_CHECKED_OUT', 409);
+    }
+    if (now <= record.checkInAt) {
+      throw new EvvError('Check-out must be after check-in', 'INVALID_CHECK_OUT_TIME', 422);
+    }
+    scheduleStatusService.assertTransition(schedule, 'COMPLETED');
+
+    const location = this.evaluate(await this.findPatient(schedule.patientId), capture, now);
+
+    return prisma.$transaction(async (tx) => {
+      const updated = await tx.evvRecord.update({
+        where: { id: record.id },
+        data: {
+          checkOutAt: now,
+          checkOutDeviceTime: capture.deviceTime || null,
+          checkOutMethod: capture.method,
+          checkOutLatitude: location.latitude,
+          checkOutLongitude: location.longitude,
+          checkOutDistanceMeters: location.distanceMeters,
+          exceptions: Array.from(new Set([...(record.exceptions || []), ...location.exceptions])),
+          status: location.exceptions.length > 0 ? 'EXCEPTION' : record.status
+        }
+      });
+
+      const result = await scheduleStatusService.transition(schedule, 'COMPLETED', { userId }, tx);
+      return { record: updated, schedule: result.schedule, visitNote: result.visitNote };
+    });
+  }
+
+  // Manual correction: new times and/or acknowledgement of exceptions, always
+  // with a reason code. Creates the record when the visit was never checked
+  // in, and queues an exported visit to be sent again.
+  async edit(schedule, changes, userId) {
+    const record = await prisma.evvRecord.findUnique({ where: { scheduleId: schedule.id } });
+    const checkInAt = changes.checkInAt || (record && record.checkInAt);
+    const checkOutAt = changes.checkOutAt || (record && record.checkOutAt);
+
+    if (!checkInAt) {
+      throw new EvvError('A check-in time is required for a visit with no EVV record', 'CHECK_IN_REQUIRED', 422);
+    }
+    if (checkOutAt && checkOutAt <= checkInAt) {
+      throw new EvvError('Check-out must be after check-in', 'INVALID_CHECK_OUT_TIME', 422);
+    }
+    [changes.checkInAt, changes.checkOutAt]
+      .filter(Boolean)
+      .forEach(timestamp => this.assertVisitDate(schedule, timestamp));
+
+    const targetStatus = checkOutAt ? 'COMPLETED' : 'IN_PROGRESS';
+    if (schedule.status !== targetStatus) {
+      scheduleStatusService.assertTransition(schedule, targetStatus);
+    }
+
+    const exceptions = new Set((record && record.exceptions) || []);
+    const data = { reasonCode: changes.reasonCode, status: 'RESOLVED', exportedAt: null };
+    if (changes.checkInAt) {
+      Object.assign(data, {
+        checkInAt: changes.checkInAt,
+        checkInMethod: 'MANUAL',
+        checkInLatitude: null,
+        checkInLongitude: null,
+        checkInDistanceMeters: null
+      });
+      exceptions.add('MANUAL_ENTRY');
+    }
+    if (changes.checkOutAt) {
+      Object.assign(data, {
+        checkOutAt: changes.checkOutAt,
+        checkOutMethod: 'MANUAL',
+        checkOutLatitude: null,
+        checkOutLongitude: null,
+        checkOutDistanceMeters: null
+      });
+      exceptions.add('MANUAL_ENTRY');
+    }
+    data.exceptions = Array.from(exceptions);
+
+    return prisma.$transaction(async (tx) => {
+      const updated = record
+        ? await tx.evvRecord.update({ where: { id: record.id }, data })
+        : await tx.evvRecord.create({
+          data: {
+            ...data,
+            scheduleId: schedule.id,
+            patientId: schedule.patientId,
+            staffId: schedule.staffId,
+            createdBy: userId
+          }
+        });
+
+      await tx.evvEdit.create({
+        data: {
+          evvRecordId: updated.id,
+          reasonCode: changes.reasonCode,
+          notes: changes.notes || null,
+          oldValues: record && {
+            checkInAt: record.checkInAt,
+            checkInMethod: record.checkInMethod,
+            checkOutAt: record.checkOutAt,
+            checkOutMethod: record.checkOutMethod,
+            status: record.status
+          },
+          newValues: {
+            checkInAt: updated.checkInAt,
+            checkInMethod: updated.checkInMethod,
+            checkOutAt: updated.checkOutAt,
+            checkOutMethod: updated.checkOutMethod,
+            status: updated.status
+          },
+          editedBy: userId
+        }
+      });
+
+      let updatedSchedule = schedule;
+      if (schedule.status !== targetStatus) {
+        updatedSchedule = (await scheduleStatusService.transition(schedule, targetStatus, {
+          notes: `EVV correction: ${REASON_CODES[changes.reasonCode]}`,
+          userId
+        }, tx)).schedule;
+      }
+
+      return { record: updated, previous: record, schedule: updatedSchedule };
+    });
+  }
+
+  // Completed visits with no open exception that have not been sent
+  findPending() {
+    return prisma.evvRecord.findMany({
+      where: {
+        checkOutAt: { not: null },
+        status: { in: EXPORTABLE_STATUSES },
+        exportedAt: null
+      },
+      include: {
+        patient: { select: { id: true, patientId: true, firstName: true, lastName: true, medicaidNumber: true } },
+        staff: { select: { id: true, firstName: true, lastName: true } },
+        schedule: { select: { id: true, discipline: true, visitDate: true } }
+      },
+      orderBy: { checkInAt: 'asc' }
+    });
+  }
+
+  findExceptions() {
+    return prisma.evvRecord.findMany({
+      where: { status: 'EXCEPTION' },
+      include: {
+        patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
+        staff: { select: { id: true, firstName: true, lastName: true } },
+        schedule: { select: { id: true, discipline: true, visitDate: true } }
+      },
+      orderBy: { checkInAt: 'asc' }
+    });
+  }
+
+  // Fields the aggregator rejects a visit without
+  checkRecord(record) {
+    const errors = [];
+    if (isBlank(record.patient.medicaidNumber)) {
+      errors.push('Patient has no Medicaid number');
+    }
+    if (!SERVICE_CODES[record.schedule.discipline]) {
+      errors.push(`No service code for discipline ${record.schedule.discipline}`);
+    }
+    return errors;
+  }
+
+  toDelimited(records) {
+    const lines = [
+      EXPORT_FIELDS.map(field => field.name).join('|'),
+      ...records.map(record => EXPORT_FIELDS.map(field => formatField(field.value(record))).join('|'))
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  async nextBatchNumber() {
+    const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const prefix = `EVV${today}`;
+    const count = await prisma.evvExportBatch.count({
+      where: { batchNumber: { startsWith: prefix } }
+    });
+    return `${prefix}${String(count + 1).padStart(3, '0')}`;
+  }
+
+  // Build a file of every pending visit and deliver it to the configured
+  // target. Visits failing the checks are left out and reported back; if
+  // delivery fails the batch is marked FAILED and its visits stay pending.
+  async createBatch({ userId }) {
+    if (!EVV_CONFIG.providerId) {
+      throw new EvvError('EVV_PROVIDER_ID must be configured', 'EXPORT_NOT_CONFIGURED');
+    }
+    const target = TARGETS[EVV_CONFIG.target];
+    if (!target) {
+      throw new EvvError(`Unknown EVV export target ${EVV_CONFIG.target}`, 'EXPORT_NOT_CONFIGURED');
+    }
+
+    const accepted = [];
+    const rejected = [];
+    (await this.findPending()).forEach(record => {
+      const errors = this.checkRecord(record);
+      if (errors.length > 0) {
+        rejected.push({ evvRecordId: record.id, scheduleId: record.scheduleId, patientId: record.patientId, errors });
+      } else {
+        accepted.push(record);
+      }
+    });
+
+    if (accepted.length === 0) {
+      return { batch: null, rejected };
+    }
+
+    const batchNumber = await this.nextBatchNumber();
+    const recordIds = accepted.map(record => record.id);
+
+    const batch = await prisma.$transaction(async (tx) => {
+      const created = await tx.evvExportBatch.create({
+        data: {
+          batchNumber,
+          fileName: `${batchNumber}.txt`,
+          fileContent: this.toDelimited(accepted),
+          recordCount: accepted.length,
+          target: EVV_CONFIG.target,
+          status: 'GENERATED',
+          createdBy: userId,
+          records: {
+            create: accepted.map(record => ({ evvRecordId: record.id, patientId: record.patientId }))
+          }
+        },
+        include: { records: true }
+      });
+      await tx.evvRecord.updateMany({
+        where: { id: { in: recordIds } },
+        data: { exportedAt: new Date() }
+      });
+      return created;
+    });
+
+    try {
+      const location = await target.deliver(batch);
+      const delivered = await prisma.evvExportBatch.update({
+        where: { id: batch.id },
+        data: { status: 'DELIVERED', deliveredAt: new Date(), location },
+        include: { records: true }
+      });
+      return { batch: delivered, rejected };
+    } catch (error) {
+      await prisma.$transaction([
+        prisma.evvExportBatch.update({
+          where: { id: batch.id },
+          data: { status: 'FAILED', notes: error.message }
+        }),
+        prisma.evvRecord.updateMany({
+          where: { id: { in: recordIds } },
+          data: { exportedAt: null }
+        })
+      ]);
+      throw new EvvError(`EVV export delivery failed: ${error.message}`, 'EXPORT_DELIVERY_FAILED', 502);
+    }
+  }
+}
+
+module.exports = new EvvService();
+module.exports.EvvError = EvvError;
+module.exports.REASON_CODES = REASON_CODES;
+module.exports.CAPTURE_METHODS = CAPTURE_METHODS;
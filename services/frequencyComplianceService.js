@@ -0,0 +1,272 @@
+const { PrismaClient } = require('@prisma/client');
+const visitGeneratorService = require('./visitGeneratorService');
+const scheduleStatusService = require('./scheduleStatusService');
+const { startOfDay, addDays } = require('./agencyClock');
+
+const prisma = new PrismaClient();
+
+const { OPEN_STATUSES } = scheduleStatusService;
+
+const CERTIFICATION_DAYS = 60;
+
+const MISSED_VISIT_REASONS = [
+  'PATIENT_REFUSED',
+  'PATIENT_NOT_HOME',
+  'PATIENT_HOSPITALIZED',
+  'PATIENT_ILL',
+  'CLINICIAN_UNAVAILABLE',
+  'WEATHER',
+  'OTHER'
+];
+
+const NOTIFICATION_METHODS = ['PHONE', 'FAX', 'PORTAL', 'EMAIL'];
+
+// Week statuses reported as variances. MET and IN_PROGRESS (not ended
+// yet) are not exceptions.
+const EXCEPTION_STATUSES = ['UNDER', 'OVER'];
+
+class FrequencyComplianceError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'FrequencyComplianceError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class FrequencyComplianceService {
+  // Ordered frequency per discipline, as on the episode
+  orderedFrequencies(episode) {
+    const weeks = Math.ceil(CERTIFICATION_DAYS / 7);
+    return Object.fromEntries((episode.disciplines || []).map(discipline => [
+      discipline,
+      (episode.disciplineFrequencies || {})[discipline]
+        || (episode.frequencyPerWeek ? `${episode.frequencyPerWeek}W${weeks}` : null)
+    ]));
+  }
+
+  // 7-day blocks from the start of care, matching the visit generator
+  weeks(episode) {
+    const start = startOfDay(episode.startDate);
+    const end = startOfDay(episode.endDate || addDays(start, CERTIFICATION_DAYS - 1));
+    const weeks = [];
+    for (let weekStart = start, week = 1; weekStart <= end; weekStart = addDays(weekStart, 7), week++) {
+      const weekEnd = addDays(weekStart, 6);
+      weeks.push({ week, weekStart, weekEnd: weekEnd < end ? weekEnd : end });
+    }
+    return weeks;
+  }
+
+  // Ordered against delivered visits for every discipline and week. Visit
+  // notes count as completed; disciplines with visits but no order count as
+  // over-utilization.
+  evaluate(episode, visitNotes, schedules, now = new Date()) {
+    const today = startOfDay(now);
+    const frequencies = this.orderedFrequencies(episode);
+    const disciplines = new Set([
+      ...Object.keys(frequencies),
+      ...visitNotes.map(note => note.discipline)
+    ]);
+
+    const inWeek = (date, week) => {
+      const day = startOfDay(date);
+      return day >= week.weekStart && day <= week.weekEnd;
+    };
+
+    const rows = [];
+    disciplines.forEach(discipline => {
+      const frequency = frequencies[discipline] || null;
+      const targets = frequency ? visitGeneratorService.weeklyTargets(frequency) : [];
+
+      this.weeks(episode).forEach((week, index) => {
+        const ordered = targets[index] || 0;
+        const completed = visitNotes
+          .filter(note => note.discipline === discipline && inWeek(note.visitDate, week)).length;
+        const disciplineSchedules = schedules
+          .filter(schedule => schedule.discipline === discipline && inWeek(schedule.visitDate, week));
+        const missed = disciplineSchedules.filter(schedule => schedule.status === 'MISSED').length;
+        const scheduled = disciplineSchedules
+          .filter(schedule => OPEN_STATUSES.includes(schedule.status) && !schedule.isOnHold && startOfDay(schedule.visitDate) >= today)
+          .length;
+
+        // Nothing to report for weeks that have not started, or for weeks
+        // with no order and no activity
+        if ((week.weekStart > today && completed === 0) || (ordered === 0 && completed + missed + scheduled === 0)) {
+          return;
+        }
+
+        let status;
+        if (completed > ordered) status = 'OVER';
+        else if (week.weekEnd >= today) status = 'IN_PROGRESS';
+        else if (completed < ordered) status = 'UNDER';
+        else status = 'MET';
+
+        rows.push({
+          discipline,
+          frequency,
+          ...week,
+          ordered,
+          completed,
+          missed,
+          scheduled,
+          variance: completed - ordered,
+          // For the current week: what the week ends at if the rest is made
+          projected: completed + scheduled,
+          status
+        });
+      });
+    });
+
+    return rows.sort((a, b) => a.week - b.week || a.discipline.localeCompare(b.discipline));
+  }
+
+  // Visits still open or in progress after their date with no visit note
+  // that day
+  unresolved(visitNotes, schedules, now = new Date()) {
+    const today = startOfDay(now);
+    const documented = new Set(visitNotes.map(note => `${note.discipline}|${startOfDay(note.visitDate).getTime()}`));
+    return schedules.filter(schedule => [...OPEN_STATUSES, 'IN_PROGRESS'].includes(schedule.status)
+      && !schedule.isOnHold
+      && startOfDay(schedule.visitDate) < today
+      && !documented.has(`${schedule.discipline}|${startOfDay(schedule.visitDate).getTime()}`));
+  }
+
+  loadEpisodes(where) {
+    return prisma.episode.findMany({
+      where,
+      include: {
+        patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
+        visitNotes: { select: { id: true, discipline: true, visitDate: true } },
+        schedules: {
+          select: { id: true, discipline: true, visitDate: true, status: true, isOnHold: true, staffId: true }
+        }
+      }
+    });
+  }
+
+  async episodeCompliance(episodeId, now = new Date()) {
+    const [episode] = await this.loadEpisodes({ id: episodeId });
+    if (!episode) {
+      throw new FrequencyComplianceError('Episode not found', 'EPISODE_NOT_FOUND', 404);
+    }
+
+    const weeks = this.evaluate(episode, episode.visitNotes, episode.schedules, now);
+    return {
+      episodeId: episode.id,
+      episodeNumber: episode.episodeNumber,
+      patientId: episode.patientId,
+      frequencies: this.orderedFrequencies(episode),
+      weeks,
+      exceptions: weeks.filter(week => EXCEPTION_STATUSES.includes(week.status)).length,
+      unresolvedVisits: this.unresolved(episode.visitNotes, episode.schedules, now)
+    };
+  }
+
+  // Every variance for episode weeks that ended in the 7 days from
+  // `weekStart`, with the missed visits and undocumented visits of those
+  // days, for patients matching `patientFilter` (the caller's caseload)
+  async weeklyExceptions(weekStart, patientFilter = {}, now = new Date()) {
+    const from = startOfDay(weekStart);
+    const to = addDays(from, 7);
+
+    const episodes = await this.loadEpisodes({
+      status: { not: 'CANCELLED' },
+      startDate: { lt: to, gte: addDays(from, -CERTIFICATION_DAYS) },
+      patient: patientFilter
+    });
+
+    const variances = [];
+    const unresolvedVisits = [];
+    episodes.forEach(episode => {
+      const context = {
+        episodeId: episode.id,
+        episodeNumber: episode.episodeNumber,
+        patient: episode.patient
+      };
+
+      this.evaluate(episode, episode.visitNotes, episode.schedules, now)
+        .filter(row => EXCEPTION_STATUSES.includes(row.status) && row.weekEnd >= from && row.weekEnd < to)
+        .forEach(row => variances.push({ ...context, ...row }));
+
+      this.unresolved(episode.visitNotes, episode.schedules, now)
+        .filter(schedule => schedule.visitDate >= from && schedule.visitDate < to)
+        .forEach(schedule => unresolvedVisits.push({ ...context, ...schedule }));
+    });
+
+    const missedVisits = await prisma.missedVisit.findMany({
+      where: { visitDate: { gte: from, lt: to }, patient: patientFilter },
+      include: {
+        patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
+        physician: { select: { id: true, firstName: true, lastName: true } }
+      },
+      orderBy: { visitDate: 'asc' }
+    });
+
+    return {
+      weekStart: from,
+      weekEnd: addDays(to, -1),
+      summary: {
+        under: variances.filter(row => row.status === 'UNDER').length,
+        over: variances.filter(row => row.status === 'OVER').length,
+        missed: missedVisits.length,
+        unresolved: unresolvedVisits.length
+      },
+      variances,
+      missedVisits,
+      unresolvedVisits
+    };
+  }
+
+  // A scheduled visit that was not made: the note, reason and physician
+  // notification are recorded together and the schedule becomes MISSED
+  async recordMissedVisit(schedule, input, userId, now = new Date()) {
+    scheduleStatusService.assertTransition(schedule, 'MISSED');
+    if (startOfDay(schedule.visitDate) > startOfDay(now)) {
+      throw new FrequencyComplianceError('A visit cannot be missed before its date', 'VISIT_NOT_DUE', 422);
+    }
+    if (startOfDay(input.physicianNotifiedAt) < startOfDay(schedule.visitDate)) {
+      throw new FrequencyComplianceError('Physician notification is dated before the visit', 'INVALID_NOTIFICATION_DATE');
+    }
+
+    const physician = await prisma.physician.findUnique({ where: { id: input.physicianId } });
+    if (!physician) {
+      throw new FrequencyComplianceError('Physician not found', 'PHYSICIAN_NOT_FOUND', 404);
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const missedVisit = await tx.missedVisit.create({
+        data: {
+          scheduleId: schedule.id,
+          patientId: schedule.patientId,
+          episodeId: schedule.episodeId,
+          staffId: schedule.staffId,
+          discipline: schedule.discipline,
+          visitDate: schedule.visitDate,
+          reason: input.reason,
+          notes: input.notes,
+          physicianId: physician.id,
+          physicianNotifiedAt: input.physicianNotifiedAt,
+          notificationMethod: input.notificationMethod,
+          createdBy: userId
+        }
+      });
+
+      const updatedSchedule = await tx.schedule.update({
+        where: { id: schedule.id },
+        data: { status: 'MISSED', isOnHold: false }
+      });
+      await scheduleStatusService.recordTransition(tx, schedule, 'MISSED', {
+        reason: input.reason,
+        notes: input.notes,
+        createdBy: userId
+      });
+
+      return { missedVisit, schedule: updatedSchedule };
+    });
+  }
+}
+
+module.exports = new FrequencyComplianceService();
+module.exports.FrequencyComplianceError = FrequencyComplianceError;
+module.exports.MISSED_VISIT_REASONS = MISSED_VISIT_REASONS;
+module.exports.NOTIFICATION_METHODS = NOTIFICATION_METHODS;
@@ -0,0 +1,185 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DIAGNOSIS_TYPES = ['PRIMARY', 'SECONDARY'];
+
+// OASIS M1023 and the claim allow 24 other diagnoses
+const MAX_SECONDARY_DIAGNOSES = 24;
+
+const SEARCH_LIMIT = 25;
+
+const normalizeCode = (code) => (code ? String(code).replace(/\./g, '').trim().toUpperCase() : null);
+
+// I509 -> I50.9
+const formatCode = (code) => (code && code.length > 3 ? `${code.slice(0, 3)}.${code.slice(3)}` : code);
+
+class Icd10Error extends Error {
+  constructor(message, code, status = 422) {
+    super(message);
+    this.name = 'Icd10Error';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class Icd10Service {
+  // Codes starting with the search term when it looks like a code,
+  // otherwise a description match
+  async search(term, { billableOnly = true, limit = SEARCH_LIMIT } = {}) {
+    const search = (term || '').trim();
+    if (!search) {
+      return [];
+    }
+
+    const where = /^[A-Z]\d/i.test(search)
+      ? { code: { startsWith: normalizeCode(search) } }
+      : { description: { contains: search, mode: 'insensitive' } };
+    if (billableOnly) where.isBillable = true;
+
+    const codes = await prisma.icd10Code.findMany({
+      where,
+      orderBy: { code: 'asc' },
+      take: limit
+    });
+
+    return this.withGroupings(codes);
+  }
+
+  async findByCode(code) {
+    const found = await prisma.icd10Code.findUnique({ where: { code: normalizeCode(code) } });
+    if (!found) {
+      return null;
+    }
+    const [withGrouping] = await this.withGroupings([found]);
+    return withGrouping;
+  }
+
+  // Adds the dotted code and PDGM clinical group; codes without a group
+  // are not accepted as a home health primary diagnosis
+  async withGroupings(codes) {
+    const groupings = await prisma.pdgmDiagnosis.findMany({
+      where: { code: { in: codes.map(code => code.code) } }
+    });
+    const byCode = new Map(groupings.map(grouping => [grouping.code, grouping]));
+
+    return codes.map(code => {
+      const grouping = byCode.get(code.code);
+      return {
+        ...code,
+        displayCode: formatCode(code.code),
+        clinicalGroup: grouping ? grouping.clinicalGroup : null,
+        comorbiditySubgroup: grouping ? grouping.comorbiditySubgroup : null,
+        acceptableAsPrimary: Boolean(code.isBillable && !code.isManifestation && grouping && grouping.clinicalGroup)
+      };
+    });
+  }
+
+  // Problems with a diagnosis list, one entry per offending code
+  async check(diagnoses) {
+    const problems = [];
+    const codes = diagnoses.map(diagnosis => normalizeCode(diagnosis.code));
+    const found = await prisma.icd10Code.findMany({ where: { code: { in: codes } } });
+    const byCode = new Map((await this.withGroupings(found)).map(code => [code.code, code]));
+
+    const primaries = diagnoses.filter(diagnosis => diagnosis.type === 'PRIMARY');
+    if (primaries.length > 1) {
+      problems.push({ code: null, issue: 'MULTIPLE_PRIMARY', message: 'Only one primary diagnosis is allowed' });
+    }
+    if (diagnoses.length - primaries.length > MAX_SECONDARY_DIAGNOSES) {
+      problems.push({
+        code: null,
+        issue: 'TOO_MANY_SECONDARY',
+        message: `At most ${MAX_SECONDARY_DIAGNOSES} secondary diagnoses are allowed`
+      });
+    }
+
+    const seen = new Set();
+    diagnoses.forEach((diagnosis, index) => {
+      const code = codes[index];
+      const entry = byCode.get(code);
+      const display = formatCode(code);
+
+      if (seen.has(code)) {
+        problems.push({ code: display, issue: 'DUPLICATE_CODE', message: `${display} is listed more than once` });
+        return;
+      }
+      seen.add(code);
+
+      if (!entry) {
+        problems.push({ code: display, issue: 'UNKNOWN_CODE', message: `${display} is not an ICD-10-CM code` });
+        return;
+      }
+      if (!entry.isBillable) {
+        problems.push({
+          code: display,
+          issue: 'NOT_BILLABLE',
+          message: `${display} is a category header; use a more specific code`
+        });
+        return;
+      }
+      if (diagnosis.type !== 'PRIMARY') {
+        return;
+      }
+      if (entry.isManifestation) {
+        problems.push({
+          code: display,
+          issue: 'MANIFESTATION_AS_PRIMARY',
+          message: `${display} is a manifestation code and must follow its underlying condition`
+        });
+      } else if (!entry.clinicalGroup) {
+        problems.push({
+          code: display,
+          issue: 'UNACCEPTABLE_PRIMARY',
+          message: `${display} is not accepted as a home health primary diagnosis`
+        });
+      }
+    });
+
+    return { problems, byCode };
+  }
+
+  // Validated, normalized diagnosis list with descriptions filled in, plus
+  // the primary/secondary codes the PDGM grouper reads
+  async resolve(diagnoses) {
+    const { problems, byCode } = await this.check(diagnoses);
+    if (problems.length > 0) {
+      const error = new Icd10Error('Invalid diagnoses', 'INVALID_DIAGNOSIS');
+      error.details = problems;
+      throw error;
+    }
+
+    // Primary first, then secondaries in the order given
+    const resolved = diagnoses
+      .map(diagnosis => {
+        const code = normalizeCode(diagnosis.code);
+        return {
+          ...diagnosis,
+          code,
+          description: byCode.get(code).description
+        };
+      })
+      .sort((a, b) => (a.type === 'PRIMARY' ? -1 : 0) - (b.type === 'PRIMARY' ? -1 : 0));
+
+    const primary = resolved.find(diagnosis => diagnosis.type === 'PRIMARY');
+    return {
+      diagnoses: resolved,
+      primaryDiagnosis: primary ? primary.code : null,
+      secondaryDiagnoses: resolved.filter(diagnosis => diagnosis.type === 'SECONDARY').map(diagnosis => diagnosis.code)
+    };
+  }
+
+  // Structured list from the older primary/secondary code fields
+  fromCodes(primaryDiagnosis, secondaryDiagnoses) {
+    return [
+      ...(primaryDiagnosis ? [{ code: primaryDiagnosis, type: 'PRIMARY' }] : []),
+      ...(secondaryDiagnoses || []).map(code => ({ code, type: 'SECONDARY' }))
+    ];
+  }
+}
+
+module.exports = new Icd10Service();
+module.exports.Icd10Error = Icd10Error;
+module.exports.DIAGNOSIS_TYPES = DIAGNOSIS_TYPES;
+module.exports.normalizeCode = normalizeCode;
+module.exports.formatCode = formatCode;
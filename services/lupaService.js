@@ -0,0 +1,162 @@
+const { PrismaClient } = require('@prisma/client');
+const { OPEN_STATUSES } = require('./scheduleStatusService');
+const { startOfDay } = require('./agencyClock');
+
+const prisma = new PrismaClient();
+
+// Periods projected within this many visits of the threshold are flagged
+const LUPA_RISK_BUFFER = parseInt(process.env.LUPA_RISK_BUFFER) || 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// LUPA: the period ended below its threshold. AT_RISK: completed plus
+// remaining scheduled visits fall short. WATCH: projected within the buffer.
+const RISK_LEVELS = ['LUPA', 'AT_RISK', 'WATCH', 'OK', 'NOT_GROUPED'];
+const FLAGGED_LEVELS = ['LUPA', 'AT_RISK', 'WATCH'];
+
+class LupaService {
+  // Open periods of active episodes that have started, including ended
+  // periods that have not been billed yet. `patientFilter` is a patient
+  // where clause limiting the periods to a caseload.
+  activePeriods(patientFilter = {}, now = new Date()) {
+    return prisma.billingPeriod.findMany({
+      where: {
+        status: 'OPEN',
+        startDate: { lte: now },
+        episode: { status: 'ACTIVE', patient: patientFilter }
+      },
+      include: {
+        episode: {
+          select: {
+            id: true,
+            episodeNumber: true,
+            disciplines: true,
+            patient: { select: { id: true, patientId: true, firstName: true, lastName: true } }
+          }
+        }
+      },
+      orderBy: { startDate: 'asc' }
+    });
+  }
+
+  // Documented visits and remaining scheduled visits per period and discipline
+  async countVisits(periodIds, now = new Date()) {
+    const [completed, scheduled] = await Promise.all([
+      prisma.visitNote.groupBy({
+        by: ['billingPeriodId', 'discipline'],
+        where: { billingPeriodId: { in: periodIds } },
+        _count: { _all: true }
+      }),
+      prisma.schedule.groupBy({
+        by: ['billingPeriodId', 'discipline'],
+        where: {
+          billingPeriodId: { in: periodIds },
+          status: { in: OPEN_STATUSES },
+          isOnHold: false,
+          visitDate: { gte: startOfDay(now) }
+        },
+        _count: { _all: true }
+      })
+    ]);
+
+    const counts = new Map();
+    const add = (rows, key) => rows.forEach(row => {
+      if (!counts.has(row.billingPeriodId)) counts.set(row.billingPeriodId, {});
+      const byDiscipline = counts.get(row.billingPeriodId);
+      byDiscipline[row.discipline] = byDiscipline[row.discipline] || { completed: 0, scheduled: 0 };
+      byDiscipline[row.discipline][key] += row._count._all;
+    });
+    add(completed, 'completed');
+    add(scheduled, 'scheduled');
+
+    return counts;
+  }
+
+  // A discipline is short when it is ordered on the episode but projected
+  // below its even share of the threshold
+  shortDisciplines(disciplines, byDiscipline, threshold) {
+    const ordered = disciplines || [];
+    if (ordered.length === 0 || !threshold) {
+      return [];
+    }
+    const share = Math.ceil(threshold / ordered.length);
+
+    return ordered
+      .map(discipline => {
+        const counts = byDiscipline[discipline] || { completed: 0, scheduled: 0 };
+        const projected = counts.completed + counts.scheduled;
+        return { discipline, projected, target: share, shortBy: share - projected };
+      })
+      .filter(entry => entry.shortBy > 0);
+  }
+
+  assess(period, byDiscipline = {}, now = new Date()) {
+    const disciplines = Object.entries(byDiscipline).map(([discipline, counts]) => ({
+      discipline,
+      ...counts
+    }));
+    const completedVisits = disciplines.reduce((total, entry) => total + entry.completed, 0);
+    const scheduledVisits = disciplines.reduce((total, entry) => total + entry.scheduled, 0);
+    const projectedVisits = completedVisits + scheduledVisits;
+    const threshold = period.lupaThreshold;
+    const ended = now >= new Date(period.endDate.getTime() + DAY_MS);
+
+    let riskLevel;
+    if (!threshold) {
+      riskLevel = 'NOT_GROUPED';
+    } else if (ended && completedVisits < threshold) {
+      riskLevel = 'LUPA';
+    } else if (projectedVisits < threshold) {
+      riskLevel = 'AT_RISK';
+    } else if (projectedVisits < threshold + LUPA_RISK_BUFFER) {
+      riskLevel = 'WATCH';
+    } else {
+      riskLevel = 'OK';
+    }
+
+    return {
+      periodId: period.id,
+      periodNumber: period.periodNumber,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      hippsCode: period.hippsCode,
+      lupaThreshold: threshold,
+      episode: { id: period.episode.id, episodeNumber: period.episode.episodeNumber },
+      patient: period.episode.patient,
+      completedVisits,
+      scheduledVisits,
+      projectedVisits,
+      visitsNeeded: threshold ? Math.max(0, threshold - projectedVisits) : null,
+      daysRemaining: ended ? 0 : Math.ceil((period.endDate.getTime() + DAY_MS - now.getTime()) / DAY_MS),
+      riskLevel,
+      flagged: FLAGGED_LEVELS.includes(riskLevel),
+      byDiscipline: disciplines,
+      shortDisciplines: FLAGGED_LEVELS.includes(riskLevel)
+        ? this.shortDisciplines(period.episode.disciplines, byDiscipline, threshold)
+        : []
+    };
+  }
+
+  // Risk assessment for every active period, most urgent first
+  async evaluate(patientFilter = {}, now = new Date()) {
+    const periods = await this.activePeriods(patientFilter, now);
+    if (periods.length === 0) {
+      return [];
+    }
+
+    const counts = await this.countVisits(periods.map(period => period.id), now);
+    const order = (level) => RISK_LEVELS.indexOf(level);
+
+    return periods
+      .map(period => this.assess(period, counts.get(period.id), now))
+      .sort((a, b) => order(a.riskLevel) - order(b.riskLevel) || a.daysRemaining - b.daysRemaining);
+  }
+
+  async countFlagged(patientFilter = {}, now = new Date()) {
+    const results = await this.evaluate(patientFilter, now);
+    return results.filter(result => result.flagged).length;
+  }
+}
+
+module.exports = new LupaService();
+module.exports.RISK_LEVELS = RISK_LEVELS;
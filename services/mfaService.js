@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const MFA_PENDING_TTL = '10m';
+
+class MfaService {
+  constructor() {
+    this.issuer = process.env.APP_NAME || 'Chart Breaker EHR';
+    this.requiredRoles = (process.env.MFA_REQUIRED_ROLES || 'ADMIN')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+  }
+
+  isRequiredForRole(role) {
+    return this.requiredRoles.includes(role);
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  // Secrets are stored encrypted (AES-256-GCM) so a database dump alone
+  // cannot be used to mint codes
+  encryptionKey() {
+    const keySource = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(keySource).digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return [iv, tag, encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  buildOtpauthUri(email, secret) {
+    const label = encodeURIComponent(`${this.issuer}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+  }
+
+  currentStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  // Returns the matching time step, or null. One step of drift either way
+  // is tolerated for clock skew.
+  matchTotp(secret, code, window = 1) {
+    if (!/^\d{6}$/.test(String(code || ''))) {
+      return null;
+    }
+
+    const step = this.currentStep();
+    for (let offset = -window; offset <= window; offset++) {
+      const candidate = this.generateTotp(secret, step + offset);
+      if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(String(code)))) {
+        return step + offset;
+      }
+    }
+    return null;
+  }
+
+  // Verify a code for an enrolled user, refusing replays of a step already used
+  async verifyUserTotp(user, code) {
+    if (!user.mfaEnabled || !user.mfaSecret) {
+      return false;
+    }
+
+    const step = this.matchTotp(this.decryptSecret(user.mfaSecret), code);
+    if (step === null || (user.mfaLastUsedStep && step <= user.mfaLastUsedStep)) {
+      return false;
+    }
+
+    const claimed = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { lt: step } }]
+      },
+      data: { mfaLastUsedStep: step }
+    });
+
+    return claimed.count > 0;
+  }
+
+  hashRecoveryCode(code) {
+    return crypto
+      .createHash('sha256')
+      .update(code.replace(/[\s-]/g, '').toLowerCase())
+      .digest('hex');
+  }
+
+  // Replace the user's recovery codes; plain codes are only ever returned here
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await prisma.$transaction([
+      prisma.mfaRecoveryCode.deleteMany({ where: { userId } }),
+      prisma.mfaRecoveryCode.createMany({
+        data: codes.map(code => ({
+          userId,
+          codeHash: this.hashRecoveryCode(code)
+        }))
+      })
+    ]);
+
+    return codes;
+  }
+
+  async useRecoveryCode(userId, code) {
+    const result = await prisma.mfaRecoveryCode.updateMany({
+      where: {
+        userId,
+        codeHash: this.hashRecoveryCode(code),
+        usedAt: null
+      },
+      data: { usedAt: new Date() }
+    });
+
+    return result.count > 0;
+  }
+
+  async remainingRecoveryCodes(userId) {
+    return prisma.mfaRecoveryCode.count({
+      where: { userId, usedAt: null }
+    });
+  }
+
+  // Accepts either a TOTP code or a one-time recovery code.
+  // Returns the method used, or null when neither matched.
+  async verifySecondFactor(user, { code, recoveryCode }) {
+    if (code && (await this.verifyUserTotp(user, code))) {
+      return 'TOTP';
+    }
+    if (recoveryCode && (await this.useRecoveryCode(user.id, recoveryCode))) {
+      return 'RECOVERY_CODE';
+    }
+    return null;
+  }
+
+  issuePendingToken(user) {
+    return jwt.sign(
+      { userId: user.id, type: 'mfa_pending' },
+      process.env.JWT_SECRET,
+      { expiresIn: MFA_PENDING_TTL }
+    );
+  }
+
+  verifyPendingToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'mfa_pending') {
+      throw new Error('Not an MFA pending token');
+    }
+    return decoded;
+  }
+
+  async resetForUser(userId) {
+    await prisma.$transaction([
+      prisma.mfaRecoveryCode.deleteMany({ where: { userId } }),
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          mfaEnabled: false,
+          mfaSecret: null,
+          mfaPendingSecret: null,
+          mfaEnabledAt: null,
+          mfaLastUsedStep: null
+        }
+      })
+    ]);
+  }
+}
+
+module.exports = new MfaService();
@@ -0,0 +1,342 @@
+// OASIS-E item dictionary: which items are collected at each assessment
+// type, their valid responses and the skip patterns between them.
+//
+// Item shape:
+//   code        item code as stored in formData (e.g. 'M1800', 'GG0130A1')
+//   label       short description
+//   type        'code' | 'multi' | 'date' | 'text' | 'number'
+//   responses   valid codes for 'code' and 'multi' items
+//   special     non-date codes accepted by 'date' items (e.g. 'NA', 'UK')
+//   exclusive   'multi' codes that cannot be combined with any other
+//   pattern     RegExp for 'text' items
+//   min / max   bounds for 'number' items
+//   collectedAt assessment types the item appears on
+//   optional    collected but not required (e.g. GG discharge goals)
+//   dashAllowed '-' (not assessed) is accepted, with a warning
+//   skipWhen    skipped if ANY rule matches: { item, in: [...] } or { item, notIn: [...] }
+
+const ASSESSMENT_TYPES = ['SOC', 'ROC', 'RECERT', 'TRANSFER', 'DISCHARGE'];
+
+const ALL = ASSESSMENT_TYPES;
+const SOC_ROC = ['SOC', 'ROC'];
+const SOC_ROC_DC = ['SOC', 'ROC', 'DISCHARGE'];
+const SOC_ROC_FU = ['SOC', 'ROC', 'RECERT'];
+const SOC_ROC_FU_DC = ['SOC', 'ROC', 'RECERT', 'DISCHARGE'];
+const TRANSFER_DC = ['TRANSFER', 'DISCHARGE'];
+
+const range = (from, to, width = 1) => Array.from(
+  { length: to - from + 1 },
+  (_, index) => String(from + index).padStart(width, '0')
+);
+
+// Reason for assessment (M0100) expected for each assessment type
+const REASON_FOR_ASSESSMENT = {
+  SOC: ['1'],
+  ROC: ['3'],
+  RECERT: ['4', '5'],
+  TRANSFER: ['6', '7'],
+  DISCHARGE: ['8', '9']
+};
+
+const GG_PERFORMANCE = [...range(1, 6, 2), '07', '09', '10', '88'];
+const GG_GOAL = range(1, 6, 2);
+const GG_NOT_ATTEMPTED = ['07', '09', '10', '88'];
+const GG_PRIOR = ['1', '2', '3', '8', '9'];
+
+// Each GG activity has a performance item (suffix 1) and a discharge goal
+// item (suffix 2); skip patterns apply to the performance item only
+const ggItems = (prefix, activities, collectedAt) => activities.flatMap(([letter, label, extra = {}]) => [
+  {
+    code: `${prefix}${letter}1`,
+    label: `${label} (performance)`,
+    type: 'code',
+    responses: GG_PERFORMANCE,
+    collectedAt,
+    dashAllowed: true,
+    ...extra
+  },
+  {
+    code: `${prefix}${letter}2`,
+    label: `${label} (discharge goal)`,
+    type: 'code',
+    responses: GG_GOAL,
+    collectedAt: SOC_ROC,
+    optional: true,
+    dashAllowed: true
+  }
+]);
+
+const ITEMS = [
+  // Patient tracking
+  { code: 'M0010', label: 'CMS certification number', type: 'text', pattern: /^\d{6}$/, collectedAt: ALL },
+  { code: 'M0014', label: 'Branch state', type: 'text', pattern: /^[A-Z]{2}$/, collectedAt: ALL, optional: true },
+  { code: 'M0016', label: 'Branch ID number', type: 'text', pattern: /^[A-Z0-9]{1,10}$|^N$|^P$/, collectedAt: ALL, optional: true },
+  { code: 'M0018', label: 'Attending physician NPI', type: 'text', pattern: /^\d{10}$|^UK$/, collectedAt: ALL },
+  { code: 'M0030', label: 'Start of care date', type: 'date', collectedAt: ALL },
+  { code: 'M0032', label: 'Resumption of care date', type: 'date', special: ['NA'], collectedAt: ALL },
+  { code: 'M0063', label: 'Medicare number', type: 'text', pattern: /^[A-Z0-9]{11}$|^NA$/, collectedAt: ALL },
+  { code: 'M0064', label: 'Social security number', type: 'text', pattern: /^\d{9}$|^UK$/, collectedAt: ALL },
+  { code: 'M0066', label: 'Birth date', type: 'date', collectedAt: ALL },
+  { code: 'M0069', label: 'Gender', type: 'code', responses: ['1', '2'], collectedAt: ALL },
+
+  // Clinical record items
+  { code: 'M0080', label: 'Discipline of person completing assessment', type: 'code', responses: ['1', '2', '3', '4'], collectedAt: ALL },
+  { code: 'M0090', label: 'Date assessment completed', type: 'date', collectedAt: ALL },
+  { code: 'M0100', label: 'Reason for assessment', type: 'code', responses: ['1', '3', '4', '5', '6', '7', '8', '9'], collectedAt: ALL },
+  { code: 'M0102', label: 'Date of physician-ordered SOC/ROC', type: 'date', special: ['NA'], collectedAt: SOC_ROC },
+  {
+    code: 'M0104',
+    label: 'Date of referral',
+    type: 'date',
+    collectedAt: SOC_ROC,
+    skipWhen: [{ item: 'M0102', notIn: ['NA'] }]
+  },
+  {
+    code: 'M0150',
+    label: 'Current payment sources',
+    type: 'multi',
+    responses: [...range(0, 11), 'UK'],
+    exclusive: ['0', 'UK'],
+    collectedAt: ALL
+  },
+  { code: 'M0906', label: 'Discharge/transfer/death date', type: 'date', collectedAt: TRANSFER_DC },
+
+  // Patient history and diagnoses
+  { code: 'M1005', label: 'Inpatient discharge date', type: 'date', special: ['UK'], collectedAt: SOC_ROC },
+  {
+    code: 'M1021',
+    label: 'Primary diagnosis (ICD-10-CM)',
+    type: 'text',
+    pattern: /^[A-TV-Z][0-9][0-9A-Z](\.?[0-9A-Z]{1,4})?$/,
+    collectedAt: SOC_ROC_FU
+  },
+  {
+    code: 'M1028',
+    label: 'Active diagnoses',
+    type: 'multi',
+    responses: ['1', '2', '3'],
+    exclusive: ['3'],
+    collectedAt: SOC_ROC_FU
+  },
+  {
+    code: 'M1033',
+    label: 'Risk for hospitalization',
+    type: 'multi',
+    responses: [...range(1, 8), '10'],
+    exclusive: ['10'],
+    collectedAt: SOC_ROC
+  },
+  { code: 'M1100', label: 'Patient living situation', type: 'code', responses: range(1, 15, 2), collectedAt: SOC_ROC },
+
+  // Integumentary status
+  { code: 'M1306', label: 'Unhealed pressure ulcer/injury at stage 2 or higher', type: 'code', responses: ['0', '1'], collectedAt: SOC_ROC_FU_DC },
+  {
+    code: 'M1311A1',
+    label: 'Number of stage 2 pressure ulcers',
+    type: 'number',
+    min: 0,
+    max: 99,
+    collectedAt: SOC_ROC_FU_DC,
+    skipWhen: [{ item: 'M1306', in: ['0'] }]
+  },
+  {
+    code: 'M1311B1',
+    label: 'Number of stage 3 pressure ulcers',
+    type: 'number',
+    min: 0,
+    max: 99,
+    collectedAt: SOC_ROC_FU_DC,
+    skipWhen: [{ item: 'M1306', in: ['0'] }]
+  },
+  {
+    code: 'M1311C1',
+    label: 'Number of stage 4 pressure ulcers',
+    type: 'number',
+    min: 0,
+    max: 99,
+    collectedAt: SOC_ROC_FU_DC,
+    skipWhen: [{ item: 'M1306', in: ['0'] }]
+  },
+  { code: 'M1322', label: 'Number of stage 1 pressure injuries', type: 'code', responses: ['0', '1', '2', '3', '4'], collectedAt: SOC_ROC_DC },
+  { code: 'M1324', label: 'Stage of most problematic pressure ulcer', type: 'code', responses: ['1', '2', '3', '4', 'NA'], collectedAt: SOC_ROC_FU_DC },
+  { code: 'M1330', label: 'Stasis ulcer', type: 'code', responses: ['0', '1', '2', '3'], collectedAt: SOC_ROC_FU_DC },
+  {
+    code: 'M1332',
+    label: 'Number of observable stasis ulcers',
+    type: 'code',
+    responses: ['1', '2', '3', '4'],
+    collectedAt: SOC_ROC_DC,
+    skipWhen: [{ item: 'M1330', in: ['0', '3'] }]
+  },
+  {
+    code: 'M1334',
+    label: 'Status of most problematic stasis ulcer',
+    type: 'code',
+    responses: ['1', '2', '3'],
+    collectedAt: SOC_ROC_FU_DC,
+    skipWhen: [{ item: 'M1330', in: ['0', '3'] }]
+  },
+  { code: 'M1340', label: 'Surgical wound', type: 'code', responses: ['0', '1', '2'], collectedAt: SOC_ROC_FU_DC },
+  {
+    code: 'M1342',
+    label: 'Status of most problematic surgical wound',
+    type: 'code',
+    responses: ['0', '1', '2', '3'],
+    collectedAt: SOC_ROC_FU_DC,
+    skipWhen: [{ item: 'M1340', in: ['0', '2'] }]
+  },
+
+  // Respiratory, elimination, neuro/behavioural
+  { code: 'M1400', label: 'Short of breath', type: 'code', responses: ['0', '1', '2', '3', '4'], collectedAt: SOC_ROC_FU_DC },
+  { code: 'M1600', label: 'Treated for urinary tract infection in past 14 days', type: 'code', responses: ['0', '1', 'NA', 'UK'], collectedAt: SOC_ROC_DC },
+  { code: 'M1610', label: 'Urinary incontinence or catheter presence', type: 'code', responses: ['0', '1', '2'], collectedAt: SOC_ROC_DC },
+  { code: 'M1620', label: 'Bowel incontinence frequency', type: 'code', responses: ['0', '1', '2', '3', '4', '5', 'NA', 'UK'], collectedAt: SOC_ROC_DC },
+  { code: 'M1630', label: 'Ostomy for bowel elimination', type: 'code', responses: ['0', '1', '2'], collectedAt: SOC_ROC_FU },
+  { code: 'M1700', label: 'Cognitive functioning', type: 'code', responses: ['0', '1', '2', '3', '4'], collectedAt: SOC_ROC_DC },
+  { code: 'M1710', label: 'When confused', type: 'code', responses: ['0', '1', '2', '3', '4', 'NA'], collectedAt: SOC_ROC_DC },
+  { code: 'M1720', label: 'When anxious', type: 'code', responses: ['0', '1', '2', '3', 'NA'], collectedAt: SOC_ROC_DC },
+
+  // ADLs/IADLs
+  { code: 'M1800', label: 'Grooming', type: 'code', responses: ['0', '1', '2', '3'], collectedAt: SOC_ROC_FU_DC },
+  { code: 'M1810', label: 'Dress upper body', type: 'code', responses: ['0', '1', '2', '3'], collectedAt: SOC_ROC_FU_DC },
+  { code: 'M1820', label: 'Dress lower body', type: 'code', responses: ['0', '1', '2', '3'], collectedAt: SOC_ROC_FU_DC },
+  { code: 'M1830', label: 'Bathing', type: 'code', responses: ['0', '1', '2', '3', '4', '5', '6'], collectedAt: SOC_ROC_FU_DC },
+  { code: 'M1840', label: 'Toilet transferring', type: 'code', responses: ['0', '1', '2', '3', '4'], collectedAt: SOC_ROC_FU_DC },
+  { code: 'M1845', label: 'Toileting hygiene', type: 'code', responses: ['0', '1', '2', '3'], collectedAt: SOC_ROC_DC },
+  { code: 'M1850', label: 'Transferring', type: 'code', responses: ['0', '1', '2', '3', '4', '5'], collectedAt: SOC_ROC_FU_DC },
+  { code: 'M1860', label: 'Ambulation/locomotion', type: 'code', responses: ['0', '1', '2', '3', '4', '5', '6'], collectedAt: SOC_ROC_FU_DC },
+
+  // Medications
+  { code: 'M2001', label: 'Drug regimen review', type: 'code', responses: ['0', '1', '9'], collectedAt: SOC_ROC },
+  {
+    code: 'M2003',
+    label: 'Medication follow-up',
+    type: 'code',
+    responses: ['0', '1'],
+    collectedAt: SOC_ROC,
+    skipWhen: [{ item: 'M2001', in: ['0', '9'] }]
+  },
+  { code: 'M2010', label: 'Patient/caregiver high-risk drug education', type: 'code', responses: ['0', '1', 'NA'], collectedAt: SOC_ROC },
+  { code: 'M2020', label: 'Management of oral medications', type: 'code', responses: ['0', '1', '2', '3', 'NA'], collectedAt: SOC_ROC_DC },
+  { code: 'M2030', label: 'Management of injectable medications', type: 'code', responses: ['0', '1', '2', '3', 'NA'], collectedAt: SOC_ROC_FU_DC },
+
+  // Emergent care and discharge
+  { code: 'M2301', label: 'Emergent care', type: 'code', responses: ['0', '1', '2', 'UK'], collectedAt: TRANSFER_DC },
+  {
+    code: 'M2310',
+    label: 'Reason for emergent care',
+    type: 'multi',
+    responses: ['1', '10', '19', '20', '21', '22', 'UK'],
+    exclusive: ['UK'],
+    collectedAt: TRANSFER_DC,
+    skipWhen: [{ item: 'M2301', in: ['0', 'UK'] }]
+  },
+  { code: 'M2410', label: 'Inpatient facility admitted to', type: 'code', responses: ['1', '2', '3', '4', 'NA'], collectedAt: TRANSFER_DC },
+  {
+    code: 'M2420',
+    label: 'Discharge disposition',
+    type: 'code',
+    responses: ['1', '2', '3', '4', 'UK'],
+    collectedAt: ['DISCHARGE'],
+    skipWhen: [{ item: 'M2410', notIn: ['NA'] }]
+  },
+
+  // Section GG: functional abilities and goals
+  { code: 'GG0100A', label: 'Prior functioning: self-care', type: 'code', responses: GG_PRIOR, collectedAt: SOC_ROC, dashAllowed: true },
+  { code: 'GG0100B', label: 'Prior functioning: indoor mobility', type: 'code', responses: GG_PRIOR, collectedAt: SOC_ROC, dashAllowed: true },
+  { code: 'GG0100C', label: 'Prior functioning: stairs', type: 'code', responses: GG_PRIOR, collectedAt: SOC_ROC, dashAllowed: true },
+  { code: 'GG0100D', label: 'Prior functioning: functional cognition', type: 'code', responses: GG_PRIOR, collectedAt: SOC_ROC, dashAllowed: true },
+  {
+    code: 'GG0110',
+    label: 'Prior device use',
+    type: 'multi',
+    responses: ['A', 'B', 'C', 'D', 'E', 'Z'],
+    exclusive: ['Z'],
+    collectedAt: SOC_ROC
+  },
+  ...ggItems('GG0130', [
+    ['A', 'Eating'],
+    ['B', 'Oral hygiene'],
+    ['C', 'Toileting hygiene'],
+    ['E', 'Shower/bathe self'],
+    ['F', 'Upper body dressing'],
+    ['G', 'Lower body dressing'],
+    ['H', 'Putting on/taking off footwear']
+  ], SOC_ROC_FU_DC),
+  ...ggItems('GG0170', [
+    ['A', 'Roll left and right'],
+    ['B', 'Sit to lying'],
+    ['C', 'Lying to sitting on side of bed'],
+    ['D', 'Sit to stand'],
+    ['E', 'Chair/bed-to-chair transfer'],
+    ['F', 'Toilet transfer'],
+    ['I', 'Walk 10 feet'],
+    ['J', 'Walk 50 feet with two turns', { skipWhen: [{ item: 'GG0170I1', in: GG_NOT_ATTEMPTED }] }],
+    ['K', 'Walk 150 feet', { skipWhen: [{ item: 'GG0170I1', in: GG_NOT_ATTEMPTED }] }]
+  ], SOC_ROC_FU_DC),
+  { code: 'GG0170Q1', label: 'Does patient use wheelchair/scooter', type: 'code', responses: ['0', '1'], collectedAt: SOC_ROC_FU_DC, dashAllowed: true },
+  {
+    code: 'GG0170R1',
+    label: 'Wheel 50 feet with two turns (performance)',
+    type: 'code',
+    responses: GG_PERFORMANCE,
+    collectedAt: SOC_ROC_FU_DC,
+    dashAllowed: true,
+    skipWhen: [{ item: 'GG0170Q1', in: ['0'] }]
+  },
+
+  // Section J: health conditions
+  { code: 'J0510', label: 'Pain effect on sleep', type: 'code', responses: ['0', '1', '2', '3', '4', '8'], collectedAt: SOC_ROC_DC, dashAllowed: true },
+  {
+    code: 'J0520',
+    label: 'Pain interference with therapy activities',
+    type: 'code',
+    responses: ['0', '1', '2', '3', '4', '8'],
+    collectedAt: SOC_ROC_DC,
+    dashAllowed: true,
+    skipWhen: [{ item: 'J0510', in: ['0'] }]
+  },
+  {
+    code: 'J0530',
+    label: 'Pain interference with day-to-day activities',
+    type: 'code',
+    responses: ['1', '2', '3', '4', '8'],
+    collectedAt: SOC_ROC_DC,
+    dashAllowed: true,
+    skipWhen: [{ item: 'J0510', in: ['0'] }]
+  },
+  { code: 'J1800', label: 'Any falls since SOC/ROC', type: 'code', responses: ['0', '1'], collectedAt: TRANSFER_DC, dashAllowed: true },
+  ...[['A', 'No injury'], ['B', 'Injury (except major)'], ['C', 'Major injury']].map(([letter, label]) => ({
+    code: `J1900${letter}`,
+    label: `Number of falls since SOC/ROC: ${label}`,
+    type: 'code',
+    responses: ['0', '1', '2'],
+    collectedAt: TRANSFER_DC,
+    dashAllowed: true,
+    skipWhen: [{ item: 'J1800', in: ['0'] }]
+  })),
+
+  // Section K: swallowing/nutritional status
+  {
+    code: 'K0520',
+    label: 'Nutritional approaches',
+    type: 'multi',
+    responses: ['A', 'B', 'C', 'D', 'Z'],
+    exclusive: ['Z'],
+    collectedAt: SOC_ROC_DC
+  }
+];
+
+const ITEMS_BY_CODE = new Map(ITEMS.map(item => [item.code, item]));
+
+// Keys in formData that look like OASIS item codes
+const ITEM_CODE_PATTERN = /^(M\d{4}|GG\d{4}[A-Z]\d?|[JK]\d{4}[A-Z]?)$/;
+
+module.exports = {
+  ASSESSMENT_TYPES,
+  REASON_FOR_ASSESSMENT,
+  GG_NOT_ATTEMPTED,
+  ITEMS,
+  ITEMS_BY_CODE,
+  ITEM_CODE_PATTERN
+};
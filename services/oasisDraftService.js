@@ -0,0 +1,120 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const LOCK_TTL_MINUTES = parseInt(process.env.OASIS_LOCK_TTL_MINUTES) || 15;
+
+class OasisLockError extends Error {
+  constructor(message, code, lock = null) {
+    super(message);
+    this.name = 'OasisLockError';
+    this.code = code;
+    this.status = 423;
+    this.lock = lock;
+  }
+}
+
+class OasisDraftService {
+  lockExpiry() {
+    return new Date(Date.now() + LOCK_TTL_MINUTES * 60 * 1000);
+  }
+
+  isLockedByOther(assessment, userId) {
+    return !!assessment.lockedBy
+      && assessment.lockedBy !== userId
+      && !!assessment.lockExpiresAt
+      && assessment.lockExpiresAt > new Date();
+  }
+
+  lockStatus(assessment, userId) {
+    const active = !!assessment.lockedBy && !!assessment.lockExpiresAt && assessment.lockExpiresAt > new Date();
+    return {
+      locked: active,
+      lockedBy: active ? assessment.lockedBy : null,
+      lockExpiresAt: active ? assessment.lockExpiresAt : null,
+      heldByYou: active && assessment.lockedBy === userId
+    };
+  }
+
+  // Take or extend the edit lock. The conditional update makes this atomic,
+  // so two clinicians opening the same draft cannot both win.
+  async acquireLock(assessmentId, userId) {
+    const now = new Date();
+    const lockExpiresAt = this.lockExpiry();
+
+    const claimed = await prisma.oasisAssessment.updateMany({
+      where: {
+        id: assessmentId,
+        isSigned: false,
+        OR: [
+          { lockedBy: null },
+          { lockedBy: userId },
+          { lockExpiresAt: { lt: now } }
+        ]
+      },
+      data: { lockedBy: userId, lockExpiresAt }
+    });
+
+    if (claimed.count === 0) {
+      const current = await prisma.oasisAssessment.findUnique({
+        where: { id: assessmentId },
+        select: {
+          lockedBy: true,
+          lockExpiresAt: true,
+          lockedByUser: { select: { id: true, firstName: true, lastName: true } }
+        }
+      });
+
+      throw new OasisLockError('Assessment is being edited by another user', 'ASSESSMENT_LOCKED', current);
+    }
+
+    return { lockedBy: userId, lockExpiresAt };
+  }
+
+  async releaseLock(assessmentId, userId) {
+    const released = await prisma.oasisAssessment.updateMany({
+      where: { id: assessmentId, lockedBy: userId },
+      data: { lockedBy: null, lockExpiresAt: null }
+    });
+    return released.count > 0;
+  }
+
+  // Autosave sends only the items that changed; null clears an item
+  mergeFormData(existing, changes) {
+    const merged = { ...(existing || {}) };
+    Object.entries(changes).forEach(([itemCode, value]) => {
+      if (value === null) {
+        delete merged[itemCode];
+      } else {
+        merged[itemCode] = value;
+      }
+    });
+    return merged;
+  }
+
+  // Most recent earlier assessment in the same episode (or for the patient
+  // when the assessment has no episode), for side-by-side comparison
+  findPriorAssessment(assessment) {
+    return prisma.oasisAssessment.findFirst({
+      where: {
+        id: { not: assessment.id },
+        patientId: assessment.patientId,
+        ...(assessment.episodeId && { episodeId: assessment.episodeId }),
+        OR: [
+          { assessmentDate: { lt: assessment.assessmentDate } },
+          { assessmentDate: assessment.assessmentDate, createdAt: { lt: assessment.createdAt } }
+        ]
+      },
+      include: {
+        clinician: { select: { id: true, firstName: true, lastName: true } }
+      },
+      orderBy: [
+        { assessmentDate: 'desc' },
+        { createdAt: 'desc' }
+      ]
+    });
+  }
+}
+
+module.exports = new OasisDraftService();
+module.exports.OasisLockError = OasisLockError;
@@ -0,0 +1,418 @@
+const { PrismaClient } = require('@prisma/client');
+const { ITEMS } = require('./oasisDictionary');
+const oasisValidationService = require('./oasisValidationService');
+
+const prisma = new PrismaClient();
+
+const EXPORT_CONFIG = {
+  agencyId: process.env.OASIS_HHA_AGENCY_ID,
+  stateCode: process.env.OASIS_STATE_CODE,
+  itemSetVersion: process.env.OASIS_ITEM_SET_VERSION || 'E1.00',
+  specVersion: process.env.OASIS_SPEC_VERSION || '1.00'
+};
+
+const TRANSACTION_TYPES = {
+  NEW: '1',
+  CORRECTION: '2',
+  INACTIVATION: '3'
+};
+
+// Arbitrary constant used as the Postgres advisory lock key that serialises
+// batch creation, so batch numbers are unique and no record is claimed twice
+const EXPORT_BATCH_LOCK_KEY = 7318011;
+
+const SKIPPED = '^';
+const MAX_CORRECTION_NUMBER = 99;
+
+const ITEM_CODES = new Set(ITEMS.map(item => item.code));
+
+// Widths for text items; coded items take the width of their longest response
+const TEXT_WIDTHS = {
+  M0010: 6,
+  M0014: 2,
+  M0016: 10,
+  M0018: 10,
+  M0063: 12,
+  M0064: 9,
+  M1021: 8
+};
+
+// Items kept on an inactivation record, which only identifies the original
+const INACTIVATION_ITEMS = ['M0010', 'M0030', 'M0063', 'M0064', 'M0066', 'M0069', 'M0090', 'M0100'];
+
+const fieldWidth = (item) => {
+  switch (item.type) {
+    case 'date': return 8;
+    case 'number': return String(item.max).length;
+    case 'multi': return item.responses.length;
+    case 'text': return TEXT_WIDTHS[item.code];
+    default: return Math.max(...item.responses.map(response => response.length));
+  }
+};
+
+// Submission layout: control fields, patient name, then dictionary items in
+// section order
+const HEADER_FIELDS = [
+  { name: 'ASMT_SYS_CD', width: 5 },
+  { name: 'TRANS_TYPE_CD', width: 1 },
+  { name: 'ITM_SBST_CD', width: 2 },
+  { name: 'ITM_SET_VRSN_CD', width: 10 },
+  { name: 'SPEC_VRSN_CD', width: 10 },
+  { name: 'CRCTN_NUM', width: 2 },
+  { name: 'STATE_CD', width: 2 },
+  { name: 'HHA_AGENCY_ID', width: 15 },
+  { name: 'M0040_PAT_FNAME', width: 12 },
+  { name: 'M0040_PAT_LNAME', width: 18 }
+];
+
+const ITEM_FIELDS = ITEMS.map(item => ({ item, name: item.code, width: fieldWidth(item) }));
+
+const isBlank = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+const formatDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class OasisExportError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'OasisExportError';
+    this.code = code;
+  }
+}
+
+class OasisExportService {
+  // Form data with patient demographics filled in where the form left them blank
+  submissionData(assessment) {
+    const formData = { ...(assessment.formData || {}) };
+    const patient = assessment.patient || {};
+
+    if (isBlank(formData.M0064) && patient.ssn) {
+      formData.M0064 = patient.ssn.replace(/\D/g, '');
+    }
+    if (isBlank(formData.M0066) && patient.dateOfBirth) {
+      formData.M0066 = new Date(patient.dateOfBirth).toISOString().slice(0, 10);
+    }
+
+    return formData;
+  }
+
+  // Format one item value at its submission width. Returns { value } plus
+  // `skipped` for skip-pattern fills and `flags` for multi-select items.
+  formatItem(item, width, formData, assessmentType) {
+    if (!item.collectedAt.includes(assessmentType)) {
+      return { value: null };
+    }
+
+    const raw = formData[item.code];
+
+    if (oasisValidationService.isSkipped(item, formData) === true || isBlank(raw)) {
+      return { value: SKIPPED.repeat(width), skipped: true };
+    }
+
+    if (raw === '-') {
+      return { value: '-'.repeat(width) };
+    }
+
+    switch (item.type) {
+      case 'multi':
+        return {
+          value: item.responses.map(response => (raw.map(String).includes(response) ? '1' : '0')).join(''),
+          flags: item.responses.map(response => [response, raw.map(String).includes(response) ? '1' : '0'])
+        };
+      case 'date':
+        if ((item.special || []).includes(raw)) {
+          return { value: String(raw).padEnd(width) };
+        }
+        return { value: formatDate(raw) };
+      case 'number':
+        return { value: String(raw).padStart(width, '0') };
+      case 'text':
+        return { value: String(raw).replace(/\./g, '').padEnd(width) };
+      default:
+        return { value: /^\d+$/.test(String(raw)) ? String(raw).padStart(width, '0') : String(raw).padEnd(width) };
+    }
+  }
+
+  // Ordered fields for one submission record: { name, width, value, ... }.
+  // A null value means the item is not part of this record.
+  buildFields(assessment, transactionType, correctionNumber) {
+    const formData = this.submissionData(assessment);
+    const patient = assessment.patient || {};
+    const inactivation = transactionType === 'INACTIVATION';
+
+    const headerValues = {
+      ASMT_SYS_CD: 'OASIS',
+      TRANS_TYPE_CD: TRANSACTION_TYPES[transactionType],
+      ITM_SBST_CD: String(formData.M0100 || '').padStart(2, '0'),
+      ITM_SET_VRSN_CD: EXPORT_CONFIG.itemSetVersion,
+      SPEC_VRSN_CD: EXPORT_CONFIG.specVersion,
+      CRCTN_NUM: String(correctionNumber).padStart(2, '0'),
+      STATE_CD: EXPORT_CONFIG.stateCode || '',
+      HHA_AGENCY_ID: EXPORT_CONFIG.agencyId || '',
+      M0040_PAT_FNAME: (patient.firstName || '').toUpperCase(),
+      M0040_PAT_LNAME: (patient.lastName || '').toUpperCase()
+    };
+
+    const fields = HEADER_FIELDS.map(field => ({ ...field, value: headerValues[field.name] }));
+
+    ITEM_FIELDS.forEach(({ item, name, width }) => {
+      if (inactivation && !INACTIVATION_ITEMS.includes(item.code)) {
+        fields.push({ name, width, value: null });
+        return;
+      }
+      fields.push({ name, width, ...this.formatItem(item, width, formData, assessment.assessmentType) });
+    });
+
+    return fields;
+  }
+
+  // Format edits run before a file is produced. Returns fatal errors.
+  checkRecord(assessment, transactionType, fields) {
+    const errors = [];
+    const error = (itemCode, code, message) => errors.push({ itemCode, code, message });
+
+    if (transactionType !== 'INACTIVATION') {
+      const validation = oasisValidationService.validate(assessment.assessmentType, this.submissionData(assessment));
+      errors.push(...validation.errors);
+    }
+
+    if (!assessment.isSigned) {
+      error(null, 'NOT_SIGNED', 'Only signed assessments can be exported');
+    }
+
+    fields.forEach(({ name, width, value }) => {
+      if (value !== null && value.length > width) {
+        error(name, 'FIELD_OVERFLOW', `Value is ${value.length} characters; the field holds ${width}`);
+      }
+    });
+
+    const header = Object.fromEntries(fields.map(field => [field.name, field.value]));
+    if (!header.M0040_PAT_FNAME || !header.M0040_PAT_LNAME) {
+      error('M0040', 'MISSING_RESPONSE', 'Patient first and last name are required');
+    }
+    if (!/^(0[1-9])$/.test(header.ITM_SBST_CD)) {
+      error('ITM_SBST_CD', 'INVALID_RESPONSE', 'Reason for assessment (M0100) is required to set the item subset');
+    }
+
+    return errors;
+  }
+
+  // One fixed-length line per record; fields outside the record are blank
+  toFixedWidth(records) {
+    return records.map(({ fields }) => fields
+      .map(({ width, value }) => (value === null ? '' : value).padEnd(width))
+      .join('')).join('\r\n') + '\r\n';
+  }
+
+  // One ASSESSMENT element per record; multi-select items become one
+  // checkbox element per response
+  toXml(records) {
+    const body = records.map(({ fields }) => {
+      const elements = fields
+        .filter(({ value }) => value !== null)
+        .flatMap(({ name, value, skipped, flags }) => {
+          if (flags) {
+            return flags.map(([response, flag]) => `    <${name}_${response}>${flag}</${name}_${response}>`);
+          }
+          return [`    <${name}>${escapeXml(skipped ? SKIPPED : value.trim())}</${name}>`];
+        });
+      return `  <ASSESSMENT>\n${elements.join('\n')}\n  </ASSESSMENT>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<ASSESSMENTS>\n${body.join('\n')}\n</ASSESSMENTS>\n`;
+  }
+
+  // Only safe under EXPORT_BATCH_LOCK_KEY; see createBatch
+  async nextBatchNumber(client = prisma) {
+    const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const prefix = `OASIS${today}`;
+    const count = await client.oasisExportBatch.count({
+      where: { batchNumber: { startsWith: prefix } }
+    });
+    return `${prefix}${String(count + 1).padStart(3, '0')}`;
+  }
+
+  // Signed form data never changes, so a correction sends the answers last
+  // submitted with the corrected items applied over them. The correction
+  // must be documented by a signed addendum on the assessment.
+  // Returns { formData } or { code, message }.
+  correctedFormData(assessment, previous, { corrections, addendumId }, addenda) {
+    const unknown = Object.keys(corrections || {}).filter(code => !ITEM_CODES.has(code));
+    if (unknown.length > 0) {
+      return { code: 'UNKNOWN_ITEM', message: `Unknown OASIS items: ${unknown.join(', ')}` };
+    }
+
+    const addendum = addenda.find(candidate => candidate.id === addendumId);
+    if (!addendum || addendum.recordId !== assessment.id) {
+      return { code: 'ADDENDUM_REQUIRED', message: 'A correction must reference a signed addendum on the assessment' };
+    }
+
+    const lastSubmitted = previous.find(record => record.formData);
+    return {
+      formData: { ...(lastSubmitted ? lastSubmitted.formData : assessment.formData), ...corrections }
+    };
+  }
+
+  // Work out the transaction for each requested assessment from its export
+  // history (records in rejected batches do not count).
+  // Returns { accepted: [...], rejected: [...] }.
+  async prepareTransactions(transactions, client = prisma) {
+    const assessmentIds = transactions.map(transaction => transaction.assessmentId);
+    const addendumIds = transactions
+      .filter(transaction => transaction.transactionType === 'CORRECTION' && transaction.addendumId)
+      .map(transaction => transaction.addendumId);
+
+    const [assessments, history, addenda] = await Promise.all([
+      client.oasisAssessment.findMany({
+        where: { id: { in: assessmentIds } },
+        include: {
+          patient: { select: { id: true, firstName: true, lastName: true, dateOfBirth: true, ssn: true } }
+        }
+      }),
+      client.oasisExportRecord.findMany({
+        where: {
+          assessmentId: { in: assessmentIds },
+          batch: { status: { not: 'REJECTED' } }
+        },
+        orderBy: { createdAt: 'desc' }
+      }),
+      client.recordAddendum.findMany({
+        where: { id: { in: addendumIds }, recordType: 'OASIS', isSigned: true },
+        select: { id: true, recordId: true }
+      })
+    ]);
+
+    const byId = new Map(assessments.map(assessment => [assessment.id, assessment]));
+    const accepted = [];
+    const rejected = [];
+
+    transactions.forEach(({ assessmentId, transactionType, reason, corrections, addendumId }) => {
+      let assessment = byId.get(assessmentId);
+      const reject = (code, message) => rejected.push({ assessmentId, errors: [{ itemCode: null, code, message }] });
+
+      if (!assessment) {
+        return reject('NOT_FOUND', 'Assessment not found');
+      }
+
+      const previous = history.filter(record => record.assessmentId === assessmentId);
+      const last = previous[0];
+
+      if (last && last.transactionType === 'INACTIVATION') {
+        return reject('INACTIVATED', 'Assessment has been inactivated');
+      }
+      if (transactionType === 'NEW' && last) {
+        return reject('ALREADY_EXPORTED', 'Assessment was already exported; send a correction instead');
+      }
+      if (transactionType !== 'NEW' && !last) {
+        return reject('NOT_EXPORTED', 'Assessment has not been exported yet');
+      }
+
+      const correctionNumber = transactionType === 'NEW'
+        ? 0
+        : Math.max(...previous.map(record => record.correctionNumber)) + 1;
+
+      if (correctionNumber > MAX_CORRECTION_NUMBER) {
+        return reject('CORRECTION_LIMIT', 'Assessment has reached the maximum number of corrections');
+      }
+
+      let formData = null;
+      if (transactionType === 'CORRECTION') {
+        const corrected = this.correctedFormData(assessment, previous, { corrections, addendumId }, addenda);
+        if (!corrected.formData) {
+          return reject(corrected.code, corrected.message);
+        }
+        formData = corrected.formData;
+        assessment = { ...assessment, formData };
+      }
+
+      const fields = this.buildFields(assessment, transactionType, correctionNumber);
+      const errors = this.checkRecord(assessment, transactionType, fields);
+
+      if (errors.length > 0) {
+        rejected.push({ assessmentId, errors });
+        return;
+      }
+
+      accepted.push({ assessment, transactionType, correctionNumber, reason, formData, addendumId, fields });
+    });
+
+    return { accepted, rejected };
+  }
+
+  // Build and store a submission file. Records failing the edits are left
+  // out and reported back. History is read and the batch written under one
+  // lock, so concurrent exports cannot both claim an assessment.
+  async createBatch(transactions, { format = 'xml', userId }) {
+    if (!EXPORT_CONFIG.agencyId || !EXPORT_CONFIG.stateCode) {
+      throw new OasisExportError(
+        'OASIS_HHA_AGENCY_ID and OASIS_STATE_CODE must be configured',
+        'EXPORT_NOT_CONFIGURED'
+      );
+    }
+
+    return prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(${EXPORT_BATCH_LOCK_KEY})`;
+
+      const { accepted, rejected } = await this.prepareTransactions(transactions, tx);
+
+      if (accepted.length === 0) {
+        return { batch: null, rejected };
+      }
+
+      const batchNumber = await this.nextBatchNumber(tx);
+      const fileContent = format === 'fixed' ? this.toFixedWidth(accepted) : this.toXml(accepted);
+
+      const batch = await tx.oasisExportBatch.create({
+        data: {
+          batchNumber,
+          format,
+          fileName: `${batchNumber}.${format === 'fixed' ? 'txt' : 'xml'}`,
+          fileContent,
+          recordCount: accepted.length,
+          status: 'GENERATED',
+          createdBy: userId,
+          records: {
+            create: accepted.map(({ assessment, transactionType, correctionNumber, reason, formData, addendumId }) => ({
+              assessmentId: assessment.id,
+              patientId: assessment.patientId,
+              transactionType,
+              correctionNumber,
+              reason: reason || null,
+              // What a correction submitted, so the next one builds on it
+              formData,
+              addendumId: formData ? addendumId : null
+            }))
+          }
+        },
+        include: { records: true }
+      });
+
+      return { batch, rejected };
+    });
+  }
+
+  // Signed assessments with no export outside a rejected batch
+  async findPending() {
+    const assessments = await prisma.oasisAssessment.findMany({
+      where: {
+        isSigned: true,
+        exportRecords: { none: { batch: { status: { not: 'REJECTED' } } } }
+      },
+      select: { id: true }
+    });
+    return assessments.map(assessment => assessment.id);
+  }
+}
+
+module.exports = new OasisExportService();
+module.exports.OasisExportError = OasisExportError;
+module.exports.TRANSACTION_TYPES = TRANSACTION_TYPES;
@@ -0,0 +1,254 @@
+const {
+  ASSESSMENT_TYPES,
+  REASON_FOR_ASSESSMENT,
+  GG_NOT_ATTEMPTED,
+  ITEMS,
+  ITEMS_BY_CODE,
+  ITEM_CODE_PATTERN
+} = require('./oasisDictionary');
+
+const DASH = '-';
+
+const isBlank = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+const parseDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+class OasisValidationService {
+  itemsFor(assessmentType) {
+    return ITEMS.filter(item => item.collectedAt.includes(assessmentType));
+  }
+
+  // Items that must be answered for the type, ignoring skip patterns
+  requiredItemsFor(assessmentType) {
+    return this.itemsFor(assessmentType).filter(item => !item.optional);
+  }
+
+  // Share of applicable required items answered. Items skipped by a
+  // response are excluded; items behind an unanswered gate still count.
+  completion(assessmentType, formData = {}) {
+    const applicable = this.requiredItemsFor(assessmentType)
+      .filter(item => this.isSkipped(item, formData) !== true);
+    const missing = applicable
+      .filter(item => isBlank(formData[item.code]))
+      .map(item => item.code);
+    const answered = applicable.length - missing.length;
+
+    return {
+      percentage: applicable.length > 0 ? Math.round((answered / applicable.length) * 100) : 100,
+      answered,
+      required: applicable.length,
+      missing
+    };
+  }
+
+  // true / false, or null when the gate item has not been answered yet
+  isSkipped(item, formData) {
+    if (!item.skipWhen) {
+      return false;
+    }
+
+    let undetermined = false;
+    for (const rule of item.skipWhen) {
+      const gate = formData[rule.item];
+      if (isBlank(gate)) {
+        undetermined = true;
+        continue;
+      }
+      if (rule.in && rule.in.includes(String(gate))) return true;
+      if (rule.notIn && !rule.notIn.includes(String(gate))) return true;
+    }
+
+    return undetermined ? null : false;
+  }
+
+  // Returns an error message for a response, or null if it is valid
+  checkResponse(item, value) {
+    switch (item.type) {
+      case 'code':
+        return item.responses.includes(String(value))
+          ? null
+          : `Invalid response "${value}". Expected one of: ${item.responses.join(', ')}`;
+
+      case 'multi': {
+        if (!Array.isArray(value)) {
+          return 'Expected a list of responses';
+        }
+        const invalid = value.filter(code => !item.responses.includes(String(code)));
+        if (invalid.length > 0) {
+          return `Invalid response(s) ${invalid.join(', ')}. Expected any of: ${item.responses.join(', ')}`;
+        }
+        const exclusive = value.find(code => (item.exclusive || []).includes(String(code)));
+        if (exclusive !== undefined && value.length > 1) {
+          return `Response "${exclusive}" cannot be combined with other responses`;
+        }
+        return null;
+      }
+
+      case 'date':
+        if ((item.special || []).includes(value)) return null;
+        return parseDate(value) ? null : 'Expected a date (YYYY-MM-DD)';
+
+      case 'text':
+        return item.pattern.test(String(value)) ? null : 'Invalid format';
+
+      case 'number': {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < item.min || number > item.max) {
+          return `Expected a whole number from ${item.min} to ${item.max}`;
+        }
+        return null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // Validate formData for an assessment type. Fatal errors block signing;
+  // warnings are advisory.
+  validate(assessmentType, formData = {}) {
+    const errors = [];
+    const warnings = [];
+    const error = (itemCode, code, message) => errors.push({ itemCode, code, message });
+    const warn = (itemCode, code, message) => warnings.push({ itemCode, code, message });
+
+    if (!ASSESSMENT_TYPES.includes(assessmentType)) {
+      error(null, 'INVALID_ASSESSMENT_TYPE', `Unknown assessment type ${assessmentType}`);
+      return { valid: false, errors, warnings };
+    }
+
+    // Keys that look like item codes but are not in the dictionary or not
+    // collected at this time point
+    Object.keys(formData).filter(key => ITEM_CODE_PATTERN.test(key)).forEach(key => {
+      const item = ITEMS_BY_CODE.get(key);
+      if (!item) {
+        warn(key, 'UNKNOWN_ITEM', 'Item is not in the OASIS-E dictionary and will be ignored');
+      } else if (!item.collectedAt.includes(assessmentType) && !isBlank(formData[key])) {
+        warn(key, 'NOT_COLLECTED', `Item is not collected on ${assessmentType} assessments`);
+      }
+    });
+
+    this.itemsFor(assessmentType).forEach(item => {
+      const value = formData[item.code];
+      const skipped = this.isSkipped(item, formData);
+
+      if (skipped === true) {
+        if (!isBlank(value)) {
+          const gates = item.skipWhen.map(rule => rule.item).join(', ');
+          error(item.code, 'SKIP_PATTERN_VIOLATION', `Must be left blank because of the response to ${gates}`);
+        }
+        return;
+      }
+
+      if (isBlank(value)) {
+        // Without the gate answer we cannot tell whether the item applies
+        if (!item.optional && skipped === false) {
+          error(item.code, 'MISSING_RESPONSE', `${item.label} is required`);
+        }
+        return;
+      }
+
+      if (value === DASH) {
+        if (item.dashAllowed) {
+          warn(item.code, 'DASH_RESPONSE', 'Dash (not assessed) affects quality measures and payment');
+        } else {
+          error(item.code, 'INVALID_RESPONSE', 'Dash is not an accepted response for this item');
+        }
+        return;
+      }
+
+      const message = this.checkResponse(item, value);
+      if (message) {
+        error(item.code, 'INVALID_RESPONSE', message);
+      }
+    });
+
+    this.checkConsistency(assessmentType, formData, error, warn);
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  // Cross-item edits
+  checkConsistency(assessmentType, formData, error, warn) {
+    const reason = formData.M0100;
+    if (!isBlank(reason) && !REASON_FOR_ASSESSMENT[assessmentType].includes(String(reason))) {
+      error('M0100', 'REASON_MISMATCH',
+        `Reason for assessment ${reason} does not match a ${assessmentType} assessment`);
+    }
+
+    if (assessmentType === 'ROC' && formData.M0032 === 'NA') {
+      error('M0032', 'MISSING_RESPONSE', 'Resumption of care date is required on ROC assessments');
+    }
+
+    const startOfCare = parseDate(formData.M0030);
+    const resumption = parseDate(formData.M0032);
+    const completed = parseDate(formData.M0090);
+    const dischargeDate = parseDate(formData.M0906);
+    const birthDate = parseDate(formData.M0066);
+
+    if (completed && completed > new Date()) {
+      error('M0090', 'FUTURE_DATE', 'Assessment completion date cannot be in the future');
+    }
+    if (completed && startOfCare && completed < startOfCare) {
+      error('M0090', 'DATE_SEQUENCE', 'Assessment completion date is before the start of care date');
+    }
+    if (resumption && startOfCare && resumption < startOfCare) {
+      error('M0032', 'DATE_SEQUENCE', 'Resumption of care date is before the start of care date');
+    }
+    if (dischargeDate && completed && completed < dischargeDate) {
+      error('M0090', 'DATE_SEQUENCE', 'Assessment completion date is before the discharge/transfer date');
+    }
+    if (birthDate && startOfCare && birthDate > startOfCare) {
+      error('M0066', 'DATE_SEQUENCE', 'Birth date is after the start of care date');
+    }
+
+    if (assessmentType === 'TRANSFER' && formData.M2410 === 'NA') {
+      error('M2410', 'INVALID_RESPONSE', 'A transfer must be to an inpatient facility');
+    }
+
+    // SOC/ROC should set at least one self-care and one mobility discharge goal
+    if (['SOC', 'ROC'].includes(assessmentType)) {
+      [['GG0130', 'self-care'], ['GG0170', 'mobility']].forEach(([prefix, label]) => {
+        const hasGoal = ITEMS.some(item => item.code.startsWith(prefix) && item.code.endsWith('2')
+          && !isBlank(formData[item.code]) && formData[item.code] !== DASH);
+        if (!hasGoal) {
+          warn(prefix, 'MISSING_GOAL', `No ${label} discharge goal has been coded`);
+        }
+      });
+    }
+
+    // Independent in M-items but dependent in the matching GG item
+    if (formData.M1830 === '0' && ['01', '02'].includes(formData.GG0130E1)) {
+      warn('M1830', 'INCONSISTENT_RESPONSE', 'Bathing coded independent but GG0130E1 shows dependence');
+    }
+    if (formData.M1860 === '0' && GG_NOT_ATTEMPTED.includes(formData.GG0170I1)) {
+      warn('M1860', 'INCONSISTENT_RESPONSE', 'Ambulation coded independent but walking 10 feet was not attempted');
+    }
+  }
+
+  // Dictionary entries for clients rendering the form
+  describe(assessmentType) {
+    return this.itemsFor(assessmentType).map(item => ({
+      code: item.code,
+      label: item.label,
+      type: item.type,
+      responses: item.responses,
+      special: item.special,
+      exclusive: item.exclusive,
+      min: item.min,
+      max: item.max,
+      required: !item.optional,
+      dashAllowed: !!item.dashAllowed,
+      skipWhen: item.skipWhen
+    }));
+  }
+}
+
+module.exports = new OasisValidationService();
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const SALT_ROUNDS = 12;
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const readFlag = (value, fallback) => {
+  if (value === undefined) return fallback;
+  return value === 'true' || value === '1';
+};
+
+class PasswordPolicyService {
+  constructor() {
+    this.policy = {
+      minLength: readInt(process.env.PASSWORD_MIN_LENGTH, 12),
+      requireUppercase: readFlag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+      requireLowercase: readFlag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+      requireNumber: readFlag(process.env.PASSWORD_REQUIRE_NUMBER, true),
+      requireSymbol: readFlag(process.env.PASSWORD_REQUIRE_SYMBOL, true),
+      historyCount: readInt(process.env.PASSWORD_HISTORY_COUNT, 5),
+      maxAgeDays: readInt(process.env.PASSWORD_MAX_AGE_DAYS, 90)
+    };
+
+    this.lockout = {
+      threshold: readInt(process.env.LOCKOUT_THRESHOLD, 5),
+      baseMinutes: readInt(process.env.LOCKOUT_BASE_MINUTES, 15),
+      maxMinutes: readInt(process.env.LOCKOUT_MAX_MINUTES, 24 * 60)
+    };
+  }
+
+  // Returns a list of human-readable policy violations (empty when valid)
+  validate(password, { email, firstName, lastName } = {}) {
+    const errors = [];
+    const { policy } = this;
+
+    if (password.length < policy.minLength) {
+      errors.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      errors.push('Password must contain an uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      errors.push('Password must contain a lowercase letter');
+    }
+    if (policy.requireNumber && !/\d/.test(password)) {
+      errors.push('Password must contain a number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+      errors.push('Password must contain a symbol');
+    }
+
+    const lowered = password.toLowerCase();
+    const personal = [email && email.split('@')[0], firstName, lastName]
+      .filter(part => part && part.length >= 3)
+      .map(part => part.toLowerCase());
+    if (personal.some(part => lowered.includes(part))) {
+      errors.push('Password must not contain your name or email');
+    }
+
+    return errors;
+  }
+
+  hashPassword(password) {
+    return bcrypt.hash(password, SALT_ROUNDS);
+  }
+
+  // True when the password matches the current hash or one of the last N
+  async isReused(user, password) {
+    if (user.passwordHash && (await bcrypt.compare(password, user.passwordHash))) {
+      return true;
+    }
+
+    if (this.policy.historyCount <= 0) {
+      return false;
+    }
+
+    const history = await prisma.passwordHistory.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: 'desc' },
+      take: this.policy.historyCount
+    });
+
+    for (const entry of history) {
+      if (await bcrypt.compare(password, entry.passwordHash)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async recordHistory(userId, passwordHash) {
+    await prisma.passwordHistory.create({
+      data: { userId, passwordHash }
+    });
+
+    // Keep only the entries the policy needs
+    const stale = await prisma.passwordHistory.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      skip: Math.max(this.policy.historyCount, 1),
+      select: { id: true }
+    });
+
+    if (stale.length > 0) {
+      await prisma.passwordHistory.deleteMany({
+        where: { id: { in: stale.map(entry => entry.id) } }
+      });
+    }
+  }
+
+  async changePassword(userId, password) {
+    const passwordHash = await this.hashPassword(password);
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        passwordHash,
+        passwordChangedAt: new Date(),
+        failedLoginAttempts: 0,
+        lockedUntil: null
+      }
+    });
+
+    await this.recordHistory(userId, passwordHash);
+  }
+
+  isExpired(user) {
+    if (this.policy.maxAgeDays <= 0) {
+      return false;
+    }
+
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    const maxAgeMs = this.policy.maxAgeDays * 24 * 60 * 60 * 1000;
+    return !!changedAt && Date.now() - new Date(changedAt).getTime() > maxAgeMs;
+  }
+
+  isLocked(user) {
+    return !!user.lockedUntil && new Date(user.lockedUntil) > new Date();
+  }
+
+  // Each successive lockout doubles in length, up to the configured maximum
+  lockoutDurationMinutes(lockoutCount) {
+    return Math.min(this.lockout.baseMinutes * 2 ** lockoutCount, this.lockout.maxMinutes);
+  }
+
+  // Counted in the database so parallel guesses cannot undercount. Only
+  // the request that takes the counter over the threshold locks the account.
+  async registerFailedLogin(user, req) {
+    const { failedLoginAttempts, lockoutCount } = await prisma.user.update({
+      where: { id: user.id },
+      data: { failedLoginAttempts: { increment: 1 } },
+      select: { failedLoginAttempts: true, lockoutCount: true }
+    });
+
+    if (failedLoginAttempts < this.lockout.threshold) {
+      return { locked: false };
+    }
+
+    const minutes = this.lockoutDurationMinutes(lockoutCount || 0);
+    const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+    const { count } = await prisma.user.updateMany({
+      where: { id: user.id, failedLoginAttempts: { gte: this.lockout.threshold } },
+      data: {
+        failedLoginAttempts: 0,
+        lockoutCount: { increment: 1 },
+        lockedUntil
+      }
+    });
+    if (count === 0) {
+      // A parallel failure already locked the account
+      return { locked: true };
+    }
+
+    await auditService.record(req, {
+      userId: user.id,
+      action: 'ACCOUNT_LOCKED',
+      tableName: 'users',
+      recordId: user.id,
+      newValues: { lockedUntil, lockoutCount: (lockoutCount || 0) + 1, minutes }
+    });
+
+    return { locked: true, lockedUntil };
+  }
+
+  async registerSuccessfulLogin(user) {
+    if (user.failedLoginAttempts || user.lockoutCount || user.lockedUntil) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null }
+      });
+    }
+  }
+
+  async unlock(userId) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null }
+    });
+  }
+
+  hashResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Issue a single-use reset token; only its hash is stored
+  async createResetToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // Any earlier outstanding tokens stop working
+    await prisma.passwordResetToken.updateMany({
+      where: { userId, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    await prisma.passwordResetToken.create({
+      data: {
+        userId,
+        tokenHash: this.hashResetToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+      }
+    });
+
+    return token;
+  }
+
+  async findValidResetToken(token) {
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: this.hashResetToken(token) },
+      include: { user: true }
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      return null;
+    }
+    return resetToken;
+  }
+
+  async consumeResetToken(resetTokenId) {
+    const result = await prisma.passwordResetToken.updateMany({
+      where: { id: resetTokenId, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+    return result.count > 0;
+  }
+
+  describe() {
+    return { ...this.policy, resetTokenTtlMinutes: RESET_TOKEN_TTL_MINUTES };
+  }
+}
+
+module.exports = new PasswordPolicyService();
@@ -0,0 +1,324 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const PERIOD_DAYS = 30;
+const CERTIFICATION_DAYS = 60;
+
+// An inpatient discharge this many days before the period starts makes the
+// admission source institutional
+const INSTITUTIONAL_LOOKBACK_DAYS = 14;
+
+// HIPPS position 1: timing and admission source
+const TIMING_SOURCE_CODES = {
+  EARLY_COMMUNITY: '1',
+  EARLY_INSTITUTIONAL: '2',
+  LATE_COMMUNITY: '3',
+  LATE_INSTITUTIONAL: '4'
+};
+
+// HIPPS position 2: clinical group
+const CLINICAL_GROUPS = {
+  A: 'Behavioral Health',
+  B: 'Complex Nursing Interventions',
+  C: 'Musculoskeletal Rehabilitation',
+  D: 'Neuro Rehabilitation',
+  E: 'Wound',
+  F: 'MMTA - Surgical Aftercare',
+  G: 'MMTA - Cardiac and Circulatory',
+  H: 'MMTA - Endocrine',
+  I: 'MMTA - GI/GU',
+  J: 'MMTA - Infectious Disease, Neoplasms, and Blood-Forming Diseases',
+  K: 'MMTA - Respiratory',
+  L: 'MMTA - Other'
+};
+
+// HIPPS position 3: functional impairment level
+const FUNCTIONAL_LEVELS = { LOW: 'A', MEDIUM: 'B', HIGH: 'C' };
+
+// HIPPS position 4: comorbidity adjustment
+const COMORBIDITY_LEVELS = { NONE: '1', LOW: '2', HIGH: '3' };
+
+// OASIS items scored for functional impairment
+const FUNCTIONAL_ITEMS = ['M1800', 'M1810', 'M1820', 'M1830', 'M1840', 'M1850', 'M1860'];
+
+// M1033 responses that count toward the hospitalization-risk points
+const HOSPITALIZATION_RISK_RESPONSES = ['1', '2', '3', '4', '5', '6', '7'];
+const HOSPITALIZATION_RISK_MIN_COUNT = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const normalizeDiagnosis = (code) => (code ? String(code).replace(/\./g, '').trim().toUpperCase() : null);
+
+class PdgmError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PdgmError';
+    this.code = code;
+  }
+}
+
+class PdgmService {
+  // Consecutive 30-day windows covering the 60-day certification period
+  periodWindows(episode) {
+    const windows = [];
+    for (let offset = 0; offset < CERTIFICATION_DAYS; offset += PERIOD_DAYS) {
+      windows.push({
+        periodNumber: windows.length + 1,
+        startDate: addDays(episode.startDate, offset),
+        endDate: addDays(episode.startDate, offset + PERIOD_DAYS - 1)
+      });
+    }
+    return windows;
+  }
+
+  // Rate-year data in effect on a date
+  async loadRateYear(date) {
+    const rateYear = await prisma.pdgmRateYear.findFirst({
+      where: {
+        effectiveFrom: { lte: date },
+        effectiveTo: { gte: date }
+      }
+    });
+
+    if (!rateYear) {
+      throw new PdgmError(`No PDGM rate tables loaded for ${date.toISOString().slice(0, 10)}`, 'RATES_NOT_LOADED');
+    }
+
+    return rateYear;
+  }
+
+  timingSourceCode(timing, admissionSource) {
+    return TIMING_SOURCE_CODES[`${timing}_${admissionSource}`];
+  }
+
+  // Early = first 30-day period of a sequence of adjacent periods
+  timingFor(window, isRecertification) {
+    return window.periodNumber === 1 && !isRecertification ? 'EARLY' : 'LATE';
+  }
+
+  admissionSourceFor(window, inpatientDischargeDate) {
+    if (!inpatientDischargeDate) {
+      return 'COMMUNITY';
+    }
+    const discharge = new Date(inpatientDischargeDate);
+    const lookbackStart = addDays(window.startDate, -INSTITUTIONAL_LOOKBACK_DAYS);
+    return discharge >= lookbackStart && discharge <= window.startDate ? 'INSTITUTIONAL' : 'COMMUNITY';
+  }
+
+  functionalScore(formData, rateYear) {
+    const points = rateYear.functionalPoints || {};
+
+    let score = FUNCTIONAL_ITEMS.reduce((total, itemCode) => {
+      const response = formData[itemCode];
+      const itemPoints = points[itemCode] || {};
+      return total + (response !== undefined && response !== null ? Number(itemPoints[String(response)] || 0) : 0);
+    }, 0);
+
+    const risks = Array.isArray(formData.M1033) ? formData.M1033 : [];
+    const riskCount = risks.filter(response => HOSPITALIZATION_RISK_RESPONSES.includes(String(response))).length;
+    if (riskCount >= HOSPITALIZATION_RISK_MIN_COUNT) {
+      score += Number(points.M1033 || 0);
+    }
+
+    return score;
+  }
+
+  functionalLevel(score, clinicalGroup, rateYear) {
+    const thresholds = (rateYear.functionalThresholds || {})[clinicalGroup];
+    if (!thresholds) {
+      throw new PdgmError(`No functional thresholds loaded for clinical group ${clinicalGroup}`, 'RATES_NOT_LOADED');
+    }
+    if (score >= thresholds.high) return 'HIGH';
+    if (score >= thresholds.medium) return 'MEDIUM';
+    return 'LOW';
+  }
+
+  // High when two secondary diagnoses form a listed interaction, low when
+  // any secondary diagnosis falls in a comorbidity subgroup
+  comorbidityLevel(secondaryGroups, rateYear) {
+    const subgroups = new Set(secondaryGroups.map(group => group.comorbiditySubgroup).filter(Boolean));
+
+    const interactions = rateYear.comorbidityInteractions || [];
+    if (interactions.some(([first, second]) => subgroups.has(first) && subgroups.has(second))) {
+      return 'HIGH';
+    }
+
+    const lowSubgroups = rateYear.lowComorbiditySubgroups || [];
+    if ([...subgroups].some(subgroup => lowSubgroups.includes(subgroup))) {
+      return 'LOW';
+    }
+
+    return 'NONE';
+  }
+
+  async lookupDiagnoses(codes) {
+    const normalized = codes.map(normalizeDiagnosis).filter(Boolean);
+    if (normalized.length === 0) {
+      return new Map();
+    }
+    const rows = await prisma.pdgmDiagnosis.findMany({
+      where: { code: { in: normalized } }
+    });
+    return new Map(rows.map(row => [row.code, row]));
+  }
+
+  // Group one period. `input` carries primaryDiagnosis, secondaryDiagnoses,
+  // formData (OASIS), timing, admissionSource, periodStart and cbsaCode.
+  async group(input) {
+    const rateYear = await this.loadRateYear(input.periodStart);
+
+    const primaryCode = normalizeDiagnosis(input.primaryDiagnosis);
+    if (!primaryCode) {
+      throw new PdgmError('A primary diagnosis is required for grouping', 'PRIMARY_DIAGNOSIS_REQUIRED');
+    }
+
+    const secondaryCodes = (input.secondaryDiagnoses || []).map(normalizeDiagnosis).filter(Boolean);
+    const diagnoses = await this.lookupDiagnoses([primaryCode, ...secondaryCodes]);
+
+    const primary = diagnoses.get(primaryCode);
+    if (!primary || !primary.clinicalGroup) {
+      throw new PdgmError(
+        `Primary diagnosis ${input.primaryDiagnosis} does not group to a PDGM clinical group`,
+        'DIAGNOSIS_NOT_GROUPABLE'
+      );
+    }
+
+    const functionalScore = this.functionalScore(input.formData || {}, rateYear);
+    const functionalLevel = this.functionalLevel(functionalScore, primary.clinicalGroup, rateYear);
+    const comorbidityLevel = this.comorbidityLevel(
+      secondaryCodes.map(code => diagnoses.get(code)).filter(Boolean),
+      rateYear
+    );
+
+    const hippsCode = [
+      this.timingSourceCode(input.timing, input.admissionSource),
+      primary.clinicalGroup,
+      FUNCTIONAL_LEVELS[functionalLevel],
+      COMORBIDITY_LEVELS[comorbidityLevel],
+      '1'
+    ].join('');
+
+    const caseMix = await prisma.pdgmCaseMixWeight.findUnique({
+      where: { year_hippsCode: { year: rateYear.year, hippsCode } }
+    });
+
+    if (!caseMix) {
+      throw new PdgmError(`No case-mix weight loaded for HIPPS ${hippsCode}`, 'RATES_NOT_LOADED');
+    }
+
+    const payment = await this.expectedPayment(rateYear, Number(caseMix.weight), input.cbsaCode);
+
+    return {
+      hippsCode,
+      timing: input.timing,
+      admissionSource: input.admissionSource,
+      clinicalGroup: primary.clinicalGroup,
+      clinicalGroupName: CLINICAL_GROUPS[primary.clinicalGroup],
+      functionalScore,
+      functionalLevel,
+      comorbidityLevel,
+      caseMixWeight: Number(caseMix.weight),
+      lupaThreshold: caseMix.lupaThreshold,
+      rateYear: rateYear.year,
+      ...payment
+    };
+  }
+
+  // Wage-adjusted payment: the labor share is scaled by the CBSA wage index
+  async expectedPayment(rateYear, caseMixWeight, cbsaCode) {
+    let wageIndex = 1;
+
+    if (cbsaCode) {
+      const row = await prisma.wageIndex.findUnique({
+        where: { year_cbsaCode: { year: rateYear.year, cbsaCode } }
+      });
+      if (!row) {
+        throw new PdgmError(`No wage index loaded for CBSA ${cbsaCode}`, 'WAGE_INDEX_NOT_FOUND');
+      }
+      wageIndex = Number(row.wageIndex);
+    }
+
+    const standardRate = Number(rateYear.standardRate);
+    const laborShare = Number(rateYear.laborShare);
+    const adjustedRate = standardRate * (laborShare * wageIndex + (1 - laborShare));
+
+    return {
+      cbsaCode: cbsaCode || null,
+      wageIndex,
+      expectedPayment: Math.round(adjustedRate * caseMixWeight * 100) / 100
+    };
+  }
+
+  // Most recent signed SOC/ROC/RECERT assessment on or before the period
+  // start; drafts are still being edited and never drive payment.
+  // A recertified episode is grouped from the RECERT done at the end of the
+  // previous episode.
+  findGroupingAssessment(episode, periodStart, client = prisma) {
+    return client.oasisAssessment.findFirst({
+      where: {
+        episodeId: { in: [episode.id, episode.previousEpisodeId].filter(Boolean) },
+        assessmentType: { in: ['SOC', 'ROC', 'RECERT'] },
+        isSigned: true,
+        assessmentDate: { lte: addDays(periodStart, 5) }
+      },
+      orderBy: { assessmentDate: 'desc' }
+    });
+  }
+
+  // Group every 30-day period of an episode. Periods that cannot be grouped
+  // carry an error instead of a result. `client` lets a caller group periods
+  // it has changed inside its own transaction.
+  async groupEpisode(episodeId, client = prisma) {
+    const episode = await client.episode.findUnique({
+      where: { id: episodeId },
+      include: {
+        patient: { select: { id: true, cbsaCode: true } },
+        billingPeriods: { orderBy: { periodNumber: 'asc' } }
+      }
+    });
+
+    if (!episode) {
+      throw new PdgmError('Episode not found', 'EPISODE_NOT_FOUND');
+    }
+
+    // Stored billing periods carry their own timing; older episodes
+    // without periods fall back to computed windows
+    const windows = episode.billingPeriods && episode.billingPeriods.length > 0
+      ? episode.billingPeriods
+        .filter(period => period.status !== 'CANCELLED')
+        .map(({ periodNumber, startDate, endDate, timing }) => ({ periodNumber, startDate, endDate, timing }))
+      : this.periodWindows(episode);
+
+    const results = [];
+    for (const window of windows) {
+      const assessment = await this.findGroupingAssessment(episode, window.startDate, client);
+      const formData = (assessment && assessment.formData) || {};
+
+      const input = {
+        periodStart: window.startDate,
+        primaryDiagnosis: episode.primaryDiagnosis || formData.M1021,
+        secondaryDiagnoses: episode.secondaryDiagnoses || [],
+        formData,
+        timing: window.timing || this.timingFor(window, !!episode.isRecertification),
+        admissionSource: episode.admissionSource || this.admissionSourceFor(window, formData.M1005),
+        cbsaCode: episode.patient.cbsaCode
+      };
+
+      try {
+        results.push({ ...window, assessmentId: assessment ? assessment.id : null, ...(await this.group(input)) });
+      } catch (error) {
+        if (!(error instanceof PdgmError)) throw error;
+        results.push({ ...window, assessmentId: assessment ? assessment.id : null, error: { code: error.code, message: error.message } });
+      }
+    }
+
+    return { episode, periods: results };
+  }
+}
+
+module.exports = new PdgmService();
+module.exports.PdgmError = PdgmError;
+module.exports.CLINICAL_GROUPS = CLINICAL_GROUPS;
@@ -0,0 +1,168 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Permission registry. Routes check these names instead of role lists.
+const PERMISSIONS = {
+  'patient:create': 'Create patients',
+  'patient:update': 'Update patient demographics',
+  'patient:delete': 'Delete patients',
+  'episode:create': 'Create episodes',
+  'episode:update': 'Update episodes',
+  'episode:discharge': 'Discharge episodes',
+  'episode:recertify': 'Recertify episodes for a follow-on certification period',
+  'visit:create': 'Document visit notes',
+  'visit:sign': 'Sign visit notes',
+  'oasis:create': 'Start and edit OASIS assessments',
+  'oasis:sign': 'Sign OASIS assessments',
+  'oasis:export': 'Generate OASIS submission files',
+  'careplan:create': 'Create and edit draft plans of care',
+  'careplan:send': 'Send plans of care to physicians and record their return',
+  'order:create': 'Write physician orders',
+  'order:update': 'Track physician orders through signature',
+  'schedule:create': 'Create schedules',
+  'schedule:update': 'Update schedule status',
+  'availability:manage': 'Manage clinician working hours and time off',
+  'evv:manage': 'Correct EVV visit times and resolve EVV exceptions',
+  'evv:export': 'Generate EVV aggregator export files',
+  'claim:create': 'Create claims',
+  'claim:update': 'Edit claims',
+  'claim:submit': 'Submit claims to payers',
+  'claim:delete': 'Delete claims',
+  'qa:read': 'View QA reviews',
+  'qa:review': 'Create and update QA reviews',
+  'qa:delete': 'Delete QA reviews',
+  'referral:create': 'Create referrals',
+  'referral:update': 'Update referrals',
+  'referral:delete': 'Delete referrals',
+  'document:upload': 'Upload documents',
+  'document:update': 'Update documents',
+  'document:delete': 'Delete documents',
+  'physician:create': 'Add physicians',
+  'physician:update': 'Update physicians',
+  'physician:delete': 'Remove physicians',
+  'report:productivity': 'View productivity reports',
+  'report:frequency': 'View weekly visit frequency exception reports',
+  'report:lupa': 'View LUPA risk for active billing periods',
+  'registration:approve': 'Approve or reject registration requests',
+  'user:manage': 'Manage user accounts, sessions and security',
+  'role:manage': 'Create roles and assign them to users',
+  'audit:read': 'View the audit trail and disclosure reports'
+};
+
+// Default bundles for the built-in roles. Seeded into the roles table, where
+// admins can adjust them; these are the fallback if a role is not seeded.
+const SYSTEM_ROLES = {
+  ADMIN: {
+    description: 'Full system access',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  INTAKE_STAFF: {
+    description: 'Intake and referral management',
+    permissions: [
+      'patient:create', 'patient:update',
+      'episode:create', 'episode:update',
+      'careplan:send',
+      'order:update',
+      'schedule:create', 'availability:manage', 'evv:manage',
+      'report:frequency', 'report:lupa',
+      'referral:create', 'referral:update', 'referral:delete',
+      'document:upload', 'document:update', 'document:delete',
+      'physician:create', 'physician:update'
+    ]
+  },
+  CLINICIAN: {
+    description: 'Field clinician',
+    permissions: [
+      'episode:create', 'episode:update', 'episode:discharge', 'episode:recertify',
+      'visit:create', 'visit:sign',
+      'oasis:create', 'oasis:sign',
+      'careplan:create', 'careplan:send',
+      'order:create', 'order:update',
+      'schedule:create', 'schedule:update',
+      'document:upload', 'document:update', 'document:delete'
+    ]
+  },
+  QA_REVIEWER: {
+    description: 'Quality assurance review',
+    permissions: ['qa:read', 'qa:review', 'qa:delete', 'report:productivity', 'report:frequency', 'report:lupa', 'oasis:export']
+  },
+  BILLER: {
+    description: 'Billing and claims',
+    permissions: ['claim:create', 'claim:update', 'claim:submit', 'claim:delete', 'evv:export', 'report:lupa']
+  }
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+
+class PermissionService {
+  constructor() {
+    this.roleCache = null;
+    this.roleCacheExpires = 0;
+  }
+
+  isKnownPermission(permission) {
+    return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+  }
+
+  listPermissions() {
+    return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+  }
+
+  invalidate() {
+    this.roleCache = null;
+  }
+
+  // Role definitions keyed by id and by name, cached briefly
+  async loadRoles() {
+    if (this.roleCache && this.roleCacheExpires > Date.now()) {
+      return this.roleCache;
+    }
+
+    const roles = await prisma.role.findMany();
+    const byId = new Map();
+    const byName = new Map();
+    roles.forEach(role => {
+      byId.set(role.id, role);
+      byName.set(role.name, role);
+    });
+
+    this.roleCache = { byId, byName };
+    this.roleCacheExpires = Date.now() + CACHE_TTL_MS;
+    return this.roleCache;
+  }
+
+  async getPermissionsForUser(user) {
+    const { byId, byName } = await this.loadRoles();
+    const permissions = new Set();
+
+    // ADMIN always keeps every permission so the system cannot be locked out
+    if (user.role === 'ADMIN') {
+      return new Set(Object.keys(PERMISSIONS));
+    }
+
+    const baseRole = byName.get(user.role);
+    const basePermissions = baseRole
+      ? baseRole.permissions
+      : (SYSTEM_ROLES[user.role] || { permissions: [] }).permissions;
+    basePermissions.forEach(permission => permissions.add(permission));
+
+    const assignments = await prisma.userRoleAssignment.findMany({
+      where: { userId: user.id },
+      select: { roleId: true }
+    });
+
+    assignments.forEach(({ roleId }) => {
+      const role = byId.get(roleId);
+      if (role) {
+        role.permissions.forEach(permission => permissions.add(permission));
+      }
+    });
+
+    return permissions;
+  }
+}
+
+module.exports = new PermissionService();
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.SYSTEM_ROLES = SYSTEM_ROLES;
@@ -0,0 +1,275 @@
+const { PrismaClient } = require('@prisma/client');
+const scheduleStatusService = require('./scheduleStatusService');
+
+const prisma = new PrismaClient();
+
+const ORDER_TYPES = ['PLAN_OF_CARE', 'VERBAL', 'INTERIM'];
+
+// DRAFT -> SENT -> SIGNED (by the physician) -> RECEIVED (back at the agency).
+// Verbal orders start QUEUED: already in effect, written copy not yet sent.
+const TRANSITIONS = {
+  DRAFT: ['SENT', 'CANCELLED'],
+  QUEUED: ['SENT', 'CANCELLED'],
+  SENT: ['SIGNED', 'CANCELLED'],
+  SIGNED: ['RECEIVED'],
+  RECEIVED: [],
+  CANCELLED: []
+};
+
+// Orders still waiting on the physician
+const OUTSTANDING_STATUSES = ['DRAFT', 'QUEUED', 'SENT'];
+
+// Days the physician has to sign the written copy of a verbal order
+const VERBAL_ORDER_SIGNATURE_DAYS = parseInt(process.env.VERBAL_ORDER_SIGNATURE_DAYS) || 14;
+
+// Visit frequency as written on orders: 3W2, or 3W2, 2W3 for a taper
+const FREQUENCY_PATTERN = /^\d+W\d+(\s*,\s*\d+W\d+)*$/i;
+
+// Date column stamped when an order enters a status
+const STATUS_DATES = {
+  SENT: 'sentAt',
+  SIGNED: 'signedAt',
+  RECEIVED: 'receivedAt',
+  CANCELLED: 'cancelledAt'
+};
+
+// Aging buckets by days since the order was sent (or written, if unsent)
+const AGING_BUCKETS = [
+  { label: '0-15', max: 15 },
+  { label: '16-30', max: 30 },
+  { label: '30+', max: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PhysicianOrderError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'PhysicianOrderError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class PhysicianOrderService {
+  assertTransition(order, to) {
+    if (!(TRANSITIONS[order.status] || []).includes(to)) {
+      throw new PhysicianOrderError(
+        `Order cannot move from ${order.status} to ${to}`,
+        'ILLEGAL_TRANSITION',
+        409
+      );
+    }
+  }
+
+  // Orders may only be addressed to a physician on file who is still active
+  async loadActivePhysician(physicianId) {
+    const physician = await prisma.physician.findUnique({ where: { id: physicianId } });
+    if (!physician) {
+      throw new PhysicianOrderError('Physician not found', 'PHYSICIAN_NOT_FOUND', 404);
+    }
+    if (!physician.isActive) {
+      throw new PhysicianOrderError('Physician is inactive', 'PHYSICIAN_INACTIVE', 422);
+    }
+    return physician;
+  }
+
+  // Move an order to a new status, stamping the matching date. `client`
+  // lets callers run this inside their own transaction.
+  async transition(order, to, { date, userId, reason } = {}, client = prisma) {
+    this.assertTransition(order, to);
+
+    const at = date || new Date();
+    if (to === 'SIGNED' && order.sentAt && at < new Date(new Date(order.sentAt).setHours(0, 0, 0, 0))) {
+      throw new PhysicianOrderError('Signature date is before the order was sent', 'INVALID_SIGNATURE_DATE');
+    }
+
+    const data = { status: to, [STATUS_DATES[to]]: at };
+    if (to === 'RECEIVED') data.receivedBy = userId;
+    if (to === 'CANCELLED') data.cancelReason = reason || null;
+
+    return client.physicianOrder.update({
+      where: { id: order.id },
+      data
+    });
+  }
+
+  // New discipline list and per-discipline frequencies after a set of
+  // changes. A change without a frequency discontinues the discipline.
+  applyDisciplineChanges(episode, changes) {
+    const disciplines = new Set(episode.disciplines || []);
+    const frequencies = { ...(episode.disciplineFrequencies || {}) };
+
+    changes.forEach(({ discipline, frequency }) => {
+      if (frequency) {
+        disciplines.add(discipline);
+        frequencies[discipline] = frequency.toUpperCase().replace(/\s*,\s*/g, ', ');
+      } else {
+        disciplines.delete(discipline);
+        delete frequencies[discipline];
+      }
+    });
+
+    return { disciplines: [...disciplines], disciplineFrequencies: frequencies };
+  }
+
+  // Record an order taken by phone. The new frequencies apply to the episode
+  // straight away, visits for discontinued disciplines are cancelled from
+  // the effective date, and the written copy is queued for signature.
+  async recordVerbalOrder(input, userId) {
+    const episode = await prisma.episode.findUnique({ where: { id: input.episodeId } });
+    if (!episode) {
+      throw new PhysicianOrderError('Episode not found', 'EPISODE_NOT_FOUND', 404);
+    }
+    if (episode.patientId !== input.patientId) {
+      throw new PhysicianOrderError('Episode does not belong to the patient', 'EPISODE_PATIENT_MISMATCH');
+    }
+    if (episode.status !== 'ACTIVE') {
+      throw new PhysicianOrderError('Verbal orders can only change active episodes', 'EPISODE_NOT_ACTIVE', 409);
+    }
+
+    const physician = await this.loadActivePhysician(input.physicianId);
+
+    const receivedAt = input.receivedAt || new Date();
+    const effectiveDate = input.effectiveDate || receivedAt;
+    const dueDate = input.dueDate || new Date(receivedAt.getTime() + VERBAL_ORDER_SIGNATURE_DAYS * DAY_MS);
+    const changes = input.disciplineChanges || [];
+    const discontinued = changes.filter(change => !change.frequency).map(change => change.discipline);
+
+    return prisma.$transaction(async (tx) => {
+      let updatedEpisode = episode;
+      let cancelledSchedules = 0;
+
+      if (changes.length > 0) {
+        updatedEpisode = await tx.episode.update({
+          where: { id: episode.id },
+          data: this.applyDisciplineChanges(episode, changes)
+        });
+      }
+
+      if (discontinued.length > 0) {
+        cancelledSchedules = await scheduleStatusService.cancelWhere(tx, {
+          episodeId: episode.id,
+          discipline: { in: discontinued },
+          visitDate: { gte: effectiveDate }
+        }, { reason: 'PHYSICIAN_ORDER', notes: 'Discipline discontinued by verbal order', userId });
+      }
+
+      const order = await tx.physicianOrder.create({
+        data: {
+          orderNumber: await this.nextOrderNumber(tx),
+          orderType: 'VERBAL',
+          status: 'QUEUED',
+          patientId: episode.patientId,
+          episodeId: episode.id,
+          physicianId: physician.id,
+          orderText: input.orderText,
+          disciplineChanges: changes,
+          orderDate: receivedAt,
+          effectiveDate,
+          dueDate,
+          readBackAttestedAt: new Date(),
+          readBackStatement: input.readBack.statement,
+          createdBy: userId
+        }
+      });
+
+      return { order, episode: updatedEpisode, cancelledSchedules };
+    });
+  }
+
+  ageInDays(order, now = new Date()) {
+    const from = new Date(order.sentAt || order.orderDate);
+    return Math.max(0, Math.floor((now.getTime() - from.getTime()) / DAY_MS));
+  }
+
+  bucketFor(ageDays) {
+    return AGING_BUCKETS.find(bucket => ageDays <= bucket.max).label;
+  }
+
+  emptyBuckets() {
+    return Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.label, 0]));
+  }
+
+  findOutstanding(where = {}) {
+    return prisma.physicianOrder.findMany({
+      where: { ...where, status: { in: OUTSTANDING_STATUSES } },
+      include: {
+        patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
+        episode: { select: { id: true, episodeNumber: true } },
+        physician: { select: { id: true, firstName: true, lastName: true, npi: true, phone: true } }
+      },
+      orderBy: [{ sentAt: 'asc' }, { orderDate: 'asc' }]
+    });
+  }
+
+  // Unsigned orders with their age, oldest first, and bucket counts
+  async aging(where = {}, now = new Date()) {
+    const orders = await this.findOutstanding(where);
+    const buckets = this.emptyBuckets();
+
+    const aged = orders.map(order => {
+      const ageDays = this.ageInDays(order, now);
+      const bucket = this.bucketFor(ageDays);
+      buckets[bucket]++;
+      return { ...order, ageDays, bucket };
+    }).sort((a, b) => b.ageDays - a.ageDays);
+
+    return { total: aged.length, buckets, orders: aged };
+  }
+
+  // Outstanding orders per physician, most overdue first
+  async physicianSummary(where = {}, now = new Date()) {
+    const { orders } = await this.aging(where, now);
+    const byPhysician = new Map();
+
+    orders.forEach(order => {
+      if (!byPhysician.has(order.physicianId)) {
+        byPhysician.set(order.physicianId, {
+          physician: order.physician,
+          outstanding: 0,
+          oldestAgeDays: 0,
+          buckets: this.emptyBuckets(),
+          byType: Object.fromEntries(ORDER_TYPES.map(type => [type, 0])),
+          orders: []
+        });
+      }
+      const summary = byPhysician.get(order.physicianId);
+      summary.outstanding++;
+      summary.oldestAgeDays = Math.max(summary.oldestAgeDays, order.ageDays);
+      summary.buckets[order.bucket]++;
+      summary.byType[order.orderType]++;
+      summary.orders.push({
+        id: order.id,
+        orderNumber: order.orderNumber,
+        orderType: order.orderType,
+        status: order.status,
+        patient: order.patient,
+        episode: order.episode,
+        sentAt: order.sentAt,
+        dueDate: order.dueDate,
+        ageDays: order.ageDays
+      });
+    });
+
+    return [...byPhysician.values()]
+      .sort((a, b) => b.oldestAgeDays - a.oldestAgeDays || b.outstanding - a.outstanding);
+  }
+
+  // ORD202600001
+  async nextOrderNumber(client = prisma) {
+    const prefix = `ORD${new Date().getFullYear()}`;
+    const last = await client.physicianOrder.findFirst({
+      where: { orderNumber: { startsWith: prefix } },
+      orderBy: { orderNumber: 'desc' }
+    });
+    const next = last ? parseInt(last.orderNumber.replace(prefix, '')) + 1 : 1;
+    return `${prefix}${next.toString().padStart(5, '0')}`;
+  }
+}
+
+module.exports = new PhysicianOrderService();
+module.exports.PhysicianOrderError = PhysicianOrderError;
+module.exports.ORDER_TYPES = ORDER_TYPES;
+module.exports.OUTSTANDING_STATUSES = OUTSTANDING_STATUSES;
+module.exports.FREQUENCY_PATTERN = FREQUENCY_PATTERN;
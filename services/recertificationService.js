@@ -0,0 +1,219 @@
+const { PrismaClient } = require('@prisma/client');
+const billingPeriodService = require('./billingPeriodService');
+const episodeLifecycleService = require('./episodeLifecycleService');
+
+const prisma = new PrismaClient();
+
+const CERTIFICATION_DAYS = 60;
+
+// The recertification OASIS must be completed in the last 5 days of the
+// certification period (days 56-60)
+const RECERT_WINDOW_DAYS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+class RecertificationError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'RecertificationError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class RecertificationService {
+  // Last day of the 60-day certification period
+  certificationEnd(episode) {
+    return addDays(episode.startDate, CERTIFICATION_DAYS - 1);
+  }
+
+  recertWindow(episode) {
+    const end = this.certificationEnd(episode);
+    return { start: addDays(end, -(RECERT_WINDOW_DAYS - 1)), end };
+  }
+
+  // Signed RECERT assessment dated inside the window, if any
+  findRecertAssessment(episode) {
+    const window = this.recertWindow(episode);
+    return prisma.oasisAssessment.findFirst({
+      where: {
+        episodeId: episode.id,
+        assessmentType: 'RECERT',
+        isSigned: true,
+        assessmentDate: { gte: window.start, lt: addDays(window.end, 1) }
+      },
+      orderBy: { assessmentDate: 'desc' }
+    });
+  }
+
+  // EP1001 -> EP1001-R1 -> EP1001-R2
+  async nextEpisodeNumber(episode) {
+    const match = episode.episodeNumber.match(/^(.*)-R(\d+)$/);
+    const base = match ? match[1] : episode.episodeNumber;
+    let sequence = match ? parseInt(match[2]) + 1 : 1;
+
+    // Skip numbers taken by manually created episodes
+    while (await prisma.episode.findUnique({ where: { episodeNumber: `${base}-R${sequence}` } })) {
+      sequence++;
+    }
+
+    return `${base}-R${sequence}`;
+  }
+
+  // Create the follow-on certification period. The current episode closes
+  // as RECERTIFIED on its last day; the new one starts the day after.
+  async recertify(episodeId, userId, options = {}) {
+    const episode = await prisma.episode.findUnique({
+      where: { id: episodeId },
+      include: { nextEpisode: { select: { id: true, episodeNumber: true } } }
+    });
+
+    if (!episode) {
+      throw new RecertificationError('Episode not found', 'EPISODE_NOT_FOUND', 404);
+    }
+    if (episode.nextEpisode) {
+      throw new RecertificationError(
+        `Episode was already recertified as ${episode.nextEpisode.episodeNumber}`,
+        'ALREADY_RECERTIFIED',
+        409
+      );
+    }
+    if (episode.status !== 'ACTIVE') {
+      throw new RecertificationError('Only active episodes can be recertified', 'EPISODE_NOT_ACTIVE', 409);
+    }
+
+    const window = this.recertWindow(episode);
+    const assessment = await this.findRecertAssessment(episode);
+    if (!assessment) {
+      const error = new RecertificationError(
+        `A signed RECERT OASIS dated ${window.start.toISOString().slice(0, 10)} to ${window.end.toISOString().slice(0, 10)} is required`,
+        'RECERT_OASIS_REQUIRED',
+        422
+      );
+      error.window = window;
+      throw error;
+    }
+
+    const episodeNumber = options.episodeNumber || await this.nextEpisodeNumber(episode);
+    if (options.episodeNumber && await prisma.episode.findUnique({ where: { episodeNumber } })) {
+      throw new RecertificationError('Episode number already exists', 'EPISODE_NUMBER_EXISTS', 409);
+    }
+
+    const certificationEnd = this.certificationEnd(episode);
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Conditional on the episode still being active with no follow-on, so
+      // a concurrent recertification cannot create a second period
+      const { count } = await tx.episode.updateMany({
+        where: { id: episode.id, status: 'ACTIVE', nextEpisode: { is: null } },
+        data: { status: 'RECERTIFIED', endDate: certificationEnd }
+      });
+      if (count === 0) {
+        throw new RecertificationError('Episode was already recertified', 'ALREADY_RECERTIFIED', 409);
+      }
+      const closed = await tx.episode.findUnique({ where: { id: episode.id } });
+
+      const created = await tx.episode.create({
+        data: {
+          patientId: episode.patientId,
+          episodeNumber,
+          startDate: addDays(certificationEnd, 1),
+          status: 'ACTIVE',
+          disciplines: episode.disciplines,
+          frequencyPerWeek: episode.frequencyPerWeek,
+          disciplineFrequencies: episode.disciplineFrequencies,
+          visitDurationMinutes: episode.visitDurationMinutes,
+          careGoals: options.careGoals || episode.careGoals,
+          diagnoses: episode.diagnoses,
+          primaryDiagnosis: episode.primaryDiagnosis,
+          secondaryDiagnoses: episode.secondaryDiagnoses,
+          isRecertification: true,
+          previousEpisodeId: episode.id,
+          recertAssessmentId: assessment.id,
+          createdBy: userId
+        }
+      });
+
+      created.billingPeriods = await billingPeriodService.generateForEpisode(created, tx);
+
+      await episodeLifecycleService.recordTransition(tx, episode, 'RECERTIFIED', {
+        event: 'RECERTIFICATION',
+        occurredAt: certificationEnd,
+        assessmentId: assessment.id,
+        notes: `Continued as ${episodeNumber}`,
+        createdBy: userId
+      });
+
+      return { previous: closed, episode: created };
+    });
+
+    // The RECERT assessment groups the new periods. The recertification has
+    // committed, so a grouping failure is logged rather than reported as a
+    // failed recertification; the next sync groups the periods.
+    try {
+      await billingPeriodService.syncGrouping(result.episode.id);
+    } catch (groupingError) {
+      console.error('PDGM grouping after recertification error:', groupingError);
+    }
+
+    return { ...result, previousEpisode: episode, assessment };
+  }
+
+  // Active episodes whose certification ends within `days`, plus overdue
+  // ones that were neither recertified nor discharged
+  async worklist(days = 14, patientFilter = {}, now = new Date()) {
+    const episodes = await prisma.episode.findMany({
+      where: {
+        patient: patientFilter,
+        status: 'ACTIVE',
+        nextEpisode: { is: null },
+        startDate: { lte: addDays(now, days - (CERTIFICATION_DAYS - 1)) }
+      },
+      include: {
+        patient: { select: { id: true, patientId: true, firstName: true, lastName: true } },
+        oasisAssessments: {
+          where: { assessmentType: 'RECERT' },
+          select: { id: true, assessmentDate: true, isSigned: true, completionPercentage: true },
+          orderBy: { assessmentDate: 'desc' },
+          take: 1
+        }
+      },
+      orderBy: { startDate: 'asc' }
+    });
+
+    return episodes.map(episode => {
+      const window = this.recertWindow(episode);
+      const dueInDays = Math.ceil((addDays(window.end, 1).getTime() - now.getTime()) / DAY_MS) - 1;
+      const [assessment] = episode.oasisAssessments;
+
+      let status;
+      if (dueInDays < 0) status = 'OVERDUE';
+      else if (now >= window.start) status = 'WINDOW_OPEN';
+      else status = 'UPCOMING';
+
+      let assessmentStatus = 'NOT_STARTED';
+      if (assessment && assessment.assessmentDate >= window.start) {
+        assessmentStatus = assessment.isSigned ? 'SIGNED' : 'IN_PROGRESS';
+      }
+
+      return {
+        episodeId: episode.id,
+        episodeNumber: episode.episodeNumber,
+        patient: episode.patient,
+        startDate: episode.startDate,
+        certificationEnd: window.end,
+        windowStart: window.start,
+        dueInDays,
+        status,
+        assessmentStatus,
+        assessment: assessment || null,
+        readyToRecertify: assessmentStatus === 'SIGNED'
+      };
+    });
+  }
+}
+
+module.exports = new RecertificationService();
+module.exports.RecertificationError = RecertificationError;
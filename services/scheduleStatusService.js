@@ -0,0 +1,242 @@
+const { PrismaClient } = require('@prisma/client');
+const { startOfDay, addDays } = require('./agencyClock');
+
+const prisma = new PrismaClient();
+
+// Legal schedule status transitions
+const TRANSITIONS = {
+  SCHEDULED: ['CONFIRMED', 'IN_PROGRESS', 'COMPLETED', 'MISSED', 'CANCELLED', 'RESCHEDULED'],
+  CONFIRMED: ['IN_PROGRESS', 'COMPLETED', 'MISSED', 'CANCELLED', 'RESCHEDULED'],
+  IN_PROGRESS: ['COMPLETED', 'MISSED'],
+  COMPLETED: [],
+  MISSED: [],
+  CANCELLED: [],
+  RESCHEDULED: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Upcoming visits that still hold their time slot
+const OPEN_STATUSES = ['SCHEDULED', 'CONFIRMED'];
+
+// Visits that no longer hold a time slot
+const RELEASED_STATUSES = ['MISSED', 'CANCELLED', 'RESCHEDULED'];
+
+// Transitions that need their own endpoint rather than a plain status change
+const WORKFLOW_STATUSES = ['MISSED', 'RESCHEDULED'];
+
+const CANCEL_REASONS = [
+  'PATIENT_REQUEST',
+  'PATIENT_HOSPITALIZED',
+  'PHYSICIAN_ORDER',
+  'STAFF_UNAVAILABLE',
+  'EPISODE_ENDED',
+  'FREQUENCY_CHANGED',
+  'DUPLICATE',
+  'OTHER'
+];
+
+class ScheduleStatusError extends Error {
+  constructor(message, code, status = 409) {
+    super(message);
+    this.name = 'ScheduleStatusError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class ScheduleStatusService {
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  assertTransition(schedule, to) {
+    if (!this.canTransition(schedule.status, to)) {
+      throw new ScheduleStatusError(
+        `Schedule cannot move from ${schedule.status} to ${to}`,
+        'ILLEGAL_TRANSITION'
+      );
+    }
+  }
+
+  recordTransition(client, schedule, toStatus, details = {}) {
+    return client.scheduleStatusHistory.create({
+      data: {
+        scheduleId: schedule.id,
+        fromStatus: schedule.status,
+        toStatus,
+        ...details
+      }
+    });
+  }
+
+  // Visit note documenting the schedule: one passed in, or an unlinked
+  // note for the same patient, discipline and day
+  async findVisitNote(client, schedule, visitNoteId) {
+    const day = startOfDay(schedule.visitDate);
+    const next = addDays(day, 1);
+
+    const note = await client.visitNote.findFirst({
+      where: {
+        ...(visitNoteId && { id: visitNoteId }),
+        patientId: schedule.patientId,
+        discipline: schedule.discipline,
+        visitDate: { gte: day, lt: next },
+        schedule: { is: null }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (visitNoteId && !note) {
+      throw new ScheduleStatusError(
+        'Visit note does not match this schedule or is already linked',
+        'VISIT_NOTE_MISMATCH',
+        422
+      );
+    }
+    return note;
+  }
+
+  // Plain status changes (confirm, start, complete, cancel). Completing
+  // links the visit note that fulfils the schedule when there is one.
+  // Runs on the caller's client when one is given.
+  async transition(schedule, to, { reason, notes, visitNoteId, userId } = {}, client) {
+    if (WORKFLOW_STATUSES.includes(to)) {
+      throw new ScheduleStatusError(
+        `Moving a schedule to ${to} requires the ${to === 'MISSED' ? 'missed-visit' : 'reschedule'} workflow`,
+        'TRANSITION_REQUIRES_WORKFLOW'
+      );
+    }
+    this.assertTransition(schedule, to);
+
+    const run = async (tx) => {
+      const data = { status: to };
+      if (to === 'CANCELLED') {
+        data.cancelReason = reason;
+        data.isOnHold = false;
+      }
+
+      let visitNote = null;
+      if (to === 'COMPLETED') {
+        visitNote = await this.findVisitNote(tx, schedule, visitNoteId);
+        if (visitNote) data.visitNoteId = visitNote.id;
+      }
+
+      const updated = await tx.schedule.update({ where: { id: schedule.id }, data });
+      await this.recordTransition(tx, schedule, to, { reason: reason || null, notes: notes || null, createdBy: userId });
+
+      return { schedule: updated, visitNote };
+    };
+
+    return client ? run(client) : prisma.$transaction(run);
+  }
+
+  // A new visit for a later slot; the old one becomes RESCHEDULED and the
+  // two are linked both ways
+  async reschedule(schedule, changes, { reason, notes, userId, billingPeriodId }) {
+    this.assertTransition(schedule, 'RESCHEDULED');
+
+    return prisma.$transaction(async (tx) => {
+      const created = await tx.schedule.create({
+        data: {
+          patientId: schedule.patientId,
+          episodeId: schedule.episodeId,
+          staffId: changes.staffId || schedule.staffId,
+          discipline: schedule.discipline,
+          visitType: schedule.visitType,
+          notes: schedule.notes,
+          visitDate: changes.visitDate,
+          startTime: changes.startTime,
+          endTime: changes.endTime,
+          billingPeriodId,
+          status: 'SCHEDULED',
+          rescheduledFromId: schedule.id
+        }
+      });
+
+      const previous = await tx.schedule.update({
+        where: { id: schedule.id },
+        data: { status: 'RESCHEDULED', rescheduledToId: created.id, isOnHold: false }
+      });
+
+      await this.recordTransition(tx, schedule, 'RESCHEDULED', { reason, notes: notes || null, createdBy: userId });
+      await this.recordTransition(tx, { id: created.id, status: null }, 'SCHEDULED', {
+        reason,
+        notes: `Rescheduled from ${schedule.visitDate.toISOString().slice(0, 10)}`,
+        createdBy: userId
+      });
+
+      return { previous, schedule: created };
+    });
+  }
+
+  // Bulk cancellation (discharge, discontinued discipline, regeneration)
+  // that keeps the per-schedule history. Runs on the caller's client.
+  async cancelWhere(client, where, { reason, notes, userId }) {
+    const schedules = await client.schedule.findMany({
+      where: { ...where, status: { in: OPEN_STATUSES } },
+      select: { id: true, status: true }
+    });
+    if (schedules.length === 0) {
+      return 0;
+    }
+
+    await client.schedule.updateMany({
+      where: { id: { in: schedules.map(schedule => schedule.id) } },
+      data: { status: 'CANCELLED', cancelReason: reason, isOnHold: false }
+    });
+    await client.scheduleStatusHistory.createMany({
+      data: schedules.map(schedule => ({
+        scheduleId: schedule.id,
+        fromStatus: schedule.status,
+        toStatus: 'CANCELLED',
+        reason,
+        notes: notes || null,
+        createdBy: userId
+      }))
+    });
+
+    return schedules.length;
+  }
+
+  // Called when a visit note is written after the schedule was completed
+  async linkCompletedSchedule(visitNote) {
+    const day = startOfDay(visitNote.visitDate);
+    const next = addDays(day, 1);
+
+    const schedule = await prisma.schedule.findFirst({
+      where: {
+        patientId: visitNote.patientId,
+        discipline: visitNote.discipline,
+        status: 'COMPLETED',
+        visitNoteId: null,
+        visitDate: { gte: day, lt: next }
+      }
+    });
+    if (!schedule) {
+      return null;
+    }
+
+    return prisma.schedule.update({
+      where: { id: schedule.id },
+      data: { visitNoteId: visitNote.id }
+    });
+  }
+
+  history(scheduleId) {
+    return prisma.scheduleStatusHistory.findMany({
+      where: { scheduleId },
+      include: {
+        creator: { select: { id: true, firstName: true, lastName: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+}
+
+module.exports = new ScheduleStatusService();
+module.exports.ScheduleStatusError = ScheduleStatusError;
+module.exports.STATUSES = STATUSES;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
+module.exports.RELEASED_STATUSES = RELEASED_STATUSES;
+module.exports.CANCEL_REASONS = CANCEL_REASONS;
@@ -0,0 +1,198 @@
+const { PrismaClient } = require('@prisma/client');
+const { RELEASED_STATUSES } = require('./scheduleStatusService');
+const { startOfDay, addDays, parseClock, minutesOfDay, weekdayOf, formatTime } = require('./agencyClock');
+
+const prisma = new PrismaClient();
+
+// Conflicts block the visit instead of coming back as warnings
+const STRICT_MODE = process.env.SCHEDULING_STRICT_MODE === 'true';
+
+const CERTIFICATION_DAYS = 60;
+
+// Keys of availability.workingHours
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const TIME_OFF_TYPES = ['PTO', 'SICK', 'TRAINING', 'OTHER'];
+
+class SchedulingError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'SchedulingError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class SchedulingService {
+  isStrict(requested) {
+    return STRICT_MODE || requested === true;
+  }
+
+  // Visits of the staff member or patient that overlap the time slot
+  findOverlapping(where, visit, excluded) {
+    return prisma.schedule.findMany({
+      where: {
+        ...where,
+        ...(excluded.length > 0 && { id: { notIn: excluded } }),
+        status: { notIn: RELEASED_STATUSES },
+        isOnHold: false,
+        startTime: { lt: visit.endTime },
+        endTime: { gt: visit.startTime }
+      },
+      select: { id: true, patientId: true, staffId: true, discipline: true, startTime: true, endTime: true }
+    });
+  }
+
+  // Every problem with placing `visit` (patientId, episodeId, staffId,
+  // visitDate, startTime, endTime, discipline), as structured conflicts.
+  // Excluded schedules (the one being moved, or visits about to be
+  // replaced) do not count.
+  async findConflicts(visit, { excludeScheduleId, excludeScheduleIds = [] } = {}) {
+    const excluded = [...excludeScheduleIds, ...(excludeScheduleId ? [excludeScheduleId] : [])];
+    const staff = await prisma.user.findUnique({
+      where: { id: visit.staffId },
+      include: { staffProfile: true, availability: true }
+    });
+    if (!staff || !staff.isActive) {
+      throw new SchedulingError('Staff member not found or inactive', 'STAFF_NOT_FOUND', 404);
+    }
+
+    const conflicts = [];
+    const staffName = `${staff.firstName} ${staff.lastName}`;
+
+    const [staffVisits, patientVisits] = await Promise.all([
+      this.findOverlapping({ staffId: visit.staffId }, visit, excluded),
+      this.findOverlapping({ patientId: visit.patientId }, visit, excluded)
+    ]);
+
+    staffVisits.forEach(other => conflicts.push({
+      type: 'STAFF_DOUBLE_BOOKED',
+      message: `${staffName} already has a visit from ${formatTime(other.startTime)} to ${formatTime(other.endTime)}`,
+      scheduleId: other.id
+    }));
+
+    patientVisits
+      .filter(other => other.staffId !== visit.staffId)
+      .forEach(other => conflicts.push({
+        type: 'PATIENT_OVERLAP',
+        message: `Patient already has a ${other.discipline} visit from ${formatTime(other.startTime)} to ${formatTime(other.endTime)}`,
+        scheduleId: other.id
+      }));
+
+    if (visit.episodeId) {
+      const episode = await prisma.episode.findUnique({ where: { id: visit.episodeId } });
+      if (!episode || episode.patientId !== visit.patientId) {
+        throw new SchedulingError('Episode does not belong to the patient', 'EPISODE_PATIENT_MISMATCH');
+      }
+
+      const episodeEnd = episode.endDate
+        || addDays(startOfDay(episode.startDate), CERTIFICATION_DAYS - 1);
+      const visitDay = startOfDay(visit.visitDate);
+      if (visitDay < startOfDay(episode.startDate) || visitDay > startOfDay(episodeEnd)) {
+        conflicts.push({
+          type: 'OUTSIDE_EPISODE',
+          message: `Visit date is outside episode ${episode.episodeNumber}`,
+          episodeId: episode.id
+        });
+      }
+    }
+
+    const staffDiscipline = staff.staffProfile && staff.staffProfile.discipline;
+    if (staffDiscipline !== visit.discipline) {
+      conflicts.push({
+        type: 'DISCIPLINE_MISMATCH',
+        message: staffDiscipline
+          ? `${staffName} is ${staffDiscipline} and cannot make a ${visit.discipline} visit`
+          : `${staffName} has no discipline on file`
+      });
+    }
+
+    conflicts.push(...await this.availabilityConflicts(staff, visit, excluded));
+
+    return conflicts;
+  }
+
+  // Working hours, time off and the daily visit cap
+  async availabilityConflicts(staff, visit, excluded) {
+    const conflicts = [];
+    const staffName = `${staff.firstName} ${staff.lastName}`;
+    const { availability } = staff;
+
+    const timeOff = await prisma.staffTimeOff.findFirst({
+      where: {
+        staffId: staff.id,
+        startsAt: { lt: visit.endTime },
+        endsAt: { gt: visit.startTime }
+      }
+    });
+    if (timeOff) {
+      conflicts.push({
+        type: 'STAFF_TIME_OFF',
+        message: `${staffName} is on ${timeOff.type} time off`,
+        timeOffId: timeOff.id
+      });
+    }
+
+    if (!availability) {
+      return conflicts;
+    }
+
+    const weekday = weekdayOf(visit.startTime);
+    const windows = (availability.workingHours || {})[weekday] || [];
+    const start = minutesOfDay(visit.startTime);
+    const end = minutesOfDay(visit.endTime);
+    if (!windows.some(window => parseClock(window.start) <= start && end <= parseClock(window.end))) {
+      conflicts.push({
+        type: 'OUTSIDE_WORKING_HOURS',
+        message: windows.length > 0
+          ? `${staffName} works ${windows.map(window => `${window.start}-${window.end}`).join(', ')} on ${weekday}`
+          : `${staffName} does not work on ${weekday}`
+      });
+    }
+
+    if (availability.maxVisitsPerDay) {
+      const day = startOfDay(visit.visitDate);
+      const booked = await prisma.schedule.count({
+        where: {
+          staffId: staff.id,
+          ...(excluded.length > 0 && { id: { notIn: excluded } }),
+          status: { notIn: RELEASED_STATUSES },
+          isOnHold: false,
+          visitDate: { gte: day, lt: addDays(day, 1) }
+        }
+      });
+      if (booked >= availability.maxVisitsPerDay) {
+        conflicts.push({
+          type: 'MAX_VISITS_EXCEEDED',
+          message: `${staffName} already has ${booked} of ${availability.maxVisitsPerDay} visits that day`
+        });
+      }
+    }
+
+    return conflicts;
+  }
+
+  async getAvailability(staffId, { from = new Date() } = {}) {
+    const [availability, timeOff] = await Promise.all([
+      prisma.staffAvailability.findUnique({ where: { staffId } }),
+      prisma.staffTimeOff.findMany({
+        where: { staffId, endsAt: { gte: from } },
+        orderBy: { startsAt: 'asc' }
+      })
+    ]);
+    return { availability, timeOff };
+  }
+
+  setAvailability(staffId, { workingHours, maxVisitsPerDay }, userId) {
+    return prisma.staffAvailability.upsert({
+      where: { staffId },
+      update: { workingHours, maxVisitsPerDay, updatedBy: userId },
+      create: { staffId, workingHours, maxVisitsPerDay, updatedBy: userId }
+    });
+  }
+}
+
+module.exports = new SchedulingService();
+module.exports.SchedulingError = SchedulingError;
+module.exports.WEEKDAYS = WEEKDAYS;
+module.exports.TIME_OFF_TYPES = TIME_OFF_TYPES;
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+
+const prisma = new PrismaClient();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '24h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+class SessionService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+  }
+
+  refreshTokenExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  issueAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        sid: sessionId
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  // Start a new session (token family) and return its first token pair
+  async createSession(user, req) {
+    const refreshToken = this.generateRefreshToken();
+    const expiresAt = this.refreshTokenExpiry();
+
+    const session = await prisma.userSession.create({
+      data: {
+        userId: user.id,
+        expiresAt,
+        lastUsedAt: new Date(),
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        refreshTokens: {
+          create: {
+            tokenHash: this.hashToken(refreshToken),
+            expiresAt
+          }
+        }
+      }
+    });
+
+    return {
+      sessionId: session.id,
+      token: this.issueAccessToken(user, session.id),
+      refreshToken
+    };
+  }
+
+  // Exchange a refresh token for a new pair. A token that has already been
+  // used means it leaked, so the whole family is revoked.
+  async rotateRefreshToken(rawToken, req) {
+    const stored = await prisma.refreshToken.findUnique({
+      where: { tokenHash: this.hashToken(rawToken) },
+      include: {
+        session: {
+          include: { user: true }
+        }
+      }
+    });
+
+    if (!stored) {
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const { session } = stored;
+
+    if (stored.usedAt) {
+      await this.revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+      await auditService.record(req, {
+        userId: session.userId,
+        action: 'REFRESH_TOKEN_REUSE',
+        tableName: 'user_sessions',
+        recordId: session.id
+      });
+      throw new SessionError('Refresh token reuse detected', 'REFRESH_TOKEN_REUSED');
+    }
+
+    if (session.revokedAt) {
+      throw new SessionError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    if (stored.expiresAt < new Date()) {
+      throw new SessionError('Refresh token expired', 'REFRESH_TOKEN_EXPIRED');
+    }
+
+    if (!session.user || !session.user.isActive) {
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    // Claim the token atomically so two concurrent refreshes cannot both win
+    const claimed = await prisma.refreshToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      await this.revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+      throw new SessionError('Refresh token reuse detected', 'REFRESH_TOKEN_REUSED');
+    }
+
+    const refreshToken = this.generateRefreshToken();
+    const expiresAt = this.refreshTokenExpiry();
+
+    await prisma.$transaction([
+      prisma.refreshToken.create({
+        data: {
+          sessionId: session.id,
+          tokenHash: this.hashToken(refreshToken),
+          expiresAt
+        }
+      }),
+      prisma.userSession.update({
+        where: { id: session.id },
+        data: {
+          expiresAt,
+          lastUsedAt: new Date(),
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        }
+      })
+    ]);
+
+    return {
+      sessionId: session.id,
+      token: this.issueAccessToken(session.user, session.id),
+      refreshToken
+    };
+  }
+
+  async isSessionActive(sessionId) {
+    if (!sessionId) {
+      return false;
+    }
+
+    const session = await prisma.userSession.findUnique({
+      where: { id: sessionId },
+      select: { revokedAt: true, expiresAt: true }
+    });
+
+    return !!session && !session.revokedAt && session.expiresAt > new Date();
+  }
+
+  async revokeSession(sessionId, reason) {
+    await prisma.userSession.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+  }
+
+  // Returns the number of sessions revoked
+  async revokeAllForUser(userId, reason) {
+    const result = await prisma.userSession.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.count;
+  }
+}
+
+module.exports = new SessionService();
+module.exports.SessionError = SessionError;
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const auditService = require('./auditService');
+const mfaService = require('./mfaService');
+const passwordPolicy = require('./passwordPolicyService');
+
+const { canonicalize } = auditService;
+
+class SignatureError extends Error {
+  constructor(message, code, status = 401) {
+    super(message);
+    this.name = 'SignatureError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class SignatureService {
+  // SHA-256 over key-sorted JSON, so reordered keys do not change the hash
+  hashContent(content) {
+    return crypto
+      .createHash('sha256')
+      .update(canonicalize(content === undefined ? null : JSON.parse(JSON.stringify(content))))
+      .digest('hex');
+  }
+
+  // The signed content of an addendum is its text plus what it claims
+  addendumContent(addendum) {
+    return {
+      entryType: addendum.entryType,
+      content: addendum.content,
+      reason: addendum.reason,
+      occurredAt: addendum.occurredAt
+    };
+  }
+
+  // e.g. "RN, BSN" from staffProfile.credentials.certifications
+  signerCredentials(user) {
+    const profile = user.staffProfile;
+    if (!profile) {
+      return null;
+    }
+
+    const certifications = profile.credentials && profile.credentials.certifications;
+    if (Array.isArray(certifications) && certifications.length > 0) {
+      return certifications.join(', ');
+    }
+
+    return profile.discipline || null;
+  }
+
+  // The signer proves presence again with their password or an MFA code.
+  // Failures count toward the same lockout as failed logins. Returns the
+  // method used.
+  async reauthenticate(req, { password, mfaCode }) {
+    const user = req.user;
+
+    if (passwordPolicy.isLocked(user)) {
+      throw new SignatureError('Account is temporarily locked', 'ACCOUNT_LOCKED', 423);
+    }
+
+    let method = null;
+    if (password && (await bcrypt.compare(password, user.passwordHash))) {
+      method = 'PASSWORD';
+    } else if (mfaCode && (await mfaService.verifyUserTotp(user, mfaCode))) {
+      method = 'MFA';
+    }
+
+    if (method) {
+      await passwordPolicy.registerSuccessfulLogin(user);
+      return method;
+    }
+
+    await auditService.record(req, {
+      action: 'SIGNATURE_REAUTH_FAILED',
+      tableName: 'users',
+      recordId: user.id
+    });
+
+    const { locked } = await passwordPolicy.registerFailedLogin(user, req);
+    if (locked) {
+      throw new SignatureError('Account is temporarily locked', 'ACCOUNT_LOCKED', 423);
+    }
+
+    throw new SignatureError('Re-authentication failed', 'REAUTH_FAILED');
+  }
+
+  // Fields written onto the record at sign time
+  buildSignature(req, content, method) {
+    return {
+      isSigned: true,
+      signedBy: req.user.id,
+      signedAt: new Date(),
+      signatureHash: this.hashContent(content),
+      signerCredentials: this.signerCredentials(req.user),
+      signatureMethod: method
+    };
+  }
+
+  // Compare the stored hash with one computed from the record as it is now
+  verify(record, content) {
+    if (!record.isSigned) {
+      return { signed: false, valid: false };
+    }
+
+    const currentHash = this.hashContent(content);
+
+    return {
+      signed: true,
+      valid: !!record.signatureHash && record.signatureHash === currentHash,
+      signatureHash: record.signatureHash || null,
+      currentHash,
+      signedBy: record.signedBy,
+      signedAt: record.signedAt,
+      signerCredentials: record.signerCredentials || null,
+      signatureMethod: record.signatureMethod || null
+    };
+  }
+}
+
+module.exports = new SignatureService();
+module.exports.SignatureError = SignatureError;
@@ -0,0 +1,259 @@
+const { PrismaClient } = require('@prisma/client');
+const billingPeriodService = require('./billingPeriodService');
+const schedulingService = require('./schedulingService');
+const scheduleStatusService = require('./scheduleStatusService');
+const { FREQUENCY_PATTERN } = require('./physicianOrderService');
+const { startOfDay, addDays, atClock, weekdayOf } = require('./agencyClock');
+
+const prisma = new PrismaClient();
+
+const { OPEN_STATUSES, RELEASED_STATUSES } = scheduleStatusService;
+
+const CERTIFICATION_DAYS = 60;
+const DEFAULT_WEEKDAYS = ['MON', 'TUE', 'WED', 'THU', 'FRI'];
+const DEFAULT_START_TIME = '09:00';
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Conflicts that make a day unusable; the generator tries another day.
+// Others (discipline mismatch) apply to every visit and are reported once,
+// unless strict mode is on, where any conflict makes the day unusable.
+const DAY_CONFLICTS = ['STAFF_DOUBLE_BOOKED', 'PATIENT_OVERLAP', 'STAFF_TIME_OFF', 'OUTSIDE_WORKING_HOURS', 'MAX_VISITS_EXCEEDED'];
+
+const dayKey = (date) => startOfDay(date).getTime();
+
+class VisitGeneratorError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'VisitGeneratorError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class VisitGeneratorService {
+  // '3W2, 2W3' -> [{ perWeek: 3, weeks: 2 }, { perWeek: 2, weeks: 3 }]
+  parseFrequency(frequency) {
+    if (!frequency || !FREQUENCY_PATTERN.test(frequency.trim())) {
+      throw new VisitGeneratorError(`Invalid frequency "${frequency}"; use the form 3W2, 2W3`, 'INVALID_FREQUENCY');
+    }
+    return frequency.split(',').map(part => {
+      const [perWeek, weeks] = part.trim().toUpperCase().split('W').map(Number);
+      return { perWeek, weeks };
+    });
+  }
+
+  // One target per 7-day block starting at `from`
+  weeklyTargets(frequency) {
+    return this.parseFrequency(frequency)
+      .flatMap(({ perWeek, weeks }) => Array.from({ length: weeks }, () => perWeek));
+  }
+
+  // Day indexes spread evenly through the available days, then the rest
+  // in order as fallbacks
+  spread(count, days) {
+    const preferred = [];
+    const picks = Math.min(count, days.length);
+    for (let index = 0; index < picks; index++) {
+      preferred.push(picks === 1 ? 0 : Math.round((index * (days.length - 1)) / (picks - 1)));
+    }
+    const fallbacks = days.map((day, index) => index).filter(index => !preferred.includes(index));
+    return [...preferred, ...fallbacks].map(index => days[index]);
+  }
+
+  certificationEnd(episode) {
+    return startOfDay(episode.endDate || addDays(startOfDay(episode.startDate), CERTIFICATION_DAYS - 1));
+  }
+
+  async loadEpisode(episodeId) {
+    const episode = await prisma.episode.findUnique({ where: { id: episodeId } });
+    if (!episode) {
+      throw new VisitGeneratorError('Episode not found', 'EPISODE_NOT_FOUND', 404);
+    }
+    if (!['ACTIVE', 'SUSPENDED'].includes(episode.status)) {
+      throw new VisitGeneratorError('Visits can only be generated for active episodes', 'EPISODE_NOT_ACTIVE', 409);
+    }
+    return episode;
+  }
+
+  // Proposed visits for each discipline plan. Visits already booked for
+  // the discipline count toward each week's target, so generating twice
+  // proposes nothing new; `excludeScheduleIds` are visits about to be
+  // replaced and count for nothing. Nothing is saved.
+  async preview(episodeId, plans, { from, excludeScheduleIds = [], strict = false } = {}) {
+    const episode = await this.loadEpisode(episodeId);
+    const certEnd = this.certificationEnd(episode);
+    const start = startOfDay(from && from > episode.startDate ? from : episode.startDate);
+
+    const visits = [];
+    const shortfalls = [];
+    const warnings = [];
+    // Patient slots taken by visits proposed for earlier plans
+    const proposedSlots = [];
+
+    for (const plan of plans) {
+      const frequency = plan.frequency
+        || (episode.disciplineFrequencies || {})[plan.discipline]
+        || (episode.frequencyPerWeek ? `${episode.frequencyPerWeek}W${Math.ceil(CERTIFICATION_DAYS / 7)}` : null);
+      if (!frequency) {
+        throw new VisitGeneratorError(`No frequency given or on the episode for ${plan.discipline}`, 'FREQUENCY_REQUIRED');
+      }
+
+      const weekdays = plan.weekdays || DEFAULT_WEEKDAYS;
+      const startTime = plan.startTime || DEFAULT_START_TIME;
+      const duration = plan.durationMinutes || episode.visitDurationMinutes || DEFAULT_DURATION_MINUTES;
+      const targets = this.weeklyTargets(frequency);
+
+      const existing = await prisma.schedule.findMany({
+        where: {
+          episodeId: episode.id,
+          discipline: plan.discipline,
+          ...(excludeScheduleIds.length > 0 && { id: { notIn: excludeScheduleIds } }),
+          status: { notIn: RELEASED_STATUSES },
+          isOnHold: false,
+          visitDate: { gte: start }
+        },
+        select: { visitDate: true }
+      });
+      const bookedDays = new Set(existing.map(schedule => dayKey(schedule.visitDate)));
+
+      let planWarned = false;
+      for (let week = 0; week < targets.length; week++) {
+        const weekStart = addDays(start, week * 7);
+        if (weekStart > certEnd) {
+          shortfalls.push({
+            discipline: plan.discipline,
+            week: week + 1,
+            missing: targets.slice(week).reduce((total, target) => total + target, 0),
+            reason: 'Frequency runs past the end of the certification period'
+          });
+          break;
+        }
+
+        const weekDays = Array.from({ length: 7 }, (value, offset) => addDays(weekStart, offset));
+        const alreadyBooked = weekDays.filter(day => bookedDays.has(dayKey(day))).length;
+        const days = weekDays.filter(day => day <= certEnd && weekdays.includes(weekdayOf(day)));
+        let needed = targets[week] - alreadyBooked;
+
+        for (const day of this.spread(targets[week], days.filter(candidate => !bookedDays.has(dayKey(candidate))))) {
+          if (needed <= 0) break;
+
+          const visit = {
+            patientId: episode.patientId,
+            episodeId: episode.id,
+            staffId: plan.staffId,
+            discipline: plan.discipline,
+            visitType: plan.visitType || 'ROUTINE',
+            visitDate: day,
+            startTime: atClock(day, startTime),
+            endTime: new Date(atClock(day, startTime).getTime() + duration * 60 * 1000)
+          };
+
+          if (proposedSlots.some(slot => slot.startTime < visit.endTime && slot.endTime > visit.startTime)) {
+            continue;
+          }
+
+          const conflicts = await schedulingService.findConflicts(visit, { excludeScheduleIds });
+          if (conflicts.some(conflict => strict || DAY_CONFLICTS.includes(conflict.type))) {
+            continue;
+          }
+          if (!planWarned && conflicts.length > 0) {
+            warnings.push(...conflicts.map(conflict => ({ ...conflict, discipline: plan.discipline })));
+            planWarned = true;
+          }
+
+          visits.push({ ...visit, week: week + 1, frequency });
+          proposedSlots.push(visit);
+          needed--;
+        }
+
+        if (needed > 0) {
+          shortfalls.push({
+            discipline: plan.discipline,
+            week: week + 1,
+            missing: needed,
+            reason: 'Not enough available days that week'
+          });
+        }
+      }
+    }
+
+    visits.sort((a, b) => a.startTime - b.startTime);
+    return { episodeId: episode.id, from: start, certificationEnd: certEnd, strict, visits, shortfalls, warnings };
+  }
+
+  // Schedule rows for previewed visits
+  async toScheduleData(episodeId, visits) {
+    const data = [];
+    for (const visit of visits) {
+      const { week, frequency, ...schedule } = visit;
+      data.push({
+        ...schedule,
+        isGenerated: true,
+        billingPeriodId: await billingPeriodService.resolvePeriodId(episodeId, visit.visitDate)
+      });
+    }
+    return data;
+  }
+
+  // Create the schedule rows one at a time so each gets its initial
+  // SCHEDULED history entry. Runs on the caller's transaction.
+  async createSchedules(tx, data, { reason, userId }) {
+    for (const row of data) {
+      const created = await tx.schedule.create({ data: { ...row, status: 'SCHEDULED' } });
+      await scheduleStatusService.recordTransition(tx, { id: created.id, status: null }, 'SCHEDULED', {
+        reason,
+        createdBy: userId
+      });
+    }
+  }
+
+  // Create the previewed visits
+  async commit(episodeId, plans, { userId, ...options } = {}) {
+    const preview = await this.preview(episodeId, plans, options);
+    const data = await this.toScheduleData(episodeId, preview.visits);
+
+    if (data.length > 0) {
+      await prisma.$transaction(tx => this.createSchedules(tx, data, { reason: 'GENERATED', userId }));
+    }
+
+    return { ...preview, created: data.length };
+  }
+
+  // After an order changes frequency: replace generated visits still to
+  // come for the disciplines in the plan with visits generated from `from`.
+  // The replacements are planned as if the old visits were gone, then the
+  // cancel and create happen in one transaction.
+  async regenerate(episodeId, plans, { from = new Date(), userId, strict = false } = {}) {
+    await this.loadEpisode(episodeId);
+    const start = startOfDay(from);
+
+    const replaced = await prisma.schedule.findMany({
+      where: {
+        episodeId,
+        discipline: { in: plans.map(plan => plan.discipline) },
+        isGenerated: true,
+        status: { in: OPEN_STATUSES },
+        visitDate: { gte: start }
+      },
+      select: { id: true }
+    });
+    const replacedIds = replaced.map(schedule => schedule.id);
+
+    const preview = await this.preview(episodeId, plans, { from: start, excludeScheduleIds: replacedIds, strict });
+    const data = await this.toScheduleData(episodeId, preview.visits);
+
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const count = await scheduleStatusService.cancelWhere(tx, { id: { in: replacedIds } }, {
+        reason: 'FREQUENCY_CHANGED',
+        userId
+      });
+      await this.createSchedules(tx, data, { reason: 'FREQUENCY_CHANGED', userId });
+      return count;
+    });
+
+    return { ...preview, created: data.length, cancelled, cancelledIds: replacedIds };
+  }
+}
+
+module.exports = new VisitGeneratorService();
+module.exports.VisitGeneratorError = VisitGeneratorError;